@@ -0,0 +1,92 @@
+/**
+ * ETHval As-Of Query
+ *
+ * historical_* 테이블을 과거 시점 기준으로 조회한다. (scripts/lib/vintages.js의 asOf)
+ * 그 시각 이후에 덮어쓴 행은 data_revisions의 이전 값으로, 이후에 생긴 행은 제외.
+ *
+ * Usage:
+ *   npm run as-of -- --table historical_nvt --at 2024-06-01T00:00:00Z [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *
+ * 결과는 JSON 배열로 stdout에 출력. 저장소 설정은 data-collector.js와 동일 (STORAGE_BACKEND 등)
+ */
+
+const { parseArgs } = require('util');
+const { createStorageFromEnv } = require('./lib/storage');
+const { asOf } = require('./lib/vintages');
+
+function printUsage() {
+    console.log(`Usage: node scripts/as-of.js --table <name> --at <timestamp> [options]
+
+Options:
+  --table <name>       Table to query (e.g. historical_nvt or nvt)
+  --at <timestamp>     Point in time (ISO 8601, e.g. 2024-06-01 or 2024-06-01T12:00:00Z)
+  --from <YYYY-MM-DD>  Start of date range
+  --to <YYYY-MM-DD>    End of date range
+  --storage <backend>  Storage backend (see data-collector.js --help)
+  -h, --help           Show this help`);
+}
+
+function parseCli(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            table: { type: 'string' },
+            at: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            storage: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        },
+        strict: true
+    });
+    if (values.help) return { help: true };
+
+    if (!values.table) throw new Error('--table is required');
+    if (!values.at || Number.isNaN(Date.parse(values.at))) {
+        throw new Error(`--at must be an ISO timestamp (got "${values.at ?? ''}")`);
+    }
+    for (const key of ['from', 'to']) {
+        if (values[key] && !/^\d{4}-\d{2}-\d{2}$/.test(values[key])) {
+            throw new Error(`--${key} must be YYYY-MM-DD (got "${values[key]}")`);
+        }
+    }
+
+    return {
+        table: values.table.startsWith('historical_') ? values.table : `historical_${values.table}`,
+        at: values.at,
+        from: values.from || null,
+        to: values.to || null,
+        storage: values.storage || null,
+        help: false
+    };
+}
+
+async function main() {
+    let cli;
+    try {
+        cli = parseCli(process.argv.slice(2));
+    } catch (e) {
+        console.error(`❌ ${e.message}\n`);
+        printUsage();
+        return 2;
+    }
+    if (cli.help) {
+        printUsage();
+        return 0;
+    }
+
+    if (cli.storage) process.env.STORAGE_BACKEND = cli.storage;
+    const db = createStorageFromEnv();
+    try {
+        const rows = await asOf(db, cli.table, cli.at, { from: cli.from, to: cli.to });
+        console.log(JSON.stringify(rows, null, 2));
+        console.error(`📜 ${cli.table} as of ${new Date(cli.at).toISOString()}: ${rows.length} rows`);
+        return 0;
+    } finally {
+        await db.close();
+    }
+}
+
+main()
+    .then(code => { process.exitCode = code; })
+    .catch(e => { console.error('Fatal:', e); process.exit(1); });
@@ -6,6 +6,8 @@
  * 
  * Usage:
  *   SUPABASE_URL=xxx SUPABASE_KEY=xxx ETHERSCAN_API_KEY=xxx node backfill-gas-price.js
+ *
+ * For other tables (and null eth_burnt) use the generic tool: npm run backfill -- --only gas_burn
  */
 
 import { createClient } from '@supabase/supabase-js';
@@ -0,0 +1,302 @@
+/**
+ * ETHval Backfill
+ *
+ * 모든 historical_* 테이블에서 기간 내 누락 날짜와 빈 핵심 필드를 찾아
+ * 해당 데이터셋의 수집기로 그 날짜만 다시 채운다. (backfill-gas-price.js의 일반화)
+ * 채운 결과(성공/미해결)는 backfill_log 테이블에 남긴다.
+ *
+ * Usage:
+ *   npm run backfill -- [--only nvt,gas_burn] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--dry-run]
+ *
+ * 저장소/HTTP 설정은 data-collector.js와 동일 (STORAGE_BACKEND, HTTP_MODE 등)
+ */
+
+const { parseArgs } = require('util');
+const { TABLE_SCHEMAS, PROVENANCE_FIELDS } = require('./lib/schemas');
+
+const BACKFILL_LOG_TABLE = 'backfill_log';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 1000;
+
+const toDateStr = (d) => d.toISOString().split('T')[0];
+
+function printUsage() {
+    console.log(`Usage: node scripts/backfill.js [options]
+
+Options:
+  --only <a,b,...>     Datasets or tables to scan (registry key or table suffix, e.g. nvt,gas_burn)
+  --from <YYYY-MM-DD>  Start of scan range (default: 1095 days ago)
+  --to <YYYY-MM-DD>    End of scan range (default: yesterday)
+  --dry-run            Report gaps without re-fetching
+  --storage <backend>  Storage backend (see data-collector.js --help)
+  --http <mode>        HTTP mode: live, record, replay
+  -h, --help           Show this help`);
+}
+
+function parseCli(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            only: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            'dry-run': { type: 'boolean' },
+            storage: { type: 'string' },
+            http: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        },
+        strict: true
+    });
+
+    for (const key of ['from', 'to']) {
+        if (values[key] && !/^\d{4}-\d{2}-\d{2}$/.test(values[key])) {
+            throw new Error(`--${key} must be YYYY-MM-DD (got "${values[key]}")`);
+        }
+    }
+
+    return {
+        only: values.only ? values.only.split(',').map(s => s.trim()).filter(Boolean) : null,
+        from: values.from || toDateStr(new Date(Date.now() - 1095 * DAY_MS)),
+        to: values.to || toDateStr(new Date(Date.now() - DAY_MS)),
+        dryRun: !!values['dry-run'],
+        storage: values.storage || null,
+        http: values.http || null,
+        help: !!values.help
+    };
+}
+
+/**
+ * Every calendar date from `from` to `to` (inclusive)
+ */
+function dateRange(from, to) {
+    const dates = [];
+    for (let t = Date.parse(from); t <= Date.parse(to); t += DAY_MS) {
+        dates.push(toDateStr(new Date(t)));
+    }
+    return dates;
+}
+
+/**
+ * Condense sorted dates into "a..b" runs for the report
+ */
+function formatRanges(dates, maxRuns = 8) {
+    const runs = [];
+    for (const d of [...dates].sort()) {
+        const last = runs[runs.length - 1];
+        if (last && Date.parse(d) - Date.parse(last.end) === DAY_MS) last.end = d;
+        else runs.push({ start: d, end: d });
+    }
+    const parts = runs.map(r => (r.start === r.end ? r.start : `${r.start}..${r.end}`));
+    return parts.length > maxRuns ? `${parts.slice(0, maxRuns).join(', ')}, … (+${parts.length - maxRuns} more)` : parts.join(', ');
+}
+
+/**
+ * Find missing dates and null key fields in a table over [from, to]
+ * Returns [{ date, series, field }] - field is null for a missing row
+ */
+async function scanGaps(db, table, from, to) {
+    const schema = TABLE_SCHEMAS[table] || { key: ['date'], fields: {} };
+    const seriesCols = schema.key.filter(k => k !== 'date');
+    const keyFields = schema.keyFields || Object.entries(schema.fields)
+        .filter(([name, rule]) => rule.required && !schema.key.includes(name) && !(name in PROVENANCE_FIELDS))
+        .map(([name]) => name);
+
+    const columns = ['date', ...seriesCols, ...keyFields].join(', ');
+    const rows = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await db.from(table)
+            .select(columns)
+            .gte('date', from)
+            .lte('date', to)
+            .order('date', { ascending: true })
+            .range(offset, offset + PAGE_SIZE - 1);
+        if (error) throw new Error(`${table}: ${error.message}`);
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    const gaps = [];
+    if (rows.length === 0) {
+        // 기간 내 데이터가 전혀 없음 - 전체 기간이 누락
+        for (const date of dateRange(from, to)) gaps.push({ date, series: null, field: null });
+        return gaps;
+    }
+
+    // 시계열별로 첫 데이터 날짜부터 기간 끝까지 누락 날짜 탐색
+    const bySeries = new Map();
+    for (const row of rows) {
+        const series = seriesCols.length ? seriesCols.map(c => row[c]).join('/') : null;
+        if (!bySeries.has(series)) bySeries.set(series, new Set());
+        bySeries.get(series).add(row.date);
+
+        for (const field of keyFields) {
+            if (row[field] === null || row[field] === undefined) gaps.push({ date: row.date, series, field });
+        }
+    }
+
+    for (const [series, dates] of bySeries) {
+        const first = [...dates].sort()[0];
+        for (const date of dateRange(first, to)) {
+            if (!dates.has(date)) gaps.push({ date, series, field: null });
+        }
+    }
+
+    return gaps;
+}
+
+async function main() {
+    let cli;
+    try {
+        cli = parseCli(process.argv.slice(2));
+    } catch (e) {
+        console.error(`❌ ${e.message}\n`);
+        printUsage();
+        return 2;
+    }
+    if (cli.help) {
+        printUsage();
+        return 0;
+    }
+
+    if (cli.storage) process.env.STORAGE_BACKEND = cli.storage;
+    if (cli.http) process.env.HTTP_MODE = cli.http;
+
+    // 환경변수 설정 후 로드 (storage/http 클라이언트가 모듈 로드 시 생성됨)
+    const {
+        COLLECTORS, EXIT_CODES, db, wrapResult, result, runCollectors, runDataset, resolveDatasetNames
+    } = require('./data-collector');
+
+    let keys = Object.keys(COLLECTORS);
+    if (cli.only) {
+        try {
+            keys = resolveDatasetNames(COLLECTORS, cli.only);
+        } catch (e) {
+            console.error(`❌ ${e.message}`);
+            return EXIT_CODES.usage;
+        }
+    }
+    const tables = [...new Set(keys.map(k => COLLECTORS[k].table))].filter(t => t.startsWith('historical_'));
+
+    console.log('═'.repeat(60));
+    console.log('🩹 ETHval Backfill');
+    console.log(`📅 Range: ${cli.from} ~ ${cli.to}${cli.dryRun ? '  (dry run)' : ''}`);
+    console.log('═'.repeat(60));
+
+    // ============================================================
+    // 1. Gap 탐지
+    // ============================================================
+    const gapsByTable = {};
+    for (const table of tables) {
+        try {
+            gapsByTable[table] = await scanGaps(db, table, cli.from, cli.to);
+        } catch (e) {
+            console.log(`❌ ${table}: ${e.message}`);
+            continue;
+        }
+        const gaps = gapsByTable[table];
+        if (gaps.length === 0) {
+            console.log(`✅ ${table}: no gaps`);
+            continue;
+        }
+        const missing = gaps.filter(g => !g.field);
+        const nulls = gaps.filter(g => g.field);
+        console.log(`🕳️ ${table}: ${missing.length} missing, ${nulls.length} null fields`);
+        if (missing.length > 0) console.log(`   missing: ${formatRanges([...new Set(missing.map(g => g.date))])}`);
+        for (const field of [...new Set(nulls.map(g => g.field))]) {
+            console.log(`   null ${field}: ${formatRanges(nulls.filter(g => g.field === field).map(g => g.date))}`);
+        }
+    }
+
+    const gapTables = Object.keys(gapsByTable).filter(t => gapsByTable[t].length > 0);
+    if (cli.dryRun || gapTables.length === 0) {
+        await db.close();
+        return EXIT_CODES.success;
+    }
+
+    // ============================================================
+    // 2. 해당 날짜만 재수집 (테이블을 쓰는 수집기 전부, 의존성 순서)
+    // ============================================================
+    console.log('\n🔄 Re-fetching gap dates...');
+    const optsByKey = {};
+    const registry = {};
+    for (const [key, def] of Object.entries(COLLECTORS)) {
+        if (!gapTables.includes(def.table)) continue;
+        if (def.range === false) {
+            console.log(`  ⏭️ ${key}: snapshot-only collector, cannot backfill past dates`);
+            continue;
+        }
+        const dates = new Set(gapsByTable[def.table].map(g => g.date));
+        const sorted = [...dates].sort();
+        optsByKey[key] = { from: sorted[0], to: sorted[sorted.length - 1], dates };
+        registry[key] = def;
+    }
+
+    const results = await runCollectors(registry, async (key, def) => {
+        const stats = { rejected: 0 };
+        try {
+            const res = wrapResult(await runDataset({ dataset: key, stats }, () => def.fn(optsByKey[key])), def.source === 'dune');
+            if (stats.writeErrors) Object.assign(res, result.fail(stats.writeErrors.join('; ')));
+            console.log(`  ${res.status === 'ok' ? '✅' : '⚠️'} ${key}: ${res.count} rows${res.msg ? ` (${res.msg})` : ''}`);
+            return res;
+        } catch (e) {
+            console.log(`  ❌ ${key}: ${e.message}`);
+            return result.fail(e.message);
+        }
+    });
+
+    // ============================================================
+    // 3. 재탐지 후 backfill_log 기록
+    // ============================================================
+    const runAt = new Date().toISOString();
+    const logRows = [];
+    let filled = 0, unresolved = 0;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 BACKFILL SUMMARY:');
+    console.log('='.repeat(60));
+
+    for (const table of gapTables) {
+        const before = gapsByTable[table];
+        const after = await scanGaps(db, table, cli.from, cli.to).catch(() => before);
+        const remaining = new Set(after.map(g => `${g.date}|${g.series}|${g.field}`));
+        const datasets = Object.keys(registry).filter(k => registry[k].table === table);
+
+        let tableFilled = 0;
+        for (const gap of before) {
+            const isFilled = !remaining.has(`${gap.date}|${gap.series}|${gap.field}`);
+            if (isFilled) tableFilled++;
+            logRows.push({
+                run_at: runAt,
+                table_name: table,
+                date: gap.date,
+                series: gap.series,
+                field: gap.field,
+                gap_type: gap.field ? 'null_field' : 'missing',
+                filled: isFilled,
+                datasets: datasets.join(','),
+                status: datasets.map(k => results[k]?.status).join(',') || 'not_backfillable'
+            });
+        }
+        filled += tableFilled;
+        unresolved += before.length - tableFilled;
+        const icon = tableFilled === before.length ? '✅' : (tableFilled > 0 ? '⚠️' : '❌');
+        console.log(`${icon} ${table.padEnd(34)} : ${tableFilled}/${before.length} filled`);
+    }
+
+    for (let i = 0; i < logRows.length; i += 500) {
+        const { error } = await db.from(BACKFILL_LOG_TABLE).insert(logRows.slice(i, i + 500));
+        if (error) console.error(`  Error ${BACKFILL_LOG_TABLE}:`, error.message);
+    }
+
+    console.log('='.repeat(60));
+    console.log(`✅ Filled: ${filled}  |  🕳️ Unresolved: ${unresolved}`);
+    console.log(`📝 ${logRows.length} rows written to ${BACKFILL_LOG_TABLE}`);
+
+    await db.close();
+    if (unresolved === 0) return EXIT_CODES.success;
+    return filled > 0 ? EXIT_CODES.partial : EXIT_CODES.failed;
+}
+
+main()
+    .then(code => { process.exitCode = code; })
+    .catch(e => { console.error('Fatal:', e); process.exit(1); });
@@ -5,34 +5,109 @@
  * + Funding Rate: CryptoQuant API (Binance 대체)
  * + AI 일간 해설 생성 (Claude Haiku)
  * + 병렬 처리로 속도 개선
+ *
+ * 사용법: npm run collect -- [--only nvt,mvrv] [--skip ...] [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *         자세한 옵션은 --help
  */
 
-const { createClient } = require('@supabase/supabase-js');
+const { parseArgs } = require('util');
+const { createStorageFromEnv } = require('./lib/storage');
+const { createHttpClientFromEnv } = require('./lib/http');
+const { validateRecords, quarantineRows } = require('./lib/validation');
+const { runWithContext, currentContext } = require('./lib/run-context');
+const { provenance, applyDefaultProvenance } = require('./lib/provenance');
+const { COMPONENTS: SENTIMENT_COMPONENTS, computeSentimentIndex } = require('./lib/sentiment');
+const { createRunLock } = require('./lib/run-lock');
+const { createAlerter } = require('./lib/alerts');
+const { createBreakers, runSourceChain } = require('./lib/source-chain');
+const { createCryptoQuantClient } = require('./lib/cryptoquant');
+const { REVISIONS_TABLE, diffBatch, rowKey } = require('./lib/vintages');
+
+// 종료 코드 (GitHub Actions 단계 상태에 반영)
+const EXIT_CODES = {
+    success: 0,
+    failed: 1,
+    usage: 2,
+    partial: 3
+};
+
+// require()로 불러올 때(backfill 등)는 CLI 파싱/main 실행 안 함
+const isMain = require.main === module;
+
+let cli = parseCli([]);
+if (isMain) {
+    try {
+        cli = parseCli(process.argv.slice(2));
+    } catch (e) {
+        console.error(`❌ ${e.message}\n`);
+        printUsage();
+        process.exit(EXIT_CODES.usage);
+    }
+    if (cli.help) {
+        printUsage();
+        process.exit(EXIT_CODES.success);
+    }
+}
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_KEY = process.env.SUPABASE_SERVICE_KEY;
 const DUNE_API_KEY = process.env.DUNE_API_KEY;
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const CRYPTOQUANT_API_KEY = process.env.CRYPTOQUANT_API_KEY;
+const CRYPTOQUANT_PROXY_URL = process.env.CRYPTOQUANT_PROXY_URL;  // 키 없이 프록시 경유 (예: Cloudflare Worker)
+const COINGECKO_API_KEY = process.env.COINGECKO_API_KEY;  // optional (Pro: 과거 총 시가총액)
 
-if (!SUPABASE_URL || !SUPABASE_KEY) {
-    console.error('❌ Missing SUPABASE_URL or SUPABASE_SERVICE_KEY');
-    process.exit(1);
-}
+// run lock lease (분) - 실행 중 lease/3마다 갱신, 프로세스가 죽으면 이 시간 뒤 만료
+const RUN_LOCK_LEASE_MINUTES = parseInt(process.env.RUN_LOCK_LEASE_MINUTES || '30');
 
-if (!DUNE_API_KEY) {
-    console.warn('⚠️ Missing DUNE_API_KEY - Dune data collection will be skipped');
-}
+// 알림 (scripts/lib/alerts.js - ALERT_WEBHOOK_URL, ALERT_SLACK_WEBHOOK_URL, ALERT_DISCORD_WEBHOOK_URL, ALERT_SMTP_*)
+// 같은 알림은 ALERT_SUPPRESS_MINUTES 안에 다시 보내지 않음
+// freshness SLA: 테이블 최신 날짜가 오늘 기준 ALERT_STALE_DAYS일보다 오래되면 알림 (registry slaDays로 덮어쓰기)
+const ALERT_SUPPRESS_MINUTES = parseInt(process.env.ALERT_SUPPRESS_MINUTES || '360');
+const ALERT_STALE_DAYS = parseInt(process.env.ALERT_STALE_DAYS || '2');
+
+// source chain circuit breaker (scripts/lib/source-chain.js)
+// 같은 소스가 실행을 넘어 연속 SOURCE_BREAKER_THRESHOLD번 실패하면 SOURCE_BREAKER_COOLDOWN_HOURS 동안 건너뜀
+const SOURCE_BREAKER_THRESHOLD = parseInt(process.env.SOURCE_BREAKER_THRESHOLD || '3');
+const SOURCE_BREAKER_COOLDOWN_HOURS = parseFloat(process.env.SOURCE_BREAKER_COOLDOWN_HOURS || '24');
 
-if (!ANTHROPIC_API_KEY) {
-    console.warn('⚠️ Missing ANTHROPIC_API_KEY - AI commentary will be skipped');
+// 저장소 백엔드 (STORAGE_BACKEND=supabase|postgres|json, --storage로 덮어쓰기)
+// HTTP 모드 (HTTP_MODE=live|record|replay, --http로 덮어쓰기)
+// --list는 registry만 출력하므로 클라이언트를 만들지 않음 (저장소 환경변수 없이 실행 가능)
+if (cli.storage) process.env.STORAGE_BACKEND = cli.storage;
+if (cli.http) process.env.HTTP_MODE = cli.http;
+const listOnly = isMain && cli.list;
+let db, http, alerter, sourceBreakers, cryptoquant;
+if (!listOnly) {
+    try {
+        db = createStorageFromEnv();
+        http = createHttpClientFromEnv();
+        alerter = createAlerter(db, { suppressMinutes: ALERT_SUPPRESS_MINUTES });
+        cryptoquant = createCryptoQuantClient({ apiKey: CRYPTOQUANT_API_KEY, proxyUrl: CRYPTOQUANT_PROXY_URL, http });
+        sourceBreakers = createBreakers(db, {
+            failureThreshold: SOURCE_BREAKER_THRESHOLD,
+            cooldownMs: SOURCE_BREAKER_COOLDOWN_HOURS * 60 * 60 * 1000
+        });
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(EXIT_CODES.failed);
+    }
 }
 
-if (!CRYPTOQUANT_API_KEY) {
-    console.warn('⚠️ Missing CRYPTOQUANT_API_KEY - CryptoQuant data will be skipped');
+if (!listOnly) {
+    if (!DUNE_API_KEY) {
+        console.warn('⚠️ Missing DUNE_API_KEY - Dune data collection will be skipped');
+    }
+    
+    if (!ANTHROPIC_API_KEY) {
+        console.warn('⚠️ Missing ANTHROPIC_API_KEY - AI commentary will be skipped');
+    }
+    
+    if (!CRYPTOQUANT_API_KEY && !CRYPTOQUANT_PROXY_URL) {
+        console.warn('⚠️ Missing CRYPTOQUANT_API_KEY / CRYPTOQUANT_PROXY_URL - CryptoQuant data will be skipped');
+    } else if (!CRYPTOQUANT_API_KEY) {
+        console.warn('ℹ️ No CRYPTOQUANT_API_KEY - CryptoQuant via proxy');
+    }
 }
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
 // 결과 상태 헬퍼
@@ -40,7 +115,19 @@ const result = {
     ok: (count, msg = '') => ({ count, status: 'ok', msg }),
     skip: (msg = 'Already up to date') => ({ count: 0, status: 'skip', msg }),
     warn: (count, msg) => ({ count, status: 'warn', msg }),
-    fail: (msg) => ({ count: 0, status: 'fail', msg })
+    fail: (msg) => ({ count: 0, status: 'fail', msg }),
+    blocked: (msg) => ({ count: 0, status: 'blocked', msg })  // 상위 수집기 실패로 실행 안 함
+};
+
+// 결과 래퍼 (기존 함수가 숫자를 반환하면 변환)
+const wrapResult = (res, isDune = false) => {
+    if (typeof res === 'number') {
+        if (res > 0) return result.ok(res);
+        // Dune 쿼리는 0건이어도 warn (쿼리 확인 필요)
+        if (isDune) return result.warn(0, 'Check Dune query');
+        return result.fail('No data');
+    }
+    return res;
 };
 
 // ============================================================
@@ -56,6 +143,7 @@ const COMMENTARY_SECTIONS = {
         tables: {
             mvrv: 'historical_mvrv',  // mvrv_ratio + realized_price
             fear_greed: 'historical_fear_greed',  // value
+            eth_sentiment: 'historical_eth_sentiment',  // value (ETH 전용 합성 지수, F&G 비교용)
             funding_rate: 'historical_funding_rate',  // funding_rate
             open_interest: 'historical_open_interest',  // open_interest
             exchange_reserve: 'historical_exchange_reserve',  // reserve_eth
@@ -94,20 +182,24 @@ const COMMENTARY_SECTIONS = {
             eth_issued: 'daily_issuance'
         },
         context: `Net Supply와 Effective Float는 계산값입니다:
-- Net Supply Change = (ETH Burned - ETH Issued) / Total Supply * 365 * 100 (연간 %)
+- ETH Burned = Σ base fee × gas used (블록별 실측), blob 소각(blob_burnt_eth)은 별도 집계
+- priority_fees_eth는 소각되지 않고 검증자에게 가는 팁
+- Net Supply Change = (ETH Burned + Blob Burn - ETH Issued) / Total Supply * 365 * 100 (연간 %)
 - Effective Float = Total Supply - Staked ETH - Contract Balances
 ETH Issued는 일 약 930 ETH (검증자 보상)
 현재 ETH는 burn < issuance로 약 +0.5%/년 인플레이션 상태.`
     },
-    // 02.4 네트워크 수요 - 5개 차트
-    // Charts: Gas Price, Gas Utilization, Network Fees, Blob Fees, Blob Count
+    // 02.4 네트워크 수요 - 6개 차트
+    // Charts: Gas Price, Gas Utilization, Block Fullness, Network Fees, Blob Fees, Blob Count
     network_demand: {
         title: 'Network Demand',
         title_ko: '네트워크 수요',
-        charts: ['Gas Price', 'Gas Utilization', 'Network Fees', 'Blob Fees', 'Blob Count'],
+        charts: ['Gas Price', 'Gas Utilization', 'Block Fullness', 'Network Fees', 'Blob Fees', 'Blob Count'],
         tables: {
             gas_price: 'historical_gas_burn',  // avg_gas_price_gwei (메인 필드)
             gas_utilization: 'historical_gas_burn',  // gas_utilization (별도 키로 분리)
+            block_fullness: 'historical_network_stats',  // block_fullness (체인 상태)
+            missed_slots: 'historical_network_stats',  // missed_slots (별도 키로 분리)
             fees: 'historical_protocol_fees',  // fees
             blob_count: 'historical_blob_data',  // blob_count (메인 필드)
             blob_fees: 'historical_blob_data'  // blob_fee_eth (별도 키로 분리)
@@ -116,6 +208,8 @@ ETH Issued는 일 약 930 ETH (검증자 보상)
         fieldOverrides: {
             gas_price: 'avg_gas_price_gwei',
             gas_utilization: 'gas_utilization',
+            block_fullness: 'block_fullness',
+            missed_slots: 'missed_slots',
             blob_count: 'blob_count',
             blob_fees: 'blob_fee_eth'
         }
@@ -217,7 +311,7 @@ When you see data, check the VALUE RANGE to identify which metric it is!`,
 async function fetchHistoricalStats(tableName, fieldName) {
     try {
         // 3년치 데이터 가져오기 (약 1095일)
-        const { data, error } = await supabase
+        const { data, error } = await db
             .from(tableName)
             .select(`date, ${fieldName}`)
             .order('date', { ascending: false })
@@ -326,6 +420,7 @@ async function fetchSectionMetrics(sectionKey) {
         'historical_l2_addresses': 'active_addresses',
         'historical_active_addresses': 'active_addresses',
         'historical_fear_greed': 'value',
+        'historical_eth_sentiment': 'value',
         'historical_nvt': 'nvt_ratio',
         'historical_open_interest': 'open_interest',
         'historical_l1_total_volume': 'total_volume_usd',  // Also has eth_volume_usd for L1 ETH Transfer
@@ -338,7 +433,7 @@ async function fetchSectionMetrics(sectionKey) {
             // l1_eth_transfer uses eth_volume_usd, l1_total_volume uses total_volume_usd
             if (tableName === 'historical_l1_total_volume') {
                 const fieldToUse = metricKey === 'l1_eth_transfer' ? 'eth_volume_usd' : 'total_volume_usd';
-                const { data: recent } = await supabase
+                const { data: recent } = await db
                     .from(tableName)
                     .select(`date, ${fieldToUse}`)
                     .gte('date', ninetyFiveDaysAgo)
@@ -365,7 +460,7 @@ async function fetchSectionMetrics(sectionKey) {
             
             // Special handling for L2 addresses (stored by chain)
             if (tableName === 'historical_l2_addresses') {
-                const { data: recent } = await supabase
+                const { data: recent } = await db
                     .from(tableName)
                     .select('date, active_addresses')
                     .gte('date', ninetyFiveDaysAgo)
@@ -399,7 +494,7 @@ async function fetchSectionMetrics(sectionKey) {
             
             // Special handling for L2 Transactions (stored by chain)
             if (tableName === 'historical_l2_transactions') {
-                const { data: recent } = await supabase
+                const { data: recent } = await db
                     .from(tableName)
                     .select('date, tx_count')
                     .gte('date', ninetyFiveDaysAgo)
@@ -436,7 +531,7 @@ async function fetchSectionMetrics(sectionKey) {
             
             // Special handling for Bridge Volume (stored by chain)
             if (tableName === 'historical_bridge_volume') {
-                const { data: recent } = await supabase
+                const { data: recent } = await db
                     .from(tableName)
                     .select('date, bridge_volume_eth')
                     .gte('date', ninetyFiveDaysAgo)
@@ -470,7 +565,7 @@ async function fetchSectionMetrics(sectionKey) {
             
             // Special handling for L2 TVL (stored by chain)
             if (tableName === 'historical_l2_tvl') {
-                const { data: recent } = await supabase
+                const { data: recent } = await db
                     .from(tableName)
                     .select('date, tvl')
                     .gte('date', ninetyFiveDaysAgo)
@@ -506,7 +601,7 @@ async function fetchSectionMetrics(sectionKey) {
             // l2_native_transfer (L2 ETH Transfer) uses native_volume_usd, l2_total_volume uses total_volume_usd
             if (tableName === 'historical_l2_total_volume') {
                 const fieldToUse = metricKey === 'l2_native_transfer' ? 'native_volume_usd' : 'total_volume_usd';
-                const { data: recent } = await supabase
+                const { data: recent } = await db
                     .from(tableName)
                     .select(`date, ${fieldToUse}`)
                     .gte('date', ninetyFiveDaysAgo)
@@ -540,7 +635,7 @@ async function fetchSectionMetrics(sectionKey) {
             
             // Special handling for L2 Stablecoin Volume (stored by chain)
             if (tableName === 'historical_l2_stablecoin_volume') {
-                const { data: recent } = await supabase
+                const { data: recent } = await db
                     .from(tableName)
                     .select('date, total_volume')
                     .gte('date', ninetyFiveDaysAgo)
@@ -573,7 +668,7 @@ async function fetchSectionMetrics(sectionKey) {
             }
             
             // Get recent data (35 days for 30d trend analysis)
-            const { data: recent } = await supabase
+            const { data: recent } = await db
                 .from(tableName)
                 .select('*')
                 .gte('date', ninetyFiveDaysAgo)
@@ -581,7 +676,7 @@ async function fetchSectionMetrics(sectionKey) {
                 .limit(95);
             
             // Get 30-day ago data for comparison (backup)
-            const { data: older } = await supabase
+            const { data: older } = await db
                 .from(tableName)
                 .select('*')
                 .lte('date', ninetyDaysAgo)
@@ -642,7 +737,7 @@ async function fetchSectionMetrics(sectionKey) {
     
     // Also get current ETH price
     try {
-        const { data: priceData } = await supabase
+        const { data: priceData } = await db
             .from('historical_eth_price')
             .select('*')
             .order('date', { ascending: false })
@@ -681,7 +776,7 @@ function formatMetricsForPrompt(sectionKey, metricsData) {
             'mvrv_ratio', 'realized_price', 'nvt_ratio', 'volatility_30d', 'whale_tx_count',
             'blob_count', 'blob_fee_eth', 'new_addresses', 'active_addresses', 'tx_count',
             'eth_supply', 'total_staked_eth', 'avg_gas_price_gwei', 'gas_utilization', 'eth_burnt',
-            'tx_volume_usd', 'daily_volume', 'bridge_volume_eth', 'open_interest',
+            'block_fullness', 'missed_slots', 'tx_volume_usd', 'daily_volume', 'bridge_volume_eth', 'open_interest',
             'volume', 'fees', 'tvl', 'total_tvl', 'total_mcap', 'total',
             'eth_volume_usd', 'total_volume_usd', 'native_volume_usd', 'total_volume', 'daily_issuance'];
         for (const f of fields) {
@@ -741,7 +836,7 @@ function formatMetricsForPrompt(sectionKey, metricsData) {
         if (['tvl', 'total_tvl', 'realized_price', 'daily_volume', 'volume', 'tx_volume_usd', 'total_mcap', 'fees', 'eth_volume_usd', 'total_volume_usd', 'native_volume_usd', 'total_volume', 'open_interest', 'total'].includes(fieldName)) unit = ' USD';
         else if (ethToUsdFields.includes(fieldName)) unit = ' USD';  // ETH 볼륨 → 차트에서 USD로 표시
         else if (['total_staked_eth', 'reserve_eth', 'eth_burnt', 'eth_supply', 'blob_fee_eth', 'daily_issuance'].includes(fieldName)) unit = ' ETH';
-        else if (['funding_rate', 'eth_dominance', 'volatility_30d', 'lido_apr', 'gas_utilization'].includes(fieldName)) unit = '%';
+        else if (['funding_rate', 'eth_dominance', 'volatility_30d', 'lido_apr', 'gas_utilization', 'block_fullness'].includes(fieldName)) unit = '%';
         else if (fieldName === 'avg_gas_price_gwei') unit = ' Gwei';
         
         // 90일 변화율 계산 (현재값 vs 90일 전 3일 평균)
@@ -827,6 +922,14 @@ function formatMetricsForPrompt(sectionKey, metricsData) {
             prompt += `  └ eth_burnt: ${latest.eth_burnt?.toFixed(2) || 'N/A'} ETH${changeNote}\n`;
         }
         
+        // Blob burn / Priority fees (실측 burn 행에만 있음)
+        for (const field of ['blob_burnt_eth', 'priority_fees_eth']) {
+            if (latest[field] === undefined || latest[field] === null || fieldName === field) continue;
+            const change90d = calc90dChangeForField(data, field);
+            const changeNote = change90d ? ` (${change90d > 0 ? '+' : ''}${change90d}% vs 90d)` : '';
+            prompt += `  └ ${field}: ${latest[field].toFixed(2)} ETH${changeNote}\n`;
+        }
+        
         // Open Interest
         if (latest.open_interest !== undefined && fieldName !== 'open_interest') {
             const change90d = calc90dChangeForField(data, 'open_interest');
@@ -991,7 +1094,7 @@ IMPORTANT:
     }
 
     try {
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
+        const response = await http.fetch('https://api.anthropic.com/v1/messages', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -1052,13 +1155,13 @@ IMPORTANT:
 }
 
 /**
- * Save commentary to Supabase (with multilingual support, scores, and reasoning)
+ * Save commentary to storage (with multilingual support, scores, and reasoning)
  */
 async function saveCommentary(sectionKey, commentaries, scores, reasoning, metricsSnapshot) {
     const today = new Date().toISOString().split('T')[0];
     
     try {
-        const { error } = await supabase
+        const { error } = await db
             .from('daily_commentary')
             .upsert({
                 date: today,
@@ -1085,12 +1188,13 @@ async function saveCommentary(sectionKey, commentaries, scores, reasoning, metri
 }
 
 /**
- * Generate all section commentaries (4 languages: EN, KO, ZH, JA)
+ * Generate section commentaries (4 languages: EN, KO, ZH, JA)
+ * @param {string[]} sectionKeys - Sections to generate (default: all)
  */
-async function generateAllCommentaries() {
+async function generateAllCommentaries(sectionKeys = Object.keys(COMMENTARY_SECTIONS)) {
     if (!ANTHROPIC_API_KEY) {
         console.log('\n⏭️ Skipping AI commentary - No ANTHROPIC_API_KEY');
-        return { success: 0, failed: 0 };
+        return { success: 0, failed: 0, failedSections: [] };
     }
     
     console.log('\n' + '='.repeat(60));
@@ -1100,8 +1204,9 @@ async function generateAllCommentaries() {
     
     const LANGUAGES = ['en', 'ko', 'zh', 'ja'];
     let success = 0, failed = 0;
+    const failedSections = [];  // [{ section, reason }] - 알림용
     
-    for (const sectionKey of Object.keys(COMMENTARY_SECTIONS)) {
+    for (const sectionKey of sectionKeys) {
         const section = COMMENTARY_SECTIONS[sectionKey];
         console.log(`\n📝 [${sectionKey}] ${section.title}...`);
         
@@ -1110,6 +1215,7 @@ async function generateAllCommentaries() {
         if (!metricsData || Object.keys(metricsData).length === 0) {
             console.log(`  ❌ No metrics data available`);
             failed++;
+            failedSections.push({ section: sectionKey, reason: 'no metrics data' });
             continue;
         }
         
@@ -1135,9 +1241,9 @@ async function generateAllCommentaries() {
         } else {
             console.log(`  ❌ Failed to generate English commentary`);
             failed++;
+            failedSections.push({ section: sectionKey, reason: 'English commentary generation failed' });
             continue;
         }
-        await sleep(500);
         
         // 2. 다른 언어 생성 (영어 점수 전달, 본문만 생성)
         for (const lang of ['ko', 'zh', 'ja']) {
@@ -1148,26 +1254,23 @@ async function generateAllCommentaries() {
             } else {
                 console.log(`  ⚠️ ${lang.toUpperCase()}: Failed`);
             }
-            await sleep(500); // Rate limit between API calls
         }
         
-        // Save to Supabase (with scores and reasoning)
+        // Save to storage (with scores and reasoning)
         const saved = await saveCommentary(sectionKey, commentaries, scores, reasoning, metricsData);
         if (saved) {
-            console.log(`  ✅ Saved to Supabase (${Object.keys(commentaries).length} languages)`);
+            console.log(`  ✅ Saved to ${db.backend} (${Object.keys(commentaries).length} languages)`);
             success++;
         } else {
             failed++;
+            failedSections.push({ section: sectionKey, reason: `save to ${db.backend} failed` });
         }
-        
-        // Rate limit: wait between sections
-        await sleep(1000);
     }
     
     console.log('\n' + '-'.repeat(40));
-    console.log(`📊 Commentary: ✅ ${success}/7  |  ❌ ${failed}/7`);
+    console.log(`📊 Commentary: ✅ ${success}/${sectionKeys.length}  |  ❌ ${failed}/${sectionKeys.length}`);
     
-    return { success, failed };
+    return { success, failed, failedSections };
 }
 
 // Dune Query IDs
@@ -1188,6 +1291,8 @@ const DUNE_QUERIES = {
     MVRV: 6354057,
     STABLECOIN_VOL: 6353868,
     GAS_PRICE: 6354506,  // Daily average gas price
+    DAILY_BURN: parseInt(process.env.DUNE_BURN_QUERY_ID || '0'),  // base fee/blob burn + priority fees (scripts/dune/daily_burn.sql)
+    NETWORK_STATS: parseInt(process.env.DUNE_NETWORK_STATS_QUERY_ID || '0'),  // blocks, missed slots, gas limit/used (scripts/dune/network_stats.sql)
     
     // New queries
     L1_TOTAL_VOLUME: 6386589,     // L1 Total Volume (ETH + ERC-20) - for NVT
@@ -1204,26 +1309,21 @@ async function fetchJSON(url, retries = 3) {
     
     for (let i = 0; i < retries; i++) {
         try {
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), 30000);
-            const res = await fetch(url, {
-                signal: controller.signal,
+            // timeout은 호스트 슬롯을 받은 뒤부터 (rate limit 대기 제외)
+            const res = await http.fetch(url, {
+                timeoutMs: 30000,
                 headers: { 'User-Agent': 'ETHval/7.2', 'Accept': 'application/json' }
             });
-            clearTimeout(timeout);
             
+            // 429/503은 http 클라이언트가 Retry-After만큼 기다려 재시도한 뒤의 응답
             if (!res.ok) {
                 console.error(`  ⚠️ HTTP ${res.status} from ${urlShort}`);
-                if (res.status === 429) {
-                    console.error(`  ⚠️ Rate limited! Waiting ${5 * (i + 1)}s...`);
-                    await sleep(5000 * (i + 1)); // Rate limit: 더 긴 대기
-                    continue;
-                }
                 throw new Error(`HTTP ${res.status}`);
             }
             return await res.json();
         } catch (e) {
             console.error(`  ⚠️ Fetch error (attempt ${i + 1}/${retries}): ${e.message}`);
+            if (e.code === 'ENOFIXTURE') break;  // replay 모드: 재시도해도 없음
             if (i < retries - 1) await sleep(2000 * (i + 1));
         }
     }
@@ -1232,162 +1332,516 @@ async function fetchJSON(url, retries = 3) {
 }
 
 // Dune API helper - fetch all results with pagination
-// Note: Dune queries are scheduled to auto-refresh daily at 03:30-04:00 UTC
-async function fetchDuneResults(queryId, maxRows = 10000) {
-    if (!DUNE_API_KEY) {
-        console.log(`  ⚠️ No DUNE_API_KEY`);
-        return null;
+// Note: Dune queries are scheduled to auto-refresh daily at 03:30-04:00 UTC.
+// 스케줄이 밀려 캐시 결과가 오래됐으면 쿼리를 직접 실행하고 완료될 때까지 대기 (admin.html fetchDuneWithRefresh와 동일)
+const DUNE_MAX_STALE_DAYS = parseInt(process.env.DUNE_MAX_STALE_DAYS || '2');
+const DUNE_EXECUTION_TIMEOUT_MS = parseInt(process.env.DUNE_EXECUTION_TIMEOUT_MS || '180000');
+const DUNE_POLL_INTERVAL_MS = 5000;
+
+// queryId -> { latest, ageDays, refreshed, state, executionId, message }
+const duneFreshness = new Map();
+
+const duneRowDate = (row) => String(row.block_date || row.date || row.day || '').split('T')[0].split(' ')[0];
+
+function latestDuneDate(rows) {
+    let latest = null;
+    for (const row of rows) {
+        const d = duneRowDate(row);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(d) && (!latest || d > latest)) latest = d;
     }
-    
+    return latest;
+}
+
+const duneAgeDays = (latest) => latest ? Math.floor((Date.now() - new Date(latest).getTime()) / (24 * 60 * 60 * 1000)) : null;
+
+async function fetchDunePages(queryId, maxRows) {
     const allRows = [];
     const pageSize = 1000;
     let offset = 0;
-    
-    try {
-        while (offset < maxRows) {
-            const url = `https://api.dune.com/api/v1/query/${queryId}/results?limit=${pageSize}&offset=${offset}`;
-            const response = await fetch(url, { 
-                headers: { 'X-Dune-API-Key': DUNE_API_KEY },
-                timeout: 30000
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text().catch(() => 'no body');
-                console.error(`  ❌ Dune API error: ${response.status} - ${errorText.slice(0, 200)}`);
-                break;
+    let meta = null;
+    
+    while (offset < maxRows) {
+        const limit = Math.min(pageSize, maxRows - offset);
+        const url = `https://api.dune.com/api/v1/query/${queryId}/results?limit=${limit}&offset=${offset}`;
+        const response = await http.fetch(url, { 
+            headers: { 'X-Dune-API-Key': DUNE_API_KEY },
+            timeoutMs: 30000
+        });
+        
+        if (!response.ok) {
+            const errorText = await response.text().catch(() => 'no body');
+            console.error(`  ❌ Dune API error: ${response.status} - ${errorText.slice(0, 200)}`);
+            if (offset === 0) return null;
+            break;
+        }
+        
+        const data = await response.json();
+        
+        // 상세 응답 구조 로깅
+        if (offset === 0) {
+            meta = { state: data?.state, executionEndedAt: data?.execution_ended_at || null };
+            const state = data?.state || data?.execution_id ? 'has execution' : 'direct result';
+            console.log(`  📡 Query ${queryId}: state=${state}, has_result=${!!data?.result}`);
+            if (data?.result?.rows?.length > 0) {
+                console.log(`  📋 Columns: ${Object.keys(data.result.rows[0]).join(', ')}`);
             }
-            
-            const data = await response.json();
-            
-            // 상세 응답 구조 로깅
+        }
+        
+        const rows = data?.result?.rows || [];
+        
+        if (rows.length === 0) {
             if (offset === 0) {
-                const state = data?.state || data?.execution_id ? 'has execution' : 'direct result';
-                console.log(`  📡 Query ${queryId}: state=${state}, has_result=${!!data?.result}`);
-                if (data?.result?.rows?.length > 0) {
-                    console.log(`  📋 Columns: ${Object.keys(data.result.rows[0]).join(', ')}`);
-                }
+                console.log(`  ⚠️ Query ${queryId} returned 0 rows (state: ${data?.state || 'unknown'})`);
             }
+            break;
+        }
+        
+        allRows.push(...rows);
+        offset += rows.length;
+        
+        if (rows.length < limit) break;
+    }
+    
+    return { rows: allRows, meta };
+}
+
+// 쿼리 실행 후 완료/실패/타임아웃까지 polling
+async function executeDuneQuery(queryId, timeoutMs = DUNE_EXECUTION_TIMEOUT_MS) {
+    const execResponse = await http.fetch(`https://api.dune.com/api/v1/query/${queryId}/execute`, {
+        method: 'POST',
+        headers: { 
+            'X-Dune-API-Key': DUNE_API_KEY,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ performance: 'medium' }),
+        timeoutMs: 30000
+    });
+    
+    if (!execResponse.ok) {
+        const errorText = await execResponse.text().catch(() => 'no body');
+        return { state: 'failed', message: `execute HTTP ${execResponse.status}: ${errorText.slice(0, 100)}` };
+    }
+    
+    const { execution_id: executionId } = await execResponse.json();
+    console.log(`  ⏳ Execution: ${executionId}`);
+    
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        await sleep(DUNE_POLL_INTERVAL_MS);
+        // polling 한 번이 멈추거나 실패해도 deadline까지 다음 polling으로
+        const statusResponse = await http.fetch(`https://api.dune.com/api/v1/execution/${executionId}/status`, {
+            headers: { 'X-Dune-API-Key': DUNE_API_KEY },
+            timeoutMs: 30000
+        }).catch(() => null);
+        if (!statusResponse?.ok) continue;
+        
+        const { state } = await statusResponse.json();
+        if (state === 'QUERY_STATE_COMPLETED') return { state: 'completed', executionId };
+        if (['QUERY_STATE_FAILED', 'QUERY_STATE_CANCELLED', 'QUERY_STATE_EXPIRED'].includes(state)) {
+            return { state: 'failed', executionId, message: state };
+        }
+    }
+    return { state: 'timeout', executionId, message: `not finished after ${Math.round(timeoutMs / 1000)}s` };
+}
+
+async function fetchDuneResults(queryId, maxRows = 10000, { maxStaleDays = DUNE_MAX_STALE_DAYS } = {}) {
+    if (!DUNE_API_KEY) {
+        console.log(`  ⚠️ No DUNE_API_KEY`);
+        return null;
+    }
+    
+    const report = { latest: null, ageDays: null, refreshed: false, state: 'fresh', executionId: null, executedAt: null, message: null };
+    duneFreshness.set(queryId, report);
+    
+    try {
+        // 1. 캐시된 결과
+        let fetched = await fetchDunePages(queryId, maxRows);
+        let latest = fetched ? latestDuneDate(fetched.rows) : null;
+        let ageDays = duneAgeDays(latest);
+        
+        // 2. stale(또는 결과 없음)이면 쿼리 재실행
+        if (ageDays === null || ageDays > maxStaleDays) {
+            console.log(`  ⚠️ Data stale: ${latest || 'no rows'}${ageDays !== null ? ` (${ageDays}d ago)` : ''}, refreshing...`);
+            const exec = await executeDuneQuery(queryId);
+            report.executionId = exec.executionId || null;
             
-            const rows = data?.result?.rows || [];
-            
-            if (rows.length === 0) {
-                if (offset === 0) {
-                    console.log(`  ⚠️ Query ${queryId} returned 0 rows (state: ${data?.state || 'unknown'})`);
-                }
-                break;
+            if (exec.state === 'completed') {
+                console.log('  ✅ Query completed');
+                report.refreshed = true;
+                fetched = await fetchDunePages(queryId, maxRows) || fetched;
+                latest = fetched ? latestDuneDate(fetched.rows) : null;
+                ageDays = duneAgeDays(latest);
+            } else {
+                console.log(`  ❌ Refresh ${exec.state}: ${exec.message}`);
+                report.message = `refresh ${exec.state}: ${exec.message}`;
             }
-            
-            allRows.push(...rows);
-            offset += pageSize;
-            
-            if (rows.length < pageSize) break;
-            await sleep(500); // Rate limit
+        } else {
+            console.log(`  📅 Latest: ${latest} (${ageDays}d ago) ✓`);
+        }
+        
+        report.latest = latest;
+        report.ageDays = ageDays;
+        report.executedAt = fetched?.meta?.executionEndedAt || null;
+        if (!fetched) report.state = 'error';
+        else if (ageDays === null || ageDays > maxStaleDays) report.state = 'stale';
+        else report.state = report.refreshed ? 'refreshed' : 'fresh';
+        
+        // 재실행 후에도 오래된 데이터면 수집 결과에 표시 (조용히 넣지 않음)
+        if (report.state === 'stale') {
+            const ctx = currentContext();
+            if (ctx) (ctx.stats.staleDune = ctx.stats.staleDune || []).push(`${queryId}@${latest || 'none'}`);
         }
         
-        console.log(`  📊 Total rows fetched: ${allRows.length}`);
-        return allRows;
+        if (!fetched) return null;
+        console.log(`  📊 Total rows fetched: ${fetched.rows.length}`);
+        countFetched(fetched.rows.length);
+        return fetched.rows;
     } catch (e) {
+        report.state = 'error';
+        report.message = e.message;
         console.error(`  ❌ Dune fetch error for query ${queryId}: ${e.message}`);
         return null;
     }
 }
 
-async function upsertBatch(table, records, conflict = 'date') {
-    let saved = 0;
-    for (let i = 0; i < records.length; i += 500) {
-        const batch = records.slice(i, i + 500);
-        const { error } = await supabase.from(table).upsert(batch, { onConflict: conflict });
-        if (!error) saved += batch.length;
-        else console.error(`  Error ${table}:`, error.message);
+// 이번 실행에서 조회한 Dune 쿼리별 최신 날짜/재실행 여부
+function printDuneFreshness() {
+    const names = Object.fromEntries(Object.entries(DUNE_QUERIES).map(([name, id]) => [id, name]));
+    const icons = { fresh: '🟢', refreshed: '🔄', stale: '🟠', error: '🔴' };
+    console.log('-'.repeat(60));
+    console.log(`🕒 DUNE FRESHNESS (max ${DUNE_MAX_STALE_DAYS}d):`);
+    for (const [queryId, r] of duneFreshness) {
+        const age = r.ageDays !== null ? `${r.ageDays}d` : '-';
+        const detail = r.message ? `  (${r.message})` : '';
+        console.log(`${icons[r.state]} ${(names[queryId] || queryId).toString().padEnd(20)} : ${r.state.padEnd(9)} latest ${r.latest || '-'} (${age})${detail}`);
     }
-    return saved;
 }
 
-const cutoff3Y = () => Date.now() / 1000 - (1095 * 24 * 60 * 60);
+// 쓰기 실패 - 대상 테이블에는 아무것도 반영되지 않음 (writeAtomic)
+class WriteError extends Error {
+    constructor(table, rows, message) {
+        const dates = rows.map(r => r.date).filter(Boolean).sort();
+        const range = dates.length ? `${dates[0]}..${dates[dates.length - 1]}` : 'no dates';
+        super(`${table}: ${rows.length} rows (${range}) not written - ${message}`);
+        this.name = 'WriteError';
+        this.table = table;
+        this.range = { from: dates[0] || null, to: dates[dates.length - 1] || null, count: rows.length };
+    }
+}
 
-// ============================================================
-// 1. ETH Price (Dune API - 안정적)
-// ============================================================
-async function collect_eth_price() {
-    if (!DUNE_API_KEY) {
-        return result.skip('No Dune API key');
+// 검증 → 격리 → upsert (모든 수집기의 쓰기 경로)
+async function upsertBatch(table, records, conflict = 'date') {
+    const ctx = currentContext();
+    
+    // provenance가 없는 행은 측정값으로 기록
+    const { valid, rejected } = await validateRecords(db, table, applyDefaultProvenance(records));
+    if (rejected.length > 0) {
+        // 통과한 행은 writeTracked에서 rowsSubmitted로 셈
+        if (ctx) {
+            ctx.stats.rejected += rejected.length;
+            ctx.stats.rowsSubmitted = (ctx.stats.rowsSubmitted || 0) + rejected.length;
+        }
+        console.log(`  🚫 ${table}: ${rejected.length} rows quarantined (e.g. ${rejected[0].row.date}: ${rejected[0].reason})`);
+        await quarantineRows(db, table, rejected, ctx?.dataset);
     }
     
+    const lowConfidence = valid.filter(r => r.confidence === 'low').length;
+    if (lowConfidence > 0) {
+        if (ctx) ctx.stats.lowConfidence = (ctx.stats.lowConfidence || 0) + lowConfidence;
+    }
+    
+    return await writeTracked(table, valid, { conflict });
+}
+
+/**
+ * 저장된 행과 비교해 새 행/바뀐 행만 쓰고, 바뀐 행의 이전 값은 data_revisions에 보관 (lib/vintages.js)
+ * runDataset 안에서는 op를 컨텍스트에 쌓아 두고 수집기가 끝난 뒤 한 번의 db.writeAtomic으로 반영,
+ * 밖에서는 바로 writeAtomic - 실패하면 아무것도 쓰지 않고 WriteError
+ *   partial: 부분 update payload (기존 행의 일부 컬럼만) - 저장소에 없는 날짜는 건너뜀
+ * 반환: 반영할 행 수 (값이 같아 건너뛴 행 포함)
+ */
+async function writeTracked(table, rows, { conflict = 'date', partial = false } = {}) {
+    const ctx = currentContext();
+    // 수집기가 쓰기 경로에 넘긴 행 (upsertBatch를 거치지 않는 부분 update 포함)
+    if (ctx) ctx.stats.rowsSubmitted = (ctx.stats.rowsSubmitted || 0) + rows.length;
+    const keyCols = conflict.split(',').map(c => c.trim());
+    // 같은 키는 마지막 행만 (한 번의 upsert에서 같은 행을 두 번 고칠 수 없음)
+    const deduped = [...new Map(rows.map(r => [keyCols.map(c => r[c]).join('|'), r])).values()];
+    if (deduped.length === 0) return 0;
+    
+    let diff;
     try {
-        // Dune API로 ETH 가격 데이터 가져오기
-        const response = await fetch(
-            `https://api.dune.com/api/v1/query/${DUNE_QUERIES.ETH_PRICE}/results?limit=1500`,
-            { headers: { 'X-Dune-API-Key': DUNE_API_KEY } }
-        );
-        
-        if (!response.ok) {
-            throw new Error(`Dune API error: ${response.status}`);
+        // 같은 데이터셋에서 먼저 쌓아 둔 행은 저장된 것으로 보고 비교
+        const staged = ctx?.staged?.get(table);
+        diff = await diffBatch(db, table, deduped, { keyCols, staged, runId: ctx?.runId ?? null, dataset: ctx?.dataset ?? null });
+    } catch (e) {
+        throw recordWriteError(new WriteError(table, deduped, `could not read existing rows: ${e.message}`));
+    }
+    
+    const writes = partial ? diff.changed : diff.rows;
+    if (writes.length > 0) {
+        const ops = [
+            // 부분 행은 UPDATE - 없는 행을 만들거나 NOT NULL 컬럼 검사에 걸리지 않게
+            { table, rows: writes, onConflict: conflict, update: partial },
+            { table: REVISIONS_TABLE, rows: diff.revisions }
+        ];
+        if (ctx?.pending) {
+            ctx.pending.push(...ops);
+            if (!ctx.staged.has(table)) ctx.staged.set(table, new Map());
+            for (const r of writes) {
+                const key = rowKey(r, keyCols);
+                ctx.staged.get(table).set(key, { ...ctx.staged.get(table).get(key), ...r });
+            }
+        } else {
+            const { error } = await db.writeAtomic(ops);
+            if (error) throw recordWriteError(new WriteError(table, writes, error.message));
         }
-        
-        const data = await response.json();
-        
-        if (!data?.result?.rows || data.result.rows.length === 0) {
-            throw new Error('No data from Dune');
+    }
+    
+    const counts = { ...diff.counts, new: partial ? 0 : diff.counts.new };
+    console.log(`  💾 ${table}: ${counts.new} new, ${counts.changed} changed, ${counts.unchanged} unchanged`);
+    if (ctx) {
+        countChanges(ctx.stats, counts);
+        ctx.stats.revised = (ctx.stats.revised || 0) + diff.revisions.length;
+        for (const r of [...writes, ...diff.unchanged]) {
+            if (r.date && !(ctx.stats.latestDate >= r.date)) ctx.stats.latestDate = r.date;
         }
-        
-        const records = data.result.rows.map(row => {
-            // Parse date and create timestamp
-            const dateStr = typeof row.date === 'string' ? row.date.split(' ')[0] : row.date;
-            const timestamp = new Date(dateStr).getTime();
-            
-            return {
-                date: dateStr,
-                timestamp: timestamp,
-                open: parseFloat(row.open) || parseFloat(row.avg_price),
-                high: parseFloat(row.high) || parseFloat(row.avg_price),
-                low: parseFloat(row.low) || parseFloat(row.avg_price),
-                close: parseFloat(row.close) || parseFloat(row.avg_price),
-                volume: 0  // Dune에서 volume 없음
-            };
-        });
-        
-        if (records.length > 100) {
-            const saved = await upsertBatch('historical_eth_price', records);
-            return result.ok(saved);
+    }
+    return writes.length + diff.unchanged.length;
+}
+
+/**
+ * 수집기 하나를 실행하고 쌓인 쓰기를 한 트랜잭션으로 반영 (데이터셋 단위 all-or-nothing)
+ * 수집기가 예외를 던지거나 fail을 반환하면 아무것도 쓰지 않음
+ */
+async function runDataset(context, fn) {
+    return runWithContext({ ...context, pending: [], staged: new Map() }, async () => {
+        const res = await fn();
+        const ctx = currentContext();
+        const ops = ctx.pending.filter(op => op.rows.length > 0);
+        if (ops.length === 0) return res;
+        if (res?.status === 'fail') {
+            console.log(`  🗑️ ${context.dataset}: failed, ${ops.length} staged writes discarded`);
+            return res;
         }
         
-        throw new Error('Insufficient data');
-    } catch (e) {
-        // 실패 시 기존 데이터 유지
-        const { data: existing } = await supabase
-            .from('historical_eth_price')
-            .select('date')
-            .order('date', { ascending: false })
-            .limit(1);
-        
-        if (existing?.length > 0) {
-            return result.skip(`Dune error: ${e.message}`);
+        const { error } = await db.writeAtomic(ops);
+        if (error) {
+            const main = ops.filter(op => op.table !== REVISIONS_TABLE);
+            const tables = [...new Set(main.map(op => op.table))].join(' + ');
+            throw recordWriteError(new WriteError(tables, main.flatMap(op => op.rows), error.message));
         }
-        return result.fail(e.message);
+        return res;
+    });
+}
+
+// 수집기가 예외를 잡아 삼켜도 결과가 fail이 되도록 컨텍스트에 남김 (runCollector에서 확인)
+function recordWriteError(error) {
+    const ctx = currentContext();
+    if (ctx) ctx.stats.writeErrors = [...(ctx.stats.writeErrors || []), error.message];
+    console.error(`  ❌ ${error.message}`);
+    return error;
+}
+
+// 소스 응답에서 파싱한 행 수 (기간 필터/검증 전) → scheduler_dataset_logs.rows_fetched
+function countFetched(n) {
+    const ctx = currentContext();
+    if (ctx) ctx.stats.rowsFetched = (ctx.stats.rowsFetched || 0) + n;
+}
+
+// 데이터셋별 변경 통계 (upserted = 실제로 쓴 행 = new + changed)
+function countChanges(stats, counts) {
+    stats.rowsNew = (stats.rowsNew || 0) + counts.new;
+    stats.rowsChanged = (stats.rowsChanged || 0) + counts.changed;
+    stats.rowsUnchanged = (stats.rowsUnchanged || 0) + counts.unchanged;
+    stats.upserted = (stats.upserted || 0) + counts.new + counts.changed;
+}
+
+// 페이지 단위로 테이블 전체 조회 (Supabase는 한 번에 최대 1000행)
+async function fetchAllRows(table, columns, { from } = {}) {
+    const rows = [];
+    const pageSize = 1000;
+    for (let offset = 0; ; offset += pageSize) {
+        let query = db.from(table).select(columns);
+        if (from) query = query.gte('date', from);
+        const { data, error } = await query.order('date', { ascending: true }).range(offset, offset + pageSize - 1);
+        if (error) {
+            console.error(`  Error ${table}:`, error.message);
+            return null;
+        }
+        rows.push(...data);
+        if (data.length < pageSize) break;
+    }
+    return rows;
+}
+
+// 날짜별 ETH 공급량 (historical_eth_supply, low confidence 제외)
+// 반환: (date) => { supply, interpolated } - 없는 날은 앞뒤 값으로 선형 보간, 범위 밖은 가장 가까운 값
+// 공급량 데이터가 전혀 없으면 null
+async function loadSupplyByDate() {
+    const rows = (await fetchAllRows('historical_eth_supply', 'date, eth_supply, confidence') || [])
+        .filter(r => r.eth_supply > 0 && r.confidence !== 'low');
+    if (rows.length === 0) return null;
+    
+    const points = rows.map(r => ({ t: Date.parse(r.date), supply: parseFloat(r.eth_supply) }));
+    return (date) => {
+        const t = Date.parse(date);
+        const first = points[0], last = points[points.length - 1];
+        if (t <= first.t) return { supply: first.supply, interpolated: t !== first.t };
+        if (t >= last.t) return { supply: last.supply, interpolated: t !== last.t };
+        
+        let lo = 0, hi = points.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (points[mid].t <= t) lo = mid; else hi = mid;
+        }
+        const a = points[lo], b = points[hi];
+        if (a.t === t) return { supply: a.supply, interpolated: false };
+        const supply = a.supply + (b.supply - a.supply) * (t - a.t) / (b.t - a.t);
+        return { supply: parseFloat(supply.toFixed(2)), interpolated: true };
+    };
+}
+
+const cutoff3Y = () => Date.now() / 1000 - (1095 * 24 * 60 * 60);
+
+// --from/--to 날짜 범위로 레코드 필터 (범위 미지정 시 그대로)
+// dates(Set)가 있으면 해당 날짜만 (backfill에서 누락 날짜만 다시 쓸 때)
+const filterDateRange = (records, { from, to, dates } = {}) =>
+    records.filter(r => (!from || r.date >= from) && (!to || r.date <= to) && (!dates || dates.has(r.date)));
+
+// ============================================================
+// Source chains (registry sources) - 데이터셋별 1순위 → fallback 소스
+// ============================================================
+
+/**
+ * Collector for a dataset declared with `sources` in the registry
+ * 성공한 첫 소스의 행을 upsert. 1순위가 아닌 소스로 채웠으면 warn,
+ * 전부 실패하면 기존 데이터가 있을 때 warn(유지), 없으면 fail
+ */
+async function collectFromSources(def, opts = {}) {
+    const dataset = currentContext()?.dataset || def.table;
+    const { records, source, attempts } = await runSourceChain(def.sources, opts, { dataset, breakers: sourceBreakers });
+    const failures = attempts.filter(a => a.status !== 'ok' && a.status !== 'disabled');
+    const trail = failures.map(a => `${a.name}: ${a.error}`).join('; ');
+    
+    if (!records) {
+        if (failures.length === 0) return result.skip(`No source configured (${attempts.map(a => a.name).join(', ')})`);
+        const { data: existing } = await db.from(def.table).select('date').order('date', { ascending: false }).limit(1);
+        if (existing?.length > 0) return result.warn(0, `All sources failed - ${trail} (keeping existing data)`);
+        return result.fail(`All sources failed - ${trail}`);
+    }
+    
+    console.log(`  📡 ${records.length} rows from ${source}`);
+    countFetched(records.length);
+    const saved = await upsertBatch(def.table, filterDateRange(records, opts), def.conflict);
+    const primary = def.sources.find(a => !a.enabled || a.enabled());
+    if (source !== primary.name) return result.warn(saved, `served by fallback ${source} (${trail || `${primary.name} skipped`})`);
+    return result.ok(saved);
+}
+
+// CoinGecko (COINGECKO_API_KEY가 있으면 Pro - 3년, 없으면 무료 API - 365일)
+const coingeckoUrl = (path) => (COINGECKO_API_KEY
+    ? `https://pro-api.coingecko.com/api/v3${path}${path.includes('?') ? '&' : '?'}x_cg_pro_api_key=${COINGECKO_API_KEY}`
+    : `https://api.coingecko.com/api/v3${path}`);
+
+/**
+ * Fallback rows only for dates the primary source hasn't stored
+ * (CoinGecko 종가는 00:00 UTC 값이라 Dune 행을 덮어쓰면 안 됨, 이전 fallback 행만 갱신)
+ */
+async function onlyMissingDates(table, records, fallbackSource) {
+    const stored = await fetchAllRows(table, '*');
+    if (!stored) throw new Error(`could not read ${table}`);
+    const primaryDates = new Set(stored.filter(r => r.source !== fallbackSource).map(r => r.date));
+    const missing = records.filter(r => !primaryDates.has(r.date));
+    if (missing.length === 0) throw new Error('no dates missing from primary source');
+    return missing;
+}
+
+/**
+ * ETH daily close/volume from CoinGecko market_chart → [{ date, price, volume }]
+ * 00:00 UTC 포인트 = 전날 종가로 기록, 마지막(현재 시각) 포인트는 제외
+ */
+async function fetchCoinGeckoDaily(vsCurrency) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const days = COINGECKO_API_KEY ? 1095 : 365;
+    const data = await fetchJSON(coingeckoUrl(`/coins/ethereum/market_chart?vs_currency=${vsCurrency}&days=${days}&interval=daily`));
+    if (!data?.prices) throw new Error('CoinGecko market_chart unavailable');
+    
+    const volumes = new Map((data.total_volumes || []).map(([t, v]) => [t, v]));
+    const out = new Map();
+    for (const [t, price] of data.prices) {
+        if (t % DAY_MS !== 0 || !(price > 0)) continue;
+        const date = new Date(t - DAY_MS).toISOString().split('T')[0];
+        out.set(date, { date, price, volume: volumes.get(t) ?? null });
     }
+    return [...out.values()];
+}
+
+// ============================================================
+// 1. ETH Price (Dune API - 안정적, 실패 시 CoinGecko)
+// ============================================================
+async function fetchEthPriceDune() {
+    // Dune API로 ETH 가격 데이터 가져오기 (stale이면 재실행)
+    const rows = await fetchDuneResults(DUNE_QUERIES.ETH_PRICE, 1500);
+    if (!rows) throw new Error('Dune API error');
+    
+    const records = rows.map(row => {
+        // Parse date and create timestamp
+        const dateStr = typeof row.date === 'string' ? row.date.split(' ')[0] : row.date;
+        const timestamp = new Date(dateStr).getTime();
+        
+        return {
+            date: dateStr,
+            timestamp: timestamp,
+            open: parseFloat(row.open) || parseFloat(row.avg_price),
+            high: parseFloat(row.high) || parseFloat(row.avg_price),
+            low: parseFloat(row.low) || parseFloat(row.avg_price),
+            close: parseFloat(row.close) || parseFloat(row.avg_price),
+            volume: 0  // Dune에서 volume 없음
+        };
+    });
+    if (records.length <= 100) throw new Error(`Insufficient data (${records.length} rows)`);
+    return records;
 }
 
+async function fetchEthPriceCoinGecko() {
+    // 일별 종가만 있음 - open/high/low 키는 넣지 않음 (기존 OHLC를 null로 덮지 않게)
+    const records = (await fetchCoinGeckoDaily('usd')).map(d => ({
+        date: d.date,
+        timestamp: Date.parse(d.date),
+        close: parseFloat(d.price.toFixed(2)),
+        volume: d.volume !== null ? Math.round(d.volume) : 0,
+        ...provenance('fallback', { source: 'coingecko', sampled_at: '00:00 UTC' }, 'medium')
+    }));
+    return await onlyMissingDates('historical_eth_price', records, 'coingecko');
+}
+
+const ETH_PRICE_SOURCES = [
+    { name: 'dune', enabled: () => !!DUNE_API_KEY, fetch: fetchEthPriceDune },
+    { name: 'coingecko', fetch: fetchEthPriceCoinGecko }
+];
+
 // ============================================================
 // 2. Ethereum TVL (DefiLlama)
 // ============================================================
-async function collect_ethereum_tvl() {
+async function collect_ethereum_tvl(opts = {}) {
     const data = await fetchJSON('https://api.llama.fi/v2/historicalChainTvl/Ethereum');
     if (!data) return 0;
     const records = data.filter(d => d.date > cutoff3Y() && d.tvl > 0).map(d => ({
         date: new Date(d.date * 1000).toISOString().split('T')[0],
         tvl: parseFloat(d.tvl.toFixed(2))
     }));
-    return await upsertBatch('historical_ethereum_tvl', records);
+    countFetched(records.length);
+    return await upsertBatch('historical_ethereum_tvl', filterDateRange(records, opts));
 }
 
 // ============================================================
 // 3. L2 TVL (DefiLlama)
 // ============================================================
-async function collect_l2_tvl() {
+async function collect_l2_tvl(opts = {}) {
     const chains = ['Arbitrum', 'Optimism', 'Base', 'zkSync Era', 'Linea', 'Scroll', 'Blast'];
     const all = [];
     for (const chain of chains) {
-        await sleep(300);
         const data = await fetchJSON(`https://api.llama.fi/v2/historicalChainTvl/${encodeURIComponent(chain)}`);
         if (data) {
             const recs = data.filter(d => d.date > cutoff3Y() && d.tvl > 0).map(d => ({
@@ -1398,83 +1852,54 @@ async function collect_l2_tvl() {
             console.log(`  ${chain}: ${recs.length}`);
         }
     }
-    return await upsertBatch('historical_l2_tvl', all, 'date,chain');
+    countFetched(all.length);
+    return await upsertBatch('historical_l2_tvl', filterDateRange(all, opts), 'date,chain');
 }
 
 // ============================================================
-// 4. Protocol Fees (DefiLlama)
+// 4. Protocol Fees (DefiLlama) - summary 엔드포인트, 실패 시 overview
 // ============================================================
-async function collect_protocol_fees() {
-    const data = await fetchJSON('https://api.llama.fi/summary/fees/ethereum?dataType=dailyFees');
-    if (!data?.totalDataChart) return 0;
-    const records = data.totalDataChart.filter(d => d[1] > 0).map(d => ({
+const fetchLlamaFees = (endpoint) => async () => {
+    const data = await fetchJSON(`https://api.llama.fi/${endpoint}/fees/ethereum?dataType=dailyFees`);
+    if (!data?.totalDataChart) throw new Error(`${endpoint}/fees unavailable`);
+    return data.totalDataChart.filter(d => d[1] > 0).map(d => ({
         date: new Date(d[0] * 1000).toISOString().split('T')[0],
         fees: parseFloat(d[1].toFixed(2))
     }));
-    return await upsertBatch('historical_protocol_fees', records);
-}
+};
+
+const PROTOCOL_FEES_SOURCES = [
+    { name: 'defillama', fetch: fetchLlamaFees('summary') },
+    { name: 'defillama-overview', fetch: fetchLlamaFees('overview') }
+];
 
 // ============================================================
-// 5. Staking Data (DefiLlama Yields API - admin.html 방식)
+// 5a. Staking Estimate (DefiLlama Yields API - admin.html 방식, 실패 시 Lido protocol TVL)
+// Lido TVL ÷ Lido 점유율로 전체 스테이킹 추정 → historical_staking_estimate
+// beacon chain 실측값이 없는 날의 fallback, 추정 오차 추적용
 // ============================================================
-async function collect_staking() {
-    
-    // Primary: DefiLlama yields API (APR + TVL 동시에)
+async function fetchEthPriceMap() {
+    const { data: prices } = await db.from('historical_eth_price').select('date, close').order('date', { ascending: false }).limit(1100);
+    return new Map(prices?.map(p => [p.date, parseFloat(p.close)]) || []);
+}
+
+// 날짜당 첫 행만
+const dedupeByDate = (records) => {
+    const seen = new Set();
+    return records.filter(r => {
+        if (seen.has(r.date)) return false;
+        seen.add(r.date);
+        return true;
+    });
+};
+
+// Primary: DefiLlama yields API (APR + TVL 동시에)
+async function fetchStakingEstimateYields() {
     const yieldData = await fetchJSON('https://yields.llama.fi/chart/747c1d2a-c668-4682-b9f9-296708a3dd90');
-    
-    if (!yieldData?.data || yieldData.data.length === 0) {
-        console.log('  ⚠️ DefiLlama yields API failed, trying Lido protocol...');
-        
-        // Fallback: Lido protocol TVL
-        const lidoData = await fetchJSON('https://api.llama.fi/protocol/lido');
-        if (!lidoData?.tvl || lidoData.tvl.length === 0) {
-            console.log('  ❌ DefiLlama & Lido APIs failed');
-            return result.fail('No staking data available');
-        }
-        
-        const { data: prices } = await supabase.from('historical_eth_price').select('date, close').order('date', { ascending: false }).limit(1100);
-        const priceMap = new Map(prices?.map(p => [p.date, parseFloat(p.close)]) || []);
-        
-        const cutoff = Date.now() / 1000 - (1095 * 86400);
-        const records = [];
-        
-        for (const point of lidoData.tvl) {
-            if (point.date < cutoff) continue;
-            
-            const date = new Date(point.date * 1000).toISOString().split('T')[0];
-            const lidoTvlUsd = point.totalLiquidityUSD || 0;
-            const price = priceMap.get(date) || 3500;
-            
-            if (lidoTvlUsd <= 0) continue;
-            
-            const lidoStakedEth = lidoTvlUsd / price;
-            const totalStakedEth = lidoStakedEth / 0.28; // Lido ~28% market share
-            const totalValidators = Math.round(totalStakedEth / 32);
-            
-            records.push({
-                date,
-                total_staked_eth: Math.round(totalStakedEth),
-                total_validators: totalValidators,
-                avg_apr: 3.5, // Fallback APR
-                source: 'defillama-lido'
-            });
-        }
-        
-        // Dedupe
-        const seen = new Set();
-        const uniqueRecords = records.filter(r => {
-            if (seen.has(r.date)) return false;
-            seen.add(r.date);
-            return true;
-        });
-        
-        console.log(`  📦 ${uniqueRecords.length} staking records (from Lido fallback)`);
-        return await upsertBatch('historical_staking', uniqueRecords);
-    }
+    if (!yieldData?.data || yieldData.data.length === 0) throw new Error('DefiLlama yields API failed');
     
     // Get ETH prices for TVL calculation
-    const { data: prices } = await supabase.from('historical_eth_price').select('date, close').order('date', { ascending: false }).limit(1100);
-    const priceMap = new Map(prices?.map(p => [p.date, parseFloat(p.close)]) || []);
+    const priceMap = await fetchEthPriceMap();
     
     const cutoff = Date.now() - (1095 * 24 * 60 * 60 * 1000);
     const records = [];
@@ -1508,49 +1933,248 @@ async function collect_staking() {
             total_staked_eth: Math.round(totalStakedEth),
             total_validators: totalValidators,
             avg_apr: parseFloat(apr.toFixed(2)),
-            source: 'defillama'
+            ...provenance(priceMap.has(date) ? 'estimated' : 'fallback', {
+                lido_staked_eth: Math.round(lidoStakedEth), lido_share: marketShare, price
+            })
         });
     }
     
-    // Dedupe
-    const seen = new Set();
-    const uniqueRecords = records.filter(r => {
-        if (seen.has(r.date)) return false;
-        seen.add(r.date);
-        return true;
-    });
-    
-    console.log(`  📦 ${uniqueRecords.length} staking records with APR`);
-    return await upsertBatch('historical_staking', uniqueRecords);
+    return dedupeByDate(records);
 }
 
-// ============================================================
-// 6. Gas & Burn (Etherscan API for gas utilization)
-// ============================================================
-async function collect_gas_burn() {
-    
-    const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY;
-    
-    // 1. 먼저 기존 데이터에서 마지막 날짜 확인
-    const { data: existing } = await supabase.from('historical_gas_burn')
-        .select('date')
-        .order('date', { ascending: false })
-        .limit(1);
-    
-    const lastDate = existing?.[0]?.date || '2022-01-01';
-    const startDate = new Date(lastDate);
-    startDate.setDate(startDate.getDate() + 1);
-    const endDate = new Date();
-    endDate.setDate(endDate.getDate() - 1); // 어제까지
+// Fallback: Lido protocol TVL (APR 없음 → 고정 3.5%)
+async function fetchStakingEstimateLido() {
+    const lidoData = await fetchJSON('https://api.llama.fi/protocol/lido');
+    if (!lidoData?.tvl || lidoData.tvl.length === 0) throw new Error('Lido protocol API failed');
     
-    if (startDate >= endDate) {
-        console.log('  ✅ Already up to date');
-        return result.skip('Already up to date');
-    }
+    const priceMap = await fetchEthPriceMap();
     
-    const startStr = startDate.toISOString().split('T')[0];
-    const endStr = endDate.toISOString().split('T')[0];
-    console.log(`  📅 Fetching ${startStr} to ${endStr}`);
+    const cutoff = Date.now() / 1000 - (1095 * 86400);
+    const records = [];
+    
+    for (const point of lidoData.tvl) {
+        if (point.date < cutoff) continue;
+        
+        const date = new Date(point.date * 1000).toISOString().split('T')[0];
+        const lidoTvlUsd = point.totalLiquidityUSD || 0;
+        const price = priceMap.get(date) || 3500;
+        
+        if (lidoTvlUsd <= 0) continue;
+        
+        const lidoStakedEth = lidoTvlUsd / price;
+        const totalStakedEth = lidoStakedEth / 0.28; // Lido ~28% market share
+        const totalValidators = Math.round(totalStakedEth / 32);
+        
+        records.push({
+            date,
+            total_staked_eth: Math.round(totalStakedEth),
+            total_validators: totalValidators,
+            avg_apr: 3.5, // Fallback APR
+            ...provenance(priceMap.has(date) ? 'estimated' : 'fallback', {
+                lido_staked_eth: Math.round(lidoStakedEth), lido_share: 0.28, price, avg_apr: 'fixed 3.5'
+            })
+        });
+    }
+    
+    return dedupeByDate(records);
+}
+
+const STAKING_ESTIMATE_SOURCES = [
+    { name: 'defillama', fetch: fetchStakingEstimateYields },
+    { name: 'defillama-lido', fetch: fetchStakingEstimateLido }
+];
+
+// ============================================================
+// 5b. Staking Data (beaconcha.in - beacon chain 실측)
+// 날짜별 마지막 epoch의 active stake / validator 수 → historical_staking
+// 실측이 없는 날은 Lido 추정치를 fallback으로 채우고, 두 값의 차이는 historical_staking_diff에 기록
+// ============================================================
+const BEACON_GENESIS_TS = 1606824023;
+const SECONDS_PER_EPOCH = 384;
+// beaconcha.in 무료 한도 때문에 한 번에 최근 N일씩 채움 (나머지는 다음 실행에서)
+const BEACON_MAX_DAYS_PER_RUN = parseInt(process.env.BEACON_MAX_DAYS_PER_RUN || '60');
+
+async function fetchBeaconEpoch(epoch) {
+    const key = process.env.BEACONCHAIN_API_KEY;
+    const data = await fetchJSON(`https://beaconcha.in/api/v1/epoch/${epoch}${key ? `?apikey=${key}` : ''}`);
+    return data?.status === 'OK' && data.data ? data.data : null;
+}
+
+async function collect_staking(opts = {}) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const toDateStr = (t) => new Date(t).toISOString().split('T')[0];
+    
+    // 오늘은 마지막 epoch이 아직 없으므로 어제까지
+    const yesterday = toDateStr(Date.now() - DAY_MS);
+    const to = opts.to && opts.to < yesterday ? opts.to : yesterday;
+    const from = opts.from || toDateStr(Date.now() - 1095 * DAY_MS);
+    
+    const existing = await fetchAllRows('historical_staking', 'date, method, total_staked_eth', { from }) || [];
+    const measured = new Map(existing.filter(r => r.method === 'measured').map(r => [r.date, r.total_staked_eth]));
+    
+    // 실측값이 없는 날짜 (최신순)
+    const wanted = [];
+    for (let t = Date.parse(to); t >= Date.parse(from); t -= DAY_MS) {
+        const date = toDateStr(t);
+        if (!measured.has(date) && (!opts.dates || opts.dates.has(date))) wanted.push(date);
+    }
+    const toFetch = wanted.slice(0, BEACON_MAX_DAYS_PER_RUN);
+    if (wanted.length > toFetch.length) {
+        console.log(`  ⏳ ${wanted.length - toFetch.length} older days left for later runs`);
+    }
+    
+    const beacon = [];
+    let failures = 0;
+    for (const date of toFetch) {
+        const endOfDay = Date.parse(date) / 1000 + 86400 - 1;
+        const epoch = Math.floor((endOfDay - BEACON_GENESIS_TS) / SECONDS_PER_EPOCH);
+        const e = await fetchBeaconEpoch(epoch);
+        if (!e) {
+            // 연속 실패면 API 장애로 보고 중단
+            if (++failures >= 3 && beacon.length === 0) break;
+            continue;
+        }
+        beacon.push({
+            date,
+            total_staked_eth: Math.round(e.eligibleether / 1e9),
+            total_validators: e.validatorscount,
+            validator_balance_eth: Math.round(e.totalvalidatorbalance / 1e9),
+            epoch,
+            source: 'beaconchain'
+        });
+    }
+    console.log(`  🛰️ ${beacon.length}/${toFetch.length} days from beacon chain`);
+    countFetched(beacon.length);
+    
+    // APR은 Lido APY (추정 테이블과 동일 소스)
+    const estimates = await fetchAllRows('historical_staking_estimate', 'date, total_staked_eth, total_validators, avg_apr, source, inputs', { from }) || [];
+    const estimateMap = new Map(estimates.map(e => [e.date, e]));
+    for (const row of beacon) {
+        row.avg_apr = estimateMap.get(row.date)?.avg_apr ?? null;
+    }
+    
+    // 실측값이 없는 날은 추정치를 fallback으로 (라벨 유지)
+    // confidence는 medium - backfill이 끝나기 전까지 모델이 쓸 staking 이력이 이것뿐 (003_provenance.sql과 동일)
+    const fetched = new Set(beacon.map(r => r.date));
+    const fallback = estimates
+        .filter(e => e.date <= to && !measured.has(e.date) && !fetched.has(e.date))
+        .map(e => ({
+            date: e.date,
+            total_staked_eth: e.total_staked_eth,
+            total_validators: e.total_validators,
+            avg_apr: e.avg_apr,
+            validator_balance_eth: null,
+            epoch: null,
+            source: 'lido-estimate',
+            ...provenance('fallback', { ...e.inputs, estimate_source: e.source }, 'medium')
+        }));
+    
+    const saved = await upsertBatch('historical_staking', filterDateRange([...beacon, ...fallback], opts));
+    
+    // 실측 vs 추정 차이 (실측이 있는 모든 날)
+    for (const row of beacon) measured.set(row.date, row.total_staked_eth);
+    const diffs = [];
+    for (const [date, beaconStaked] of measured) {
+        const est = estimateMap.get(date);
+        if (!est || !beaconStaked) continue;
+        const diff = est.total_staked_eth - beaconStaked;
+        diffs.push({
+            date,
+            beacon_staked_eth: beaconStaked,
+            estimated_staked_eth: est.total_staked_eth,
+            diff_eth: diff,
+            diff_pct: parseFloat((diff / beaconStaked * 100).toFixed(2)),
+            ...provenance('derived', { estimate_source: est.source })
+        });
+    }
+    if (diffs.length > 0) {
+        const latest = diffs.sort((a, b) => a.date.localeCompare(b.date))[diffs.length - 1];
+        console.log(`  📏 Lido estimate vs beacon (${latest.date}): ${latest.diff_pct > 0 ? '+' : ''}${latest.diff_pct}%`);
+        await upsertBatch('historical_staking_diff', filterDateRange(diffs, opts));
+    }
+    
+    if (toFetch.length > 0 && beacon.length === 0) {
+        return result.warn(saved, 'beaconcha.in unavailable, using Lido estimate');
+    }
+    return result.ok(saved);
+}
+
+// ============================================================
+// 6. Gas & Burn (Dune 실측 burn + Etherscan API for gas utilization)
+// 소각량 실측: Σ base fee × gas used (블록별), blob burn, priority fee는 별도 컬럼 (scripts/dune/daily_burn.sql)
+// 실측이 없는 날만 fees × 0.8 ÷ price 추정
+// ============================================================
+async function fetchMeasuredBurn() {
+    if (!DUNE_API_KEY || DUNE_QUERIES.DAILY_BURN === 0) {
+        console.log('  ⚠️ DUNE_BURN_QUERY_ID not set, burn will be estimated from fees');
+        return null;
+    }
+    
+    const rows = await fetchDuneResults(DUNE_QUERIES.DAILY_BURN, 1500);
+    if (!rows || rows.length === 0) {
+        console.log('  ⚠️ Daily burn query returned no data');
+        return null;
+    }
+    
+    const num = (v) => (v === null || v === undefined || v === '' ? null : parseFloat(v));
+    const round = (v, d = 4) => (v === null ? null : parseFloat(v.toFixed(d)));
+    return rows.map(r => {
+        let dateStr = r.date || r.block_date || '';
+        if (dateStr.includes(' ')) dateStr = dateStr.split(' ')[0];
+        if (dateStr.includes('T')) dateStr = dateStr.split('T')[0];
+        
+        return {
+            date: dateStr,
+            eth_burnt: round(num(r.eth_burnt)),
+            blob_burnt_eth: round(num(r.blob_burnt_eth), 6),
+            priority_fees_eth: round(num(r.priority_fees_eth)),
+            gas_used: num(r.gas_used),
+            avg_base_fee_gwei: round(num(r.avg_base_fee_gwei)),
+            transaction_count: r.transaction_count ? parseInt(r.transaction_count) : null,
+            source: 'dune'
+        };
+    }).filter(r => r.date && r.eth_burnt !== null);
+}
+
+async function collect_gas_burn(opts = {}) {
+    
+    const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY;
+    
+    // 0. 실측 소각량 (Dune) - 매번 전체 기간 갱신
+    let measuredSaved = 0;
+    const measured = await fetchMeasuredBurn();
+    if (measured?.length > 0) {
+        const latest = measured[0];
+        console.log(`  🔥 ${measured.length} measured days, latest ${latest.date}: burn ${latest.eth_burnt} ETH, blob ${latest.blob_burnt_eth} ETH, tips ${latest.priority_fees_eth} ETH`);
+        measuredSaved = await upsertBatch('historical_gas_burn', filterDateRange(measured, opts));
+    }
+    
+    // 1. 먼저 기존 데이터에서 마지막 날짜 확인
+    const { data: existing } = await db.from('historical_gas_burn')
+        .select('date')
+        .order('date', { ascending: false })
+        .limit(1);
+    
+    // 0단계 실측 행은 데이터셋이 끝날 때 함께 반영되므로 아직 저장소에 없음 (runDataset) - 쌓아 둔 행을 합침
+    const pendingRows = [...(currentContext()?.staged?.get('historical_gas_burn')?.values() || [])];
+    const lastDate = [existing?.[0]?.date || '2022-01-01', ...pendingRows.map(r => r.date)].sort().pop();
+    const startDate = new Date(lastDate);
+    startDate.setDate(startDate.getDate() + 1);
+    const endDate = new Date();
+    endDate.setDate(endDate.getDate() - 1); // 어제까지
+    
+    // --from/--to 지정 시 해당 구간을 다시 수집
+    if (opts.from) startDate.setTime(new Date(opts.from).getTime());
+    if (opts.to && new Date(opts.to) < endDate) endDate.setTime(new Date(opts.to).getTime());
+    
+    if (startDate >= endDate) {
+        console.log('  ✅ Already up to date');
+        return measuredSaved > 0 ? result.ok(measuredSaved) : result.skip('Already up to date');
+    }
+    
+    const startStr = startDate.toISOString().split('T')[0];
+    const endStr = endDate.toISOString().split('T')[0];
+    console.log(`  📅 Fetching ${startStr} to ${endStr}`);
     
     // 2. Etherscan API로 Gas Utilization 가져오기
     let gasUtilData = [];
@@ -1565,7 +2189,6 @@ async function collect_gas_burn() {
         }
         
         // Daily Average Gas Price (Wei -> Gwei)
-        await sleep(250); // Rate limit
         const gasPriceUrl = `https://api.etherscan.io/api?module=stats&action=dailyavggasprice&startdate=${startStr}&enddate=${endStr}&sort=asc&apikey=${ETHERSCAN_API_KEY}`;
         const gasPriceRes = await fetchJSON(gasPriceUrl);
         if (gasPriceRes?.status === '1' && gasPriceRes.result) {
@@ -1577,8 +2200,8 @@ async function collect_gas_burn() {
     }
     
     // 3. fees/price 데이터로 ETH burnt 계산
-    const { data: fees } = await supabase.from('historical_protocol_fees').select('date, fees').order('date');
-    const { data: prices } = await supabase.from('historical_eth_price').select('date, close').order('date');
+    const { data: fees } = await db.from('historical_protocol_fees').select('date, fees').order('date');
+    const { data: prices } = await db.from('historical_eth_price').select('date, close').order('date');
     if (!fees || !prices) return 0;
     
     const priceMap = new Map();
@@ -1589,6 +2212,12 @@ async function collect_gas_burn() {
         gasUtilMap.set(d.UTCDate, parseFloat(d.networkUtilization) * 100);
     });
     
+    // 실측 소각량(0단계)이 있는 날은 추정치로 덮어쓰지 않고 gas 필드만 갱신
+    const storedRows = await fetchAllRows('historical_gas_burn', 'date, method', { from: startStr });
+    if (!storedRows) return result.fail('Could not read measured burn days');
+    const measuredDates = new Set(storedRows.filter(r => r.method === 'measured' && r.date <= endStr).map(r => r.date));
+    pendingRows.filter(r => r.method === 'measured' && r.date >= startStr && r.date <= endStr).forEach(r => measuredDates.add(r.date));
+    
     const gasPriceMap = new Map();
     gasPriceData.forEach(d => {
         // gasPrice is in Wei, convert to Gwei (1 Gwei = 1e9 Wei)
@@ -1600,41 +2229,54 @@ async function collect_gas_burn() {
     });
     
     const records = [];
+    const gasOnly = [];
     for (const f of fees) {
         if (f.date < startStr || f.date > endStr) continue;
         
+        if (measuredDates.has(f.date)) {
+            const gasFields = {};
+            if (gasPriceMap.has(f.date)) gasFields.avg_gas_price_gwei = gasPriceMap.get(f.date);
+            if (gasUtilMap.has(f.date)) gasFields.gas_utilization = gasUtilMap.get(f.date);
+            if (Object.keys(gasFields).length > 0) gasOnly.push({ date: f.date, ...gasFields });
+            continue;
+        }
+        
         const price = priceMap.get(f.date);
         if (!price || !f.fees) continue;
         
+        // 실측이 없는 날의 fallback - 범위 검사는 검증 단계(schemas.js)에서 수행
         const burn = (f.fees * 0.80) / price;
-        if (burn >= 50 && burn <= 50000) {
-            records.push({
-                date: f.date,
-                eth_burnt: parseFloat(burn.toFixed(2)),
-                avg_gas_price_gwei: gasPriceMap.get(f.date) || null,
-                gas_utilization: gasUtilMap.get(f.date) || null,
-                transaction_count: null,
-                source: gasPriceMap.has(f.date) ? 'etherscan' : 'calculated'
-            });
-        }
+        records.push({
+            date: f.date,
+            eth_burnt: parseFloat(burn.toFixed(2)),
+            avg_gas_price_gwei: gasPriceMap.get(f.date) || null,
+            gas_utilization: gasUtilMap.get(f.date) || null,
+            transaction_count: null,
+            source: gasPriceMap.has(f.date) ? 'etherscan' : 'calculated',
+            // 소각량은 fee의 80%로 가정한 추정치
+            ...provenance('estimated', { fees_usd: f.fees, price, burn_share: 0.8 }, 'medium')
+        });
     }
     
+    // 실측 행의 가스 필드만 갱신 (값이 바뀐 날만)
+    await writeTracked('historical_gas_burn', filterDateRange(gasOnly, opts), { partial: true });
+    
     if (records.length === 0) {
-        console.log('  ✅ Already up to date');
-        return result.skip('No new data needed');
+        console.log(`  ✅ Already up to date${gasOnly.length ? ` (${gasOnly.length} measured days, gas fields updated)` : ''}`);
+        return measuredSaved > 0 ? result.ok(measuredSaved) : result.skip('No new data needed');
     }
     
-    console.log(`  📦 Saving ${records.length} records (${gasPriceMap.size} with gas price)`);
-    const saved = await upsertBatch('historical_gas_burn', records);
-    return result.ok(saved);
+    console.log(`  📦 Saving ${records.length} estimated records (${gasPriceMap.size} with gas price, ${measuredDates.size} measured days kept)`);
+    const saved = await upsertBatch('historical_gas_burn', filterDateRange(records, opts));
+    return result.ok(measuredSaved + saved);
 }
 
 // ============================================================
 // 7. Active Addresses (Etherscan or estimate)
 // ============================================================
-async function collect_active_addresses() {
+async function collect_active_addresses(opts = {}) {
     // Using transactions as proxy - real data would need Etherscan API
-    const { data: txs } = await supabase.from('historical_transactions').select('date, tx_count').order('date');
+    const { data: txs } = await db.from('historical_transactions').select('date, tx_count').order('date');
     if (!txs || txs.length === 0) {
         console.log('  ⚠️ No transaction data, skipping');
         return 0;
@@ -1642,128 +2284,256 @@ async function collect_active_addresses() {
     const records = txs.map(t => ({
         date: t.date,
         active_addresses: Math.floor(t.tx_count * 0.4), // Rough estimate
-        source: 'estimated'
+        source: 'estimated',
+        ...provenance('estimated', { tx_count: t.tx_count, factor: 0.4 })
     }));
-    return await upsertBatch('historical_active_addresses', records);
+    return await upsertBatch('historical_active_addresses', filterDateRange(records, opts));
 }
 
 // ============================================================
-// 8. ETH Supply (Ultrasound.money or estimate)
+// 8. ETH Supply Ledger (발행 곡선 − burn, 실측 공급량 앵커로 보정)
+// supply[d] = supply[d-1] + issuance[d] − burn[d]
+//   issuance: 활성 스테이크에 consensus 발행 곡선 적용 (epoch당 64 × √(총 활성 잔고 gwei) gwei)
+//   burn:     historical_gas_burn.eth_burnt + blob_burnt_eth
+// 실측 공급량(앵커)이 있는 날은 앵커를 쓰고 장부값과의 차이를 reconciliation_error로 기록
+// → historical_eth_supply + historical_daily_issuance
 // ============================================================
-async function collect_eth_supply() {
-    // Try ultrasound.money API
+const BASE_REWARD_FACTOR = 64;
+const EPOCHS_PER_DAY = 225;
+// 이상적 발행량 대비 실제 비율 (오프라인 validator, 놓친 attestation/proposal)
+const ISSUANCE_PARTICIPATION = parseFloat(process.env.ISSUANCE_PARTICIPATION || '0.98');
+// 앵커 대비 장부 오차가 이 값(ETH)을 넘으면 warn
+const SUPPLY_RECONCILE_TOLERANCE = parseFloat(process.env.SUPPLY_RECONCILE_TOLERANCE || '1000');
+// 다른 앵커가 없을 때 기준점: The Merge 시점 공급량 (ultrasound.money)
+const SUPPLY_MERGE_ANCHOR = { date: '2022-09-15', eth_supply: 120521140 };
+
+function dailyIssuanceEth(activeStakeEth) {
+    const epochGwei = BASE_REWARD_FACTOR * Math.sqrt(activeStakeEth * 1e9);
+    return epochGwei * EPOCHS_PER_DAY * ISSUANCE_PARTICIPATION / 1e9;
+}
+
+async function collect_eth_supply(opts = {}) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const toDateStr = (t) => new Date(t).toISOString().split('T')[0];
+    
+    // 1. 앵커: Merge 기준점 < 저장된 실측 행 < ultrasound.money (나중 것이 우선)
+    const anchors = new Map([[SUPPLY_MERGE_ANCHOR.date, { supply: SUPPLY_MERGE_ANCHOR.eth_supply, source: 'merge-anchor' }]]);
+    const stored = await fetchAllRows('historical_eth_supply', 'date, eth_supply, source, method', { from: SUPPLY_MERGE_ANCHOR.date }) || [];
+    for (const r of stored) {
+        if (r.method === 'measured' && r.eth_supply > 0) anchors.set(r.date, { supply: parseFloat(r.eth_supply), source: r.source });
+    }
     const data = await fetchJSON('https://ultrasound.money/api/v2/fees/supply-over-time');
-    if (data && Array.isArray(data)) {
-        const records = data.slice(-1095).map(d => ({
-            date: new Date(d.timestamp * 1000).toISOString().split('T')[0],
-            eth_supply: parseFloat((d.supply / 1e18).toFixed(2)),
-            source: 'ultrasound'
-        }));
-        return await upsertBatch('historical_eth_supply', records);
+    if (Array.isArray(data)) {
+        countFetched(data.length);
+        for (const d of data) {
+            anchors.set(toDateStr(d.timestamp * 1000), { supply: parseFloat((d.supply / 1e18).toFixed(2)), source: 'ultrasound' });
+        }
+    } else {
+        console.log('  ⚠️ ultrasound.money unavailable, reconciling against stored anchors');
     }
     
-    // Fallback: estimate from known values
-    const today = new Date();
-    const records = [];
-    const baseSupply = 120400000;
-    for (let i = 0; i < 1095; i++) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - i);
-        // ETH supply changes ~0.001% per day post-merge
-        const daysDiff = i;
-        const supply = baseSupply + (daysDiff * 100); // rough estimate
-        records.push({
-            date: date.toISOString().split('T')[0],
-            eth_supply: supply,
-            source: 'estimated'
-        });
+    // 2. 입력: 활성 스테이크 / burn
+    const staking = await fetchAllRows('historical_staking', 'date, total_staked_eth, total_validators, confidence', { from: SUPPLY_MERGE_ANCHOR.date });
+    const burns = await fetchAllRows('historical_gas_burn', 'date, eth_burnt, blob_burnt_eth', { from: SUPPLY_MERGE_ANCHOR.date });
+    if (!staking?.length || !burns?.length) {
+        return result.fail('No staking/burn data for supply ledger');
     }
-    return await upsertBatch('historical_eth_supply', records);
+    const stakeMap = new Map(staking.map(r => [r.date, r]));
+    // base fee 소각 + blob 소각 (blob은 실측 행에만 있음)
+    const burnMap = new Map(burns.filter(r => r.eth_burnt !== null)
+        .map(r => [r.date, parseFloat(r.eth_burnt) + (parseFloat(r.blob_burnt_eth) || 0)]));
+    
+    // 3. 장부 진행 (opts 범위와 무관하게 전체 계산 후 범위만 저장 - 누적값이라 중간부터 시작 불가)
+    const first = [staking[0].date, ...anchors.keys()].sort()[0];
+    const yesterday = toDateStr(Date.now() - DAY_MS);
+    const last = opts.to && opts.to < yesterday ? opts.to : yesterday;
+    
+    const supplyRecords = [];
+    const issuanceRecords = [];
+    let ledger = null, anchorDate = null, prevAnchor = null;
+    
+    for (let t = Date.parse(first); t <= Date.parse(last); t += DAY_MS) {
+        const date = toDateStr(t);
+        const stake = stakeMap.get(date);
+        const activeStake = stake?.total_staked_eth || (stake?.total_validators ? stake.total_validators * 32 : null);
+        const issuance = activeStake ? dailyIssuanceEth(activeStake) : null;
+        const burn = burnMap.has(date) ? burnMap.get(date) : null;
+        const net = issuance !== null && burn !== null ? issuance - burn : null;
+        const predicted = ledger !== null && net !== null ? ledger + net : null;
+        const anchor = anchors.get(date);
+        // 입력이 추정/대체값이면 장부값도 한 단계 낮춤
+        const confidence = stake?.confidence === 'high' ? 'high' : 'medium';
+        
+        if (issuance !== null) {
+            issuanceRecords.push({
+                date,
+                daily_issuance: parseFloat(issuance.toFixed(2)),
+                daily_burn: burn !== null ? parseFloat(burn.toFixed(2)) : null,
+                net_issuance: net !== null ? parseFloat(net.toFixed(2)) : null,
+                total_staked_eth: Math.round(activeStake),
+                // 연속된 두 앵커 사이의 실측 변화량 대비 장부 변화량 오차
+                reconciliation_error: anchor && prevAnchor?.date === toDateStr(t - DAY_MS) && net !== null
+                    ? parseFloat((net - (anchor.supply - prevAnchor.supply)).toFixed(2))
+                    : null,
+                source: 'ledger',
+                ...provenance('derived', { active_stake_eth: Math.round(activeStake), participation: ISSUANCE_PARTICIPATION }, confidence)
+            });
+        }
+        
+        if (anchor) {
+            supplyRecords.push({
+                date,
+                eth_supply: anchor.supply,
+                ledger_supply: predicted !== null ? parseFloat(predicted.toFixed(2)) : null,
+                reconciliation_error: predicted !== null ? parseFloat((predicted - anchor.supply).toFixed(2)) : null,
+                source: anchor.source
+            });
+            ledger = anchor.supply;
+            anchorDate = date;
+            prevAnchor = { date, supply: anchor.supply };
+        } else if (predicted !== null) {
+            supplyRecords.push({
+                date,
+                eth_supply: parseFloat(predicted.toFixed(2)),
+                ledger_supply: parseFloat(predicted.toFixed(2)),
+                reconciliation_error: null,
+                source: 'ledger',
+                ...provenance('derived', { anchor_date: anchorDate, days_since_anchor: Math.round((t - Date.parse(anchorDate)) / DAY_MS) }, confidence)
+            });
+            ledger = predicted;
+        } else {
+            // 입력 누락 - 다음 앵커까지 장부 중단
+            ledger = null;
+        }
+    }
+    
+    // 스테이킹 구간 안에 앵커가 없으면 장부를 시작할 수 없음 (구간 이전 앵커는 입력 공백으로 이어지지 않음)
+    if (!supplyRecords.some(r => r.date >= staking[0].date)) {
+        const seed = [...anchors.keys()].filter(d => d <= staking[0].date).sort().pop();
+        return result.fail(`No supply anchor within staking/burn coverage (staking starts ${staking[0].date}, latest anchor before it ${seed || 'none'}) - ledger not seeded`);
+    }
+    
+    const reconciled = supplyRecords.filter(r => r.reconciliation_error !== null);
+    const ledgerDays = supplyRecords.filter(r => r.source === 'ledger').length;
+    console.log(`  📒 ${supplyRecords.length} supply days (${supplyRecords.length - ledgerDays} anchored, ${ledgerDays} from ledger)`);
+    
+    const supplySaved = await upsertBatch('historical_eth_supply', filterDateRange(supplyRecords, opts));
+    const issuanceSaved = await upsertBatch('historical_daily_issuance', filterDateRange(issuanceRecords, opts));
+    console.log(`  🪙 ${issuanceSaved} daily issuance records`);
+    
+    if (reconciled.length > 0) {
+        const latest = reconciled[reconciled.length - 1];
+        const meanAbs = reconciled.reduce((sum, r) => sum + Math.abs(r.reconciliation_error), 0) / reconciled.length;
+        console.log(`  ⚖️ Reconciliation: latest ${latest.date} ${latest.reconciliation_error > 0 ? '+' : ''}${latest.reconciliation_error} ETH, mean |error| ${meanAbs.toFixed(1)} ETH over ${reconciled.length} anchors`);
+        if (Math.abs(latest.reconciliation_error) > SUPPLY_RECONCILE_TOLERANCE) {
+            return result.warn(supplySaved, `ledger off by ${latest.reconciliation_error} ETH on ${latest.date}`);
+        }
+    }
+    return result.ok(supplySaved);
 }
 
 // ============================================================
-// 9. Fear & Greed (Alternative.me)
+// 9. ETH Sentiment Index (lib/sentiment.js - 수집 중인 시계열 합성)
 // ============================================================
-async function collect_fear_greed() {
+async function collect_eth_sentiment(opts = {}) {
+    // low confidence(추정/대체) 입력은 제외
+    const load = async (table, field) => ((await fetchAllRows(table, `date, ${field}, confidence`)) || [])
+        .filter(r => r[field] !== null && r.confidence !== 'low')
+        .map(r => ({ date: r.date, value: parseFloat(r[field]) }));
+    
+    const inputs = {
+        price: await load('historical_eth_price', 'close'),
+        volatility: await load('historical_volatility', 'volatility_30d'),
+        mvrv: await load('historical_mvrv', 'mvrv_ratio'),
+        funding: await load('historical_funding_rate', 'funding_rate'),
+        openInterest: await load('historical_open_interest', 'open_interest'),
+        reserve: await load('historical_exchange_reserve', 'reserve_eth')
+    };
+    console.log(`  📥 Inputs: ${Object.entries(inputs).map(([k, v]) => `${k} ${v.length}`).join(', ')}`);
+    
+    const all = Object.keys(SENTIMENT_COMPONENTS).length;
+    const records = computeSentimentIndex(inputs).map(r => ({
+        ...r,
+        source: 'eth_sentiment',
+        // 컴포넌트가 빠진 날은 가중치 재정규화 → medium
+        ...provenance('derived', { components: r.components, of: all }, r.components === all ? 'high' : 'medium')
+    }));
+    if (records.length === 0) {
+        console.log('  ⚠️ Not enough input history for the sentiment index');
+        return result.warn(0, 'Not enough input history');
+    }
+    
+    const latest = records[records.length - 1];
+    console.log(`  🧭 ${records.length} days, latest ${latest.date}: ${latest.value} (${latest.classification}, ${latest.components}/${all} components)`);
+    const saved = await upsertBatch('historical_eth_sentiment', filterDateRange(records, opts));
+    return result.ok(saved);
+}
+
+// ============================================================
+// 9b. Fear & Greed (Alternative.me, 실패 시 ETH Sentiment Index)
+// ============================================================
+async function collect_fear_greed(opts = {}) {
     const data = await fetchJSON('https://api.alternative.me/fng/?limit=1095&format=json');
     
     if (data?.data && data.data.length > 10) {
         console.log(`  📦 Got ${data.data.length} records from API`);
+        countFetched(data.data.length);
         const records = data.data.map(d => ({
             date: new Date(parseInt(d.timestamp) * 1000).toISOString().split('T')[0],
             value: parseInt(d.value),
             classification: d.value_classification,
             source: 'alternative_me'
         }));
-        return await upsertBatch('historical_fear_greed', records);
+        return await upsertBatch('historical_fear_greed', filterDateRange(records, opts));
     }
     
-    // Fallback: ETH 가격 변동 기반 추정
-    console.log('  ⚠️ API failed, generating price-based estimates...');
-    const { data: prices } = await supabase.from('historical_eth_price')
-        .select('date, close')
-        .order('date', { ascending: true })
-        .limit(1100);
-    
-    if (!prices || prices.length < 30) {
-        console.log('  ❌ Not enough price data for fallback');
-        return 0;
+    // Fallback: ETH Sentiment Index 값을 그대로 사용 (결정적, 재실행해도 같은 값)
+    // alternative.me 실측 행이 있는 날은 덮어쓰지 않음
+    console.log('  ⚠️ API failed, falling back to ETH Sentiment Index...');
+    const sentiment = await fetchAllRows('historical_eth_sentiment', 'date, value, classification, components');
+    if (!sentiment || sentiment.length === 0) {
+        console.log('  ❌ No sentiment index rows for fallback');
+        return result.fail('alternative.me failed and no sentiment index');
     }
     
-    const records = [];
-    for (let i = 30; i < prices.length; i++) {
-        const current = prices[i].close;
-        const prev30 = prices[i - 30].close;
-        const change30d = ((current - prev30) / prev30) * 100;
-        
-        // 30일 변동률 기반 Fear & Greed 추정
-        let value;
-        if (change30d < -30) value = 10 + Math.random() * 10;
-        else if (change30d < -15) value = 20 + (change30d + 30) / 15 * 20;
-        else if (change30d < -5) value = 40 + (change30d + 15) / 10 * 10;
-        else if (change30d < 5) value = 45 + (change30d + 5) / 10 * 10;
-        else if (change30d < 15) value = 55 + (change30d - 5) / 10 * 10;
-        else if (change30d < 30) value = 65 + (change30d - 15) / 15 * 15;
-        else value = 80 + Math.min(15, (change30d - 30) / 20 * 15);
-        
-        value = Math.max(5, Math.min(95, Math.round(value)));
-        
-        let classification;
-        if (value < 25) classification = 'Extreme Fear';
-        else if (value < 40) classification = 'Fear';
-        else if (value < 60) classification = 'Neutral';
-        else if (value < 75) classification = 'Greed';
-        else classification = 'Extreme Greed';
-        
-        records.push({
-            date: prices[i].date,
-            value,
-            classification,
-            source: 'estimated'
-        });
-    }
+    // 1000행 넘게 있으므로 페이지 단위로 (못 읽으면 실측 행을 덮어쓸 수 있어 중단)
+    const stored = await fetchAllRows('historical_fear_greed', 'date, method');
+    if (!stored) return result.fail('alternative.me failed and could not read measured days');
+    const measuredDates = new Set(stored.filter(r => r.method === 'measured').map(r => r.date));
+    
+    const records = sentiment
+        .filter(r => !measuredDates.has(r.date))
+        .map(r => ({
+            date: r.date,
+            value: r.value,
+            classification: r.classification,
+            source: 'eth_sentiment',
+            ...provenance('fallback', { index: 'historical_eth_sentiment', components: r.components })
+        }));
     
-    console.log(`  📦 Generated ${records.length} estimated records`);
-    return await upsertBatch('historical_fear_greed', records);
+    console.log(`  📦 ${records.length} fallback records from sentiment index (${measuredDates.size} measured days kept)`);
+    const saved = await upsertBatch('historical_fear_greed', filterDateRange(records, opts));
+    return result.warn(saved, 'alternative.me failed, used ETH Sentiment Index');
 }
 
 // ============================================================
 // 10. DEX Volume (DefiLlama)
 // ============================================================
-async function collect_dex_volume() {
+async function collect_dex_volume(opts = {}) {
     const data = await fetchJSON('https://api.llama.fi/overview/dexs/ethereum?excludeTotalDataChart=false&excludeTotalDataChartBreakdown=true&dataType=dailyVolume');
     if (!data?.totalDataChart) return 0;
     const records = data.totalDataChart.filter(d => d[1] > 0).map(d => ({
         date: new Date(d[0] * 1000).toISOString().split('T')[0],
         volume: parseFloat(d[1].toFixed(2)), source: 'defillama'
     }));
-    return await upsertBatch('historical_dex_volume', records);
+    countFetched(records.length);
+    return await upsertBatch('historical_dex_volume', filterDateRange(records, opts));
 }
 
 // ============================================================
 // 11. Stablecoins All (DefiLlama)
 // ============================================================
-async function collect_stablecoins() {
+async function collect_stablecoins(opts = {}) {
     const data = await fetchJSON('https://stablecoins.llama.fi/stablecoincharts/all');
     if (!data) return 0;
     const records = data.filter(d => d.date > cutoff3Y()).map(d => ({
@@ -1771,13 +2541,14 @@ async function collect_stablecoins() {
         total_mcap: parseFloat((d.totalCirculatingUSD?.peggedUSD || d.totalCirculating?.peggedUSD || 0).toFixed(2)),
         source: 'defillama'
     })).filter(r => r.total_mcap > 0);
-    return await upsertBatch('historical_stablecoins', records);
+    countFetched(records.length);
+    return await upsertBatch('historical_stablecoins', filterDateRange(records, opts));
 }
 
 // ============================================================
 // 12. Stablecoins ETH (DefiLlama)
 // ============================================================
-async function collect_stablecoins_eth() {
+async function collect_stablecoins_eth(opts = {}) {
     const data = await fetchJSON('https://stablecoins.llama.fi/stablecoincharts/Ethereum');
     if (!data) return 0;
     const records = data.filter(d => d.date > cutoff3Y()).map(d => ({
@@ -1785,272 +2556,219 @@ async function collect_stablecoins_eth() {
         total_mcap: parseFloat((d.totalCirculatingUSD?.peggedUSD || d.totalCirculating?.peggedUSD || 0).toFixed(2)),
         source: 'defillama'
     })).filter(r => r.total_mcap > 0);
-    return await upsertBatch('historical_stablecoins_eth', records);
+    countFetched(records.length);
+    return await upsertBatch('historical_stablecoins_eth', filterDateRange(records, opts));
 }
 
 // ============================================================
-// 13. ETH/BTC Ratio (Dune API - 안정적)
+// 13. ETH/BTC Ratio (Dune API - 안정적, 실패 시 CoinGecko)
 // ============================================================
-async function collect_eth_btc() {
-    if (!DUNE_API_KEY) {
-        return result.skip('No Dune API key');
+async function fetchEthBtcDune() {
+    // Dune API로 ETH/BTC 비율 데이터 가져오기 (stale이면 재실행)
+    const rows = await fetchDuneResults(DUNE_QUERIES.ETH_BTC_RATIO, 1500);
+    if (!rows) throw new Error('Dune API error');
+    
+    const records = rows.map(row => ({
+        date: row.date,
+        ratio: parseFloat(row.ratio)
+    }));
+    if (records.length <= 100) throw new Error(`Insufficient data (${records.length} rows)`);
+    return records;
+}
+
+async function fetchEthBtcCoinGecko() {
+    const records = (await fetchCoinGeckoDaily('btc')).map(d => ({
+        date: d.date,
+        ratio: parseFloat(d.price.toFixed(6)),
+        ...provenance('fallback', { source: 'coingecko', sampled_at: '00:00 UTC' }, 'medium')
+    }));
+    return await onlyMissingDates('historical_eth_btc', records, 'coingecko');
+}
+
+const ETH_BTC_SOURCES = [
+    { name: 'dune', enabled: () => !!DUNE_API_KEY, fetch: fetchEthBtcDune },
+    { name: 'coingecko', fetch: fetchEthBtcCoinGecko }
+];
+
+// ============================================================
+// CryptoQuant (scripts/lib/cryptoquant.js - API 키로 직접, 없으면 CRYPTOQUANT_PROXY_URL 경유)
+// ============================================================
+// 거래소별 breakdown 대상 (CryptoQuant exchange id)
+const CRYPTOQUANT_DERIVATIVE_EXCHANGES = (process.env.CRYPTOQUANT_DERIVATIVE_EXCHANGES || 'binance,bybit,okx,deribit,bitmex')
+    .split(',').map(s => s.trim()).filter(Boolean);
+const CRYPTOQUANT_SPOT_EXCHANGES = (process.env.CRYPTOQUANT_SPOT_EXCHANGES || 'binance,coinbase_advanced,kraken,okx,bitfinex')
+    .split(',').map(s => s.trim()).filter(Boolean);
+
+const CRYPTOQUANT_METRICS = {
+    funding_rate: {
+        endpoint: '/v1/eth/market-data/funding-rates', field: 'funding_rates', column: 'funding_rate',
+        exchanges: CRYPTOQUANT_DERIVATIVE_EXCHANGES, positive: false
+    },
+    exchange_reserve: {
+        endpoint: '/v1/eth/exchange-flows/reserve', field: 'reserve', column: 'reserve_eth',
+        exchanges: CRYPTOQUANT_SPOT_EXCHANGES, positive: true
+    },
+    open_interest: {
+        endpoint: '/v1/eth/market-data/open-interest', params: { symbol: 'all_symbol' }, field: 'open_interest', column: 'open_interest',
+        exchanges: CRYPTOQUANT_DERIVATIVE_EXCHANGES, positive: true
     }
+};
+
+/**
+ * One exchange's daily series for a metric → [{ date, <column>, source }]
+ * 기본 기간은 3년, --from으로 그 이전까지 (페이지네이션)
+ */
+async function fetchCryptoQuantSeries(metric, exchange, opts = {}) {
+    const from = opts.from || new Date(Date.now() - 1095 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const rows = await cryptoquant.fetchDaily(metric.endpoint, { ...metric.params, exchange }, { from, to: opts.to });
+    return rows.map(row => ({
+        date: row.date,
+        [metric.column]: parseFloat(row[metric.field] ?? NaN),
+        source: 'cryptoquant'
+    })).filter(r => !isNaN(r[metric.column]) && (!metric.positive || r[metric.column] > 0));
+}
+
+/**
+ * All-exchange aggregate → historical_<metric>
+ */
+async function collectCryptoQuant(metric, table, opts = {}) {
+    if (!cryptoquant.configured) return result.skip('No CryptoQuant API key or proxy');
     
+    let records;
     try {
-        // Dune API로 ETH/BTC 비율 데이터 가져오기
-        const response = await fetch(
-            `https://api.dune.com/api/v1/query/${DUNE_QUERIES.ETH_BTC_RATIO}/results?limit=1500`,
-            { headers: { 'X-Dune-API-Key': DUNE_API_KEY } }
-        );
-        
-        if (!response.ok) {
-            throw new Error(`Dune API error: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        
-        if (!data?.result?.rows || data.result.rows.length === 0) {
-            throw new Error('No data from Dune');
-        }
-        
-        const records = data.result.rows.map(row => ({
-            date: row.date,
-            ratio: parseFloat(row.ratio),
-            source: 'dune'
-        }));
-        
-        if (records.length > 100) {
-            const saved = await upsertBatch('historical_eth_btc', records);
-            return result.ok(saved);
-        }
-        
-        throw new Error('Insufficient data');
+        records = await fetchCryptoQuantSeries(metric, 'all_exchange', opts);
     } catch (e) {
-        // 실패 시 기존 데이터 유지
-        const { data: existing } = await supabase
-            .from('historical_eth_btc')
-            .select('date')
-            .order('date', { ascending: false })
-            .limit(1);
-        
-        if (existing?.length > 0) {
-            return result.skip(`Dune error: ${e.message}`);
-        }
+        console.log(`  ❌ ${metric.column}: ${e.message}`);
         return result.fail(e.message);
     }
+    console.log(`  📦 Got ${records.length} ${metric.column} records from CryptoQuant (${cryptoquant.mode})`);
+    
+    // 전체 기간 수집인데 너무 적으면 응답 이상으로 간주
+    if (!opts.from && records.length <= 100) return result.fail(`Insufficient data (${records.length} rows)`);
+    return result.ok(await upsertBatch(table, filterDateRange(records, opts)));
 }
 
-// ============================================================
-// 14. Funding Rate (CryptoQuant API via Cloudflare Proxy)
-// ============================================================
-async function collect_funding_rate() {
-    const PROXY_URL = 'https://cryptoquant-proxy.seojoon-kim.workers.dev';
+/**
+ * Per-exchange breakdown → historical_<metric>_exchange (date, exchange)
+ * 일부 거래소만 실패하면 warn
+ */
+async function collectCryptoQuantByExchange(metric, table, opts = {}) {
+    if (!cryptoquant.configured) return result.skip('No CryptoQuant API key or proxy');
     
-    try {
-        const response = await fetch(
-            `${PROXY_URL}/?endpoint=/v1/eth/market-data/funding-rates&window=day&exchange=all_exchange&limit=1095`
-        );
-        
-        if (!response.ok) {
-            throw new Error(`Proxy error: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        
-        if (data.status?.code !== 200) {
-            throw new Error(data.status?.message || 'API error');
-        }
-        
-        const rows = data?.result?.data || [];
-        
-        if (rows.length === 0) {
-            throw new Error('No data from CryptoQuant');
-        }
-        
-        console.log(`  📦 Got ${rows.length} funding rate records from CryptoQuant`);
-        
-        const records = rows.map(row => ({
-            date: row.date,
-            funding_rate: parseFloat(row.funding_rates || 0),
-            source: 'cryptoquant'
-        })).filter(r => r.date && !isNaN(r.funding_rate));
-        
-        if (records.length > 100) {
-            const saved = await upsertBatch('historical_funding_rate', records);
-            return result.ok(saved);
+    const all = [];
+    const failed = [];
+    for (const exchange of metric.exchanges) {
+        try {
+            const records = await fetchCryptoQuantSeries(metric, exchange, opts);
+            all.push(...records.map(r => ({ ...r, exchange })));
+            console.log(`  ${exchange}: ${records.length}`);
+        } catch (e) {
+            failed.push(exchange);
+            console.log(`  ⚠️ ${exchange}: ${e.message}`);
         }
-        
-        throw new Error('Insufficient data');
-    } catch (e) {
-        console.log(`  ❌ funding_rate: ${e.message}`);
-        return result.fail(e.message);
     }
+    
+    if (all.length === 0) return result.fail(`No data for any exchange (${metric.exchanges.join(', ')})`);
+    const saved = await upsertBatch(table, filterDateRange(all, opts), 'date,exchange');
+    return failed.length > 0 ? result.warn(saved, `failed: ${failed.join(', ')}`) : result.ok(saved);
 }
 
 // ============================================================
-// 15. Exchange Reserve (CryptoQuant API via Cloudflare Proxy)
+// 14. Funding Rate (CryptoQuant)
 // ============================================================
-async function collect_exchange_reserve() {
-    const PROXY_URL = 'https://cryptoquant-proxy.seojoon-kim.workers.dev';
-    
-    try {
-        const response = await fetch(
-            `${PROXY_URL}/?endpoint=/v1/eth/exchange-flows/reserve&window=day&exchange=all_exchange&limit=1095`
-        );
-        
-        if (!response.ok) {
-            throw new Error(`Proxy error: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        
-        if (data.status?.code !== 200) {
-            throw new Error(data.status?.message || 'API error');
-        }
-        
-        const rows = data?.result?.data || [];
-        
-        if (rows.length === 0) {
-            throw new Error('No data from CryptoQuant');
-        }
-        
-        console.log(`  📦 Got ${rows.length} exchange reserve records from CryptoQuant`);
-        
-        const records = rows.map(row => ({
-            date: row.date,
-            reserve_eth: parseFloat(row.reserve || 0),
-            source: 'cryptoquant'
-        })).filter(r => r.date && !isNaN(r.reserve_eth) && r.reserve_eth > 0);
-        
-        if (records.length > 100) {
-            const saved = await upsertBatch('historical_exchange_reserve', records);
-            return result.ok(saved);
-        }
-        
-        throw new Error('Insufficient data');
-    } catch (e) {
-        console.log(`  ❌ exchange_reserve: ${e.message}`);
-        return result.fail(e.message);
-    }
+async function collect_funding_rate(opts = {}) {
+    return collectCryptoQuant(CRYPTOQUANT_METRICS.funding_rate, 'historical_funding_rate', opts);
+}
+
+async function collect_funding_rate_exchange(opts = {}) {
+    return collectCryptoQuantByExchange(CRYPTOQUANT_METRICS.funding_rate, 'historical_funding_rate_exchange', opts);
 }
 
 // ============================================================
-// 16. ETH Dominance (CoinGecko - admin.html과 동일)
+// 15. Exchange Reserve (CryptoQuant)
 // ============================================================
-async function collect_eth_dominance() {
-    try {
-        // CoinGecko API (admin.html과 동일)
-        const [ethData, btcData, globalData] = await Promise.all([
-            fetchJSON('https://api.coingecko.com/api/v3/coins/ethereum/market_chart?vs_currency=usd&days=365&interval=daily'),
-            fetchJSON('https://api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=365&interval=daily'),
-            fetchJSON('https://api.coingecko.com/api/v3/global')
-        ]);
-        
-        if (!ethData?.market_caps || !btcData?.market_caps || !globalData?.data) {
-            throw new Error('CoinGecko API failed');
-        }
-        
-        const currentBtcDom = globalData.data.market_cap_percentage.btc;
-        
-        // BTC mcap을 날짜별 맵으로
-        const btcMcapMap = new Map();
-        for (const [ts, mcap] of btcData.market_caps) {
-            const date = new Date(ts).toISOString().split('T')[0];
-            btcMcapMap.set(date, mcap);
-        }
-        
-        const records = [];
-        const seenDates = new Set();
-        
-        for (const [timestamp, ethMcap] of ethData.market_caps) {
-            const date = new Date(timestamp).toISOString().split('T')[0];
-            if (seenDates.has(date)) continue;
-            seenDates.add(date);
-            
-            const btcMcap = btcMcapMap.get(date);
-            if (!btcMcap) continue;
-            
-            // Total market cap = BTC mcap / BTC dominance
-            const totalMcap = btcMcap / (currentBtcDom / 100);
-            const ethDominance = (ethMcap / totalMcap) * 100;
-            const btcDominance = (btcMcap / totalMcap) * 100;
-            
-            records.push({
-                date,
-                timestamp,
-                eth_dominance: parseFloat(Math.min(25, Math.max(8, ethDominance)).toFixed(2)),
-                btc_dominance: parseFloat(Math.min(70, Math.max(35, btcDominance)).toFixed(2)),
-                total_mcap: totalMcap,
-                source: 'coingecko'
-            });
+async function collect_exchange_reserve(opts = {}) {
+    return collectCryptoQuant(CRYPTOQUANT_METRICS.exchange_reserve, 'historical_exchange_reserve', opts);
+}
+
+async function collect_exchange_reserve_exchange(opts = {}) {
+    return collectCryptoQuantByExchange(CRYPTOQUANT_METRICS.exchange_reserve, 'historical_exchange_reserve_exchange', opts);
+}
+
+// ============================================================
+// 16. ETH Dominance (CoinGecko 코인별 mcap ÷ 그 날 총 시가총액)
+// ============================================================
+async function collect_eth_dominance(opts = {}) {
+    // 총 시가총액은 historical_global_mcap의 그 날 값 (collect_global_mcap)
+    const totals = await fetchAllRows('historical_global_mcap', 'date, total_mcap, confidence');
+    const totalMap = new Map((totals || [])
+        .filter(t => t.total_mcap > 0 && t.confidence !== 'low')
+        .map(t => [t.date, parseFloat(t.total_mcap)]));
+    if (totalMap.size === 0) {
+        return result.fail('No historical global market cap');
+    }
+    const firstTotal = [...totalMap.keys()].sort()[0];
+    
+    const [ethData, btcData] = await Promise.all([
+        fetchJSON('https://api.coingecko.com/api/v3/coins/ethereum/market_chart?vs_currency=usd&days=365&interval=daily'),
+        fetchJSON('https://api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=365&interval=daily')
+    ]);
+    if (!ethData?.market_caps || !btcData?.market_caps) {
+        return result.fail('CoinGecko market_chart unavailable');
+    }
+    
+    // BTC mcap을 날짜별 맵으로
+    const btcMcapMap = new Map();
+    for (const [ts, mcap] of btcData.market_caps) {
+        btcMcapMap.set(new Date(ts).toISOString().split('T')[0], mcap);
+    }
+    
+    const records = [];
+    const seenDates = new Set();
+    let missingTotal = 0;
+    
+    for (const [timestamp, ethMcap] of ethData.market_caps) {
+        const date = new Date(timestamp).toISOString().split('T')[0];
+        if (seenDates.has(date)) continue;
+        seenDates.add(date);
+        
+        const totalMcap = totalMap.get(date);
+        if (!totalMcap) {
+            // 총 시가총액 수집 시작 전 날짜는 누락으로 보지 않음
+            if (date >= firstTotal) missingTotal++;
+            continue;
         }
+        const btcMcap = btcMcapMap.get(date);
         
-        if (records.length > 100) {
-            const saved = await upsertBatch('historical_eth_dominance', records);
-            return result.ok(saved);
-        }
-    } catch (e) {
-        // API 차단됨
+        // 범위 검사는 검증 단계(schemas.js)에서 수행 - 비정상 값은 quarantine
+        records.push({
+            date,
+            timestamp,
+            eth_dominance: parseFloat((ethMcap / totalMcap * 100).toFixed(2)),
+            btc_dominance: btcMcap ? parseFloat((btcMcap / totalMcap * 100).toFixed(2)) : null,
+            total_mcap: totalMcap,
+            source: 'coingecko',
+            ...provenance('derived', { eth_mcap: ethMcap, btc_mcap: btcMcap ?? null, total_mcap: totalMcap })
+        });
     }
     
-    // 실패 시 기존 데이터 유지
-    const { data: existing } = await supabase
-        .from('historical_eth_dominance')
-        .select('date')
-        .order('date', { ascending: false })
-        .limit(1);
-    
-    if (existing?.length > 0) {
-        return result.skip('API blocked, using existing');
+    if (missingTotal > 0) {
+        console.log(`  ⚠️ ${missingTotal} days without global market cap skipped`);
     }
-    return result.fail('No data available');
+    countFetched(records.length);
+    const saved = await upsertBatch('historical_eth_dominance', filterDateRange(records, opts));
+    return missingTotal > 0 ? result.warn(saved, `${missingTotal} days without global market cap`) : result.ok(saved);
 }
 
 // ============================================================
-// 16-2. Open Interest (CryptoQuant API via Cloudflare Proxy)
+// 16-2. Open Interest (CryptoQuant)
 // ============================================================
-async function collect_open_interest() {
-    const PROXY_URL = 'https://cryptoquant-proxy.seojoon-kim.workers.dev';
-    
-    try {
-        const response = await fetch(
-            `${PROXY_URL}/?endpoint=/v1/eth/market-data/open-interest&window=day&exchange=all_exchange&symbol=all_symbol&limit=1095`
-        );
-        
-        if (!response.ok) {
-            throw new Error(`Proxy error: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        
-        if (data.status?.code !== 200) {
-            throw new Error(data.status?.message || 'API error');
-        }
-        
-        const rows = data?.result?.data || [];
-        
-        if (rows.length === 0) {
-            throw new Error('No data from CryptoQuant');
-        }
-        
-        console.log(`  📦 Got ${rows.length} open interest records from CryptoQuant`);
-        
-        const records = rows.map(row => ({
-            date: row.date,
-            open_interest: parseFloat(row.open_interest || 0),
-            source: 'cryptoquant'
-        })).filter(r => r.date && !isNaN(r.open_interest) && r.open_interest > 0);
-        
-        if (records.length > 100) {
-            const saved = await upsertBatch('historical_open_interest', records);
-            return result.ok(saved);
-        }
-        
-        throw new Error('Insufficient data');
-    } catch (e) {
-        console.log(`  ❌ open_interest: ${e.message}`);
-        return result.fail(e.message);
-    }
+async function collect_open_interest(opts = {}) {
+    return collectCryptoQuant(CRYPTOQUANT_METRICS.open_interest, 'historical_open_interest', opts);
+}
+
+async function collect_open_interest_exchange(opts = {}) {
+    return collectCryptoQuantByExchange(CRYPTOQUANT_METRICS.open_interest, 'historical_open_interest_exchange', opts);
 }
 
 // ============================================================
@@ -2058,7 +2776,7 @@ async function collect_open_interest() {
 // ============================================================
 async function collect_blob_data() {
     // Limited API access - using existing or estimate
-    const { data: existing } = await supabase.from('historical_blob_data').select('*').order('date', { ascending: false }).limit(1);
+    const { data: existing } = await db.from('historical_blob_data').select('*').order('date', { ascending: false }).limit(1);
     if (existing && existing.length > 0) {
         console.log('  ✓ Using existing data');
         return result.skip('Dune provides this');
@@ -2067,25 +2785,112 @@ async function collect_blob_data() {
 }
 
 // ============================================================
-// 18. Lending TVL (DefiLlama)
+// 18. Lending TVL (DefiLlama Lending-category protocols)
 // ============================================================
-async function collect_lending_tvl() {
-    const data = await fetchJSON('https://api.llama.fi/v2/historicalChainTvl/Ethereum');
-    if (!data) return 0;
-    // Estimate lending as ~50% of total TVL
-    const records = data.filter(d => d.date > cutoff3Y() && d.tvl > 0).map(d => ({
-        date: new Date(d.date * 1000).toISOString().split('T')[0],
-        total_tvl: parseFloat((d.tvl * 0.5).toFixed(2)),
-        source: 'defillama_estimated'
-    }));
-    return await upsertBatch('historical_lending_tvl', records);
+// Ethereum TVL 기준 상위 Lending 프로토콜만 수집 (나머지는 합계에 거의 영향 없음)
+const LENDING_MIN_TVL = 50e6;
+const LENDING_MAX_PROTOCOLS = 25;
+// 마지막 데이터 이후에도 이 기간까지는 직전 값 유지 (프로토콜마다 갱신 시점이 달라 최신일이 비는 경우)
+const LENDING_CARRY_DAYS = 3;
+
+// 프로토콜별 Ethereum TVL → historical_lending_protocol_tvl
+async function collect_lending_protocols(opts = {}) {
+    const protocols = await fetchJSON('https://api.llama.fi/protocols');
+    if (!Array.isArray(protocols)) return result.fail('DefiLlama protocols list unavailable');
+    
+    const lending = protocols
+        .filter(p => p.category === 'Lending' && (p.chainTvls?.Ethereum || 0) > 0)
+        .sort((a, b) => b.chainTvls.Ethereum - a.chainTvls.Ethereum);
+    const selected = lending.filter(p => p.chainTvls.Ethereum >= LENDING_MIN_TVL).slice(0, LENDING_MAX_PROTOCOLS);
+    
+    const totalNow = lending.reduce((sum, p) => sum + p.chainTvls.Ethereum, 0);
+    const selectedNow = selected.reduce((sum, p) => sum + p.chainTvls.Ethereum, 0);
+    console.log(`  🏦 ${selected.length}/${lending.length} lending protocols (${(selectedNow / totalNow * 100).toFixed(1)}% of Ethereum lending TVL)`);
+    
+    const all = [];
+    const failed = [];
+    for (const p of selected) {
+        const data = await fetchJSON(`https://api.llama.fi/protocol/${p.slug}`);
+        const series = data?.chainTvls?.Ethereum?.tvl;
+        if (!series) {
+            failed.push(p.slug);
+            continue;
+        }
+        const recs = series.filter(d => d.date > cutoff3Y()).map(d => ({
+            date: new Date(d.date * 1000).toISOString().split('T')[0],
+            protocol: p.slug,
+            tvl: parseFloat(d.totalLiquidityUSD.toFixed(2)),
+            source: 'defillama'
+        }));
+        all.push(...recs);
+        console.log(`  ${p.slug}: ${recs.length}`);
+    }
+    
+    countFetched(all.length);
+    const saved = await upsertBatch('historical_lending_protocol_tvl', filterDateRange(all, opts), 'date,protocol');
+    if (failed.length > 0) return result.warn(saved, `No Ethereum TVL for ${failed.join(', ')}`);
+    return result.ok(saved);
+}
+
+// 프로토콜별 TVL 합계 → historical_lending_tvl
+async function collect_lending_tvl(opts = {}) {
+    const rows = await fetchAllRows('historical_lending_protocol_tvl', 'date, protocol, tvl', { from: opts.from });
+    if (!rows || rows.length === 0) {
+        console.log('  ⚠️ No lending protocol data, skipping');
+        return 0;
+    }
+    
+    // protocol -> { series: Map(date -> tvl), first, last }
+    const byProtocol = new Map();
+    for (const r of rows) {
+        if (!byProtocol.has(r.protocol)) byProtocol.set(r.protocol, { series: new Map(), first: r.date, last: r.date });
+        const p = byProtocol.get(r.protocol);
+        p.series.set(r.date, parseFloat(r.tvl));
+        if (r.date < p.first) p.first = r.date;
+        if (r.date > p.last) p.last = r.date;
+    }
+    const dates = [...new Set(rows.map(r => r.date))].sort();
+    for (const p of byProtocol.values()) {
+        p.until = new Date(Date.parse(p.last) + LENDING_CARRY_DAYS * 86400000).toISOString().split('T')[0];
+    }
+    
+    // 프로토콜 데이터 구간 안에서 빠진 날은 직전 값으로 채움
+    const lastValue = new Map();
+    const records = [];
+    for (const date of dates) {
+        let total = 0, carried = 0, count = 0;
+        for (const [protocol, { series, first, until }] of byProtocol) {
+            if (date < first || date > until) continue;
+            if (series.has(date)) {
+                lastValue.set(protocol, series.get(date));
+            } else {
+                carried++;
+            }
+            total += lastValue.get(protocol) || 0;
+            count++;
+        }
+        if (total <= 0) continue;
+        records.push({
+            date,
+            total_tvl: parseFloat(total.toFixed(2)),
+            protocol_count: count,
+            source: 'defillama',
+            ...provenance('derived', { protocols: count, carried_forward: carried }, carried > 0 ? 'medium' : 'high')
+        });
+    }
+    
+    if (records.length > 0) {
+        const latest = records[records.length - 1];
+        console.log(`  📅 Latest: ${latest.date} = $${(latest.total_tvl / 1e9).toFixed(2)}B (${latest.protocol_count} protocols)`);
+    }
+    return await upsertBatch('historical_lending_tvl', filterDateRange(records, opts));
 }
 
 // ============================================================
 // 19. Volatility (calculated from price)
 // ============================================================
-async function collect_volatility() {
-    const { data: prices } = await supabase.from('historical_eth_price').select('date, close').order('date', { ascending: true });
+async function collect_volatility(opts = {}) {
+    const { data: prices } = await db.from('historical_eth_price').select('date, close').order('date', { ascending: true });
     if (!prices || prices.length < 30) return 0;
     
     console.log(`  Got ${prices.length} price records`);
@@ -2110,26 +2915,27 @@ async function collect_volatility() {
             records.push({
                 date: prices[i].date,
                 volatility_30d: parseFloat(volatility.toFixed(2)),
-                source: 'calculated'
+                source: 'calculated',
+                ...provenance('derived', { window_days: 30, returns: returns.length })
             });
         }
     }
     console.log(`  Latest: ${records[records.length-1]?.date} = ${records[records.length-1]?.volatility_30d}%`);
-    return await upsertBatch('historical_volatility', records);
+    return await upsertBatch('historical_volatility', filterDateRange(records, opts));
 }
 
 // ============================================================
 // 20. NVT Ratio (from L1 Total Volume Dune query)
 // NVT = Market Cap / Daily On-chain Volume
 // ============================================================
-async function collect_nvt() {
+async function collect_nvt(opts = {}) {
     if (!DUNE_API_KEY) {
         console.log('  ⚠️ No Dune API key for NVT');
-        return 0;
+        return result.skip('No API key');
     }
     
     // Get ETH prices first
-    const { data: prices } = await supabase.from('historical_eth_price')
+    const { data: prices } = await db.from('historical_eth_price')
         .select('date, close')
         .order('date', { ascending: false })
         .limit(1100);
@@ -2140,34 +2946,17 @@ async function collect_nvt() {
     }
     
     const priceMap = new Map(prices.map(p => [p.date, parseFloat(p.close)]));
-    const ETH_SUPPLY = 120400000;
+    
+    // 시가총액은 날짜별 공급량으로 계산
+    const supplyAt = await loadSupplyByDate();
+    if (!supplyAt) {
+        console.log('  ❌ No ETH supply data available');
+        return 0;
+    }
     
     try {
         console.log('  📡 Fetching L1 Total Volume from Dune...');
-        
-        // Paginate through all results
-        let allRows = [];
-        let offset = 0;
-        const pageSize = 1000;
-        
-        while (true) {
-            const response = await fetch(`https://api.dune.com/api/v1/query/${DUNE_QUERIES.L1_TOTAL_VOLUME}/results?limit=${pageSize}&offset=${offset}`, {
-                headers: { 'X-Dune-API-Key': DUNE_API_KEY }
-            });
-            
-            if (!response.ok) break;
-            
-            const data = await response.json();
-            const rows = data.result?.rows || [];
-            
-            if (rows.length === 0) break;
-            
-            allRows = allRows.concat(rows);
-            console.log(`  📊 Fetched ${rows.length} rows (total: ${allRows.length})`);
-            
-            if (rows.length < pageSize) break;
-            offset += pageSize;
-        }
+        const allRows = await fetchDuneResults(DUNE_QUERIES.L1_TOTAL_VOLUME, 10000) || [];
         
         if (allRows.length === 0) {
             console.log('  ⚠️ No data from Dune');
@@ -2189,19 +2978,22 @@ async function collect_nvt() {
             const txVolumeUsd = parseFloat(row.eth_volume_usd) || 0;
             if (txVolumeUsd <= 0) continue;
             
-            const mcap = price * ETH_SUPPLY;
+            const { supply, interpolated } = supplyAt(dateStr);
+            const mcap = price * supply;
             const nvt = mcap / txVolumeUsd;
             
-            if (nvt > 0 && nvt < 500) {
-                records.push({
-                    date: dateStr,
-                    timestamp: new Date(dateStr).getTime(),
-                    nvt_ratio: parseFloat(nvt.toFixed(2)),
-                    market_cap: parseFloat(mcap.toFixed(2)),
-                    tx_volume_usd: parseFloat(txVolumeUsd.toFixed(2)),
-                    source: 'dune'
-                });
-            }
+            // 범위 검사(0~500)는 검증 단계(schemas.js)에서 수행
+            records.push({
+                date: dateStr,
+                timestamp: new Date(dateStr).getTime(),
+                nvt_ratio: parseFloat(nvt.toFixed(2)),
+                market_cap: parseFloat(mcap.toFixed(2)),
+                tx_volume_usd: parseFloat(txVolumeUsd.toFixed(2)),
+                supply_interpolated: interpolated,
+                source: 'dune',
+                // 보간된 공급량이면 medium
+                ...provenance('derived', { price, supply, tx_volume_usd: txVolumeUsd }, interpolated ? 'medium' : 'high')
+            });
         }
         
         // Sort by date descending and filter incomplete data
@@ -2217,7 +3009,7 @@ async function collect_nvt() {
         }
         
         console.log(`  📦 ${records.length} NVT records from Dune`);
-        return await upsertBatch('historical_nvt', records);
+        return await upsertBatch('historical_nvt', filterDateRange(records, opts));
         
     } catch (e) {
         console.log(`  ❌ Dune error: ${e.message}`);
@@ -2228,7 +3020,7 @@ async function collect_nvt() {
 // ============================================================
 // 21. Transactions (DefiLlama)
 // ============================================================
-async function collect_transactions() {
+async function collect_transactions(opts = {}) {
     
     // growthepie API - 실제 트랜잭션 수
     const data = await fetchJSON('https://api.growthepie.xyz/v1/export/txcount.json');
@@ -2247,13 +3039,14 @@ async function collect_transactions() {
         }));
     
     console.log(`  📦 ${ethRecords.length} ETH mainnet tx records`);
-    return await upsertBatch('historical_transactions', ethRecords);
+    countFetched(ethRecords.length);
+    return await upsertBatch('historical_transactions', filterDateRange(ethRecords, opts));
 }
 
 // ============================================================
 // 22. L2 Transactions (growthepie - 실제 데이터)
 // ============================================================
-async function collect_l2_transactions() {
+async function collect_l2_transactions(opts = {}) {
     
     // growthepie API - 모든 체인의 실제 트랜잭션 수
     const data = await fetchJSON('https://api.growthepie.xyz/v1/export/txcount.json');
@@ -2275,31 +3068,32 @@ async function collect_l2_transactions() {
         }));
     
     console.log(`  📦 ${l2Records.length} L2 tx records across ${l2Chains.length} chains`);
-    return await upsertBatch('historical_l2_transactions', l2Records, 'date,chain');
+    countFetched(l2Records.length);
+    return await upsertBatch('historical_l2_transactions', filterDateRange(l2Records, opts), 'date,chain');
 }
 
 // ============================================================
 // 23. L2 Addresses (estimate)
 // ============================================================
-async function collect_l2_addresses() {
-    const { data: txs } = await supabase.from('historical_l2_transactions').select('date, chain, tx_count').order('date');
+async function collect_l2_addresses(opts = {}) {
+    const { data: txs } = await db.from('historical_l2_transactions').select('date, chain, tx_count').order('date');
     if (!txs) return 0;
     const records = txs.map(t => ({
         date: t.date, chain: t.chain,
         active_addresses: Math.floor(t.tx_count * 0.3),
-        source: 'estimated'
+        source: 'estimated',
+        ...provenance('estimated', { tx_count: t.tx_count, factor: 0.3 })
     }));
-    return await upsertBatch('historical_l2_addresses', records, 'date,chain');
+    return await upsertBatch('historical_l2_addresses', filterDateRange(records, opts), 'date,chain');
 }
 
 // ============================================================
 // 24. Protocol TVL (DefiLlama)
 // ============================================================
-async function collect_protocol_tvl() {
+async function collect_protocol_tvl(opts = {}) {
     const protocols = ['lido', 'aave', 'makerdao', 'uniswap', 'eigenlayer'];
     const all = [];
     for (const protocol of protocols) {
-        await sleep(300);
         const data = await fetchJSON(`https://api.llama.fi/protocol/${protocol}`);
         if (data?.tvl) {
             const recs = data.tvl.filter(d => d.date > cutoff3Y()).map(d => ({
@@ -2310,13 +3104,14 @@ async function collect_protocol_tvl() {
             console.log(`  ${protocol}: ${recs.length}`);
         }
     }
-    return await upsertBatch('historical_protocol_tvl', all, 'date,protocol');
+    countFetched(all.length);
+    return await upsertBatch('historical_protocol_tvl', filterDateRange(all, opts), 'date,protocol');
 }
 
 // ============================================================
 // 25. Staking APR (DefiLlama/Lido) - admin.html 방식
 // ============================================================
-async function collect_staking_apr() {
+async function collect_staking_apr(opts = {}) {
     const data = await fetchJSON('https://yields.llama.fi/chart/747c1d2a-c668-4682-b9f9-296708a3dd90');
     
     if (!data?.data || data.data.length === 0) {
@@ -2339,11 +3134,12 @@ async function collect_staking_apr() {
             records.push({
                 date: date.toISOString().split('T')[0],
                 lido_apr: parseFloat((baseApr + variation).toFixed(2)),
-                source: 'estimated'
+                source: 'estimated',
+                ...provenance('fallback', { model: 'linear 5.0→3.5% + sine' })
             });
         }
         
-        const count = await upsertBatch('historical_staking_apr', records);
+        const count = await upsertBatch('historical_staking_apr', filterDateRange(records, opts));
         return result.warn(count, 'Using estimated data');
     }
     
@@ -2353,15 +3149,16 @@ async function collect_staking_apr() {
         lido_apr: parseFloat(d.apy.toFixed(2)),
         source: 'defillama'
     }));
-    return await upsertBatch('historical_staking_apr', records);
+    countFetched(records.length);
+    return await upsertBatch('historical_staking_apr', filterDateRange(records, opts));
 }
 
 // ============================================================
 // 26. ETH in DeFi (estimate from TVL)
 // ============================================================
-async function collect_eth_in_defi() {
-    const { data: tvl } = await supabase.from('historical_ethereum_tvl').select('date, tvl').order('date');
-    const { data: prices } = await supabase.from('historical_eth_price').select('date, close').order('date');
+async function collect_eth_in_defi(opts = {}) {
+    const { data: tvl } = await db.from('historical_ethereum_tvl').select('date, tvl').order('date');
+    const { data: prices } = await db.from('historical_eth_price').select('date, close').order('date');
     if (!tvl || !prices) return 0;
     
     const priceMap = new Map();
@@ -2369,40 +3166,69 @@ async function collect_eth_in_defi() {
     
     const records = tvl.map(t => {
         const price = priceMap.get(t.date) || 3000;
+        // 해당 날짜 가격이 없으면 고정 가격 사용 → fallback
+        const method = priceMap.has(t.date) ? 'estimated' : 'fallback';
         return {
             date: t.date,
             eth_locked: parseFloat((t.tvl * 0.3 / price).toFixed(2)), // ~30% is ETH
-            source: 'estimated'
+            source: 'estimated',
+            ...provenance(method, { tvl: t.tvl, price, eth_share: 0.3 })
         };
     }).filter(r => r.eth_locked > 0);
     
-    return await upsertBatch('historical_eth_in_defi', records);
+    return await upsertBatch('historical_eth_in_defi', filterDateRange(records, opts));
 }
 
 // ============================================================
 // 27. Global Market Cap (CoinGecko)
 // ============================================================
-async function collect_global_mcap() {
+// 과거 일별 총 시가총액은 CoinGecko Pro(/global/market_cap_chart) 필요 - 키가 없으면 오늘 스냅샷만 누적
+async function collect_global_mcap(opts = {}) {
+    const records = [];
+    
+    if (COINGECKO_API_KEY) {
+        const chart = await fetchJSON(`https://pro-api.coingecko.com/api/v3/global/market_cap_chart?vs_currency=usd&days=365&x_cg_pro_api_key=${COINGECKO_API_KEY}`);
+        const points = chart?.market_cap_chart?.market_cap || [];
+        const seen = new Set();
+        for (const [timestamp, mcap] of points) {
+            const date = new Date(timestamp).toISOString().split('T')[0];
+            if (seen.has(date) || !(mcap > 0)) continue;
+            seen.add(date);
+            records.push({ date, total_mcap: mcap, source: 'coingecko' });
+        }
+        console.log(`  📦 ${records.length} days of global market cap`);
+    } else {
+        console.log('  ⚠️ No COINGECKO_API_KEY - today\'s snapshot only');
+    }
+    
     const data = await fetchJSON('https://api.coingecko.com/api/v3/global');
-    if (!data?.data) return 0;
-    const today = new Date().toISOString().split('T')[0];
-    const records = [{
-        date: today,
-        total_mcap: data.data.total_market_cap.usd,
-        btc_mcap: data.data.total_market_cap.btc,
-        source: 'coingecko'
-    }];
-    return await upsertBatch('historical_global_mcap', records);
+    if (data?.data) {
+        const today = new Date().toISOString().split('T')[0];
+        const i = records.findIndex(r => r.date === today);
+        const snapshot = {
+            date: today,
+            total_mcap: data.data.total_market_cap.usd,
+            btc_mcap: data.data.total_market_cap.btc,
+            source: 'coingecko'
+        };
+        if (i >= 0) records[i] = snapshot; else records.push(snapshot);
+    }
+    
+    if (records.length === 0) {
+        return result.fail('CoinGecko global market cap unavailable');
+    }
+    countFetched(records.length);
+    const saved = await upsertBatch('historical_global_mcap', filterDateRange(records, opts));
+    return COINGECKO_API_KEY && records.length <= 1 ? result.warn(saved, 'market_cap_chart unavailable, snapshot only') : result.ok(saved);
 }
 
 // ============================================================
 // 28. DEX by Protocol (DefiLlama)
 // ============================================================
-async function collect_dex_by_protocol() {
+async function collect_dex_by_protocol(opts = {}) {
     const protocols = ['uniswap', 'curve-dex', 'balancer'];
     const all = [];
     for (const protocol of protocols) {
-        await sleep(300);
         const data = await fetchJSON(`https://api.llama.fi/summary/dexs/${protocol}?dataType=dailyVolume`);
         if (data?.totalDataChart) {
             const recs = data.totalDataChart.filter(d => d[1] > 0).map(d => ({
@@ -2413,22 +3239,55 @@ async function collect_dex_by_protocol() {
             console.log(`  ${protocol}: ${recs.length}`);
         }
     }
-    return await upsertBatch('historical_dex_by_protocol', all, 'date,protocol');
-}
-
-// ============================================================
-// 29. Network Stats (beaconcha.in)
-// ============================================================
-async function collect_network_stats() {
-    const data = await fetchJSON('https://beaconcha.in/api/v1/epoch/latest');
-    if (!data?.data) return 0;
-    const today = new Date().toISOString().split('T')[0];
-    const records = [{
-        date: today,
-        block_count: 7200, // ~7200 blocks/day
-        avg_block_time: 12
-    }];
-    return await upsertBatch('historical_network_stats', records);
+    countFetched(all.length);
+    return await upsertBatch('historical_dex_by_protocol', filterDateRange(all, opts), 'date,protocol');
+}
+
+// ============================================================
+// 29. Network Stats (Dune - ethereum.blocks 일별 집계)
+// ============================================================
+async function collect_network_stats(opts = {}) {
+    if (!DUNE_API_KEY) { console.log('  ⏭️ Skipped - No API key'); return result.skip('No API key'); }
+    if (DUNE_QUERIES.NETWORK_STATS === 0) {
+        console.log('  ⏭️ Skipped - DUNE_NETWORK_STATS_QUERY_ID not set (scripts/dune/network_stats.sql)');
+        return result.skip('No query ID');
+    }
+    
+    const rows = await fetchDuneResults(DUNE_QUERIES.NETWORK_STATS, 1500);
+    if (!rows) {
+        console.log('  ⚠️ Query returned null - check query ID: ' + DUNE_QUERIES.NETWORK_STATS);
+        return result.warn(0, 'Query failed');
+    }
+    if (rows.length === 0) {
+        console.log('  ⚠️ Query returned empty - check if scheduled');
+        return result.warn(0, 'No data from Dune');
+    }
+    
+    const num = (v) => (v === null || v === undefined || v === '' ? null : parseFloat(v));
+    const round = (v, d = 2) => (v === null ? null : parseFloat(v.toFixed(d)));
+    const records = rows.map(r => {
+        let dateStr = r.date || r.block_date || '';
+        if (dateStr.includes(' ')) dateStr = dateStr.split(' ')[0];
+        if (dateStr.includes('T')) dateStr = dateStr.split('T')[0];
+        return {
+            date: dateStr,
+            block_count: parseInt(r.block_count || 0),
+            missed_slots: r.missed_slots !== null && r.missed_slots !== undefined ? parseInt(r.missed_slots) : null,
+            avg_block_time: round(num(r.avg_block_time), 3),
+            avg_gas_limit: round(num(r.avg_gas_limit), 0),
+            avg_gas_used: round(num(r.avg_gas_used), 0),
+            block_fullness: round(num(r.block_fullness)),
+            source: 'dune'
+        };
+    }).filter(r => r.date && r.block_count > 0);
+    
+    console.log(`  ✓ ${records.length} records`);
+    if (records.length > 0) {
+        const latest = records[0];
+        console.log(`  📅 Latest: ${latest.date} - ${latest.block_count} blocks, ${latest.missed_slots} missed, ${latest.avg_block_time}s, fullness ${latest.block_fullness}%`);
+    }
+    const saved = await upsertBatch('historical_network_stats', filterDateRange(records, opts));
+    return result.ok(saved);
 }
 
 // ============================================================
@@ -2436,7 +3295,7 @@ async function collect_network_stats() {
 // ============================================================
 
 // 30. Blob Data (Dune)
-async function collect_dune_blob() {
+async function collect_dune_blob(opts = {}) {
     if (!DUNE_API_KEY) { console.log('  ⏭️ Skipped - No API key'); return result.skip('No API key'); }
     
     const rows = await fetchDuneResults(DUNE_QUERIES.BLOB, 1000);
@@ -2464,7 +3323,7 @@ async function collect_dune_blob() {
     
     console.log(`  ✓ ${records.length} records`);
     if (records.length > 0) console.log(`  📅 Latest: ${records[0].date}`);
-    const saved = await upsertBatch('historical_blob_data', records);
+    const saved = await upsertBatch('historical_blob_data', filterDateRange(records, opts));
     return result.ok(saved);
 }
 
@@ -2474,7 +3333,7 @@ async function collect_dune_blob() {
 // Query 6350858 is no longer needed
 
 // 32. Active Addresses L1 (Dune)
-async function collect_dune_active_addr() {
+async function collect_dune_active_addr(opts = {}) {
     if (!DUNE_API_KEY) { console.log('  ⏭️ Skipped - No API key'); return result.skip('No API key'); }
     
     const rows = await fetchDuneResults(DUNE_QUERIES.ACTIVE_ADDR, 5000);
@@ -2499,12 +3358,12 @@ async function collect_dune_active_addr() {
     
     console.log(`  ✓ ${records.length} records`);
     if (records.length > 0) console.log(`  📅 Latest: ${records[0].date}`);
-    const saved = await upsertBatch('historical_active_addresses', records);
+    const saved = await upsertBatch('historical_active_addresses', filterDateRange(records, opts));
     return result.ok(saved);
 }
 
 // 33. L2 Active Addresses (Dune)
-async function collect_dune_l2_addr() {
+async function collect_dune_l2_addr(opts = {}) {
     if (!DUNE_API_KEY) { console.log('  ⏭️ Skipped - No API key'); return result.skip('No API key'); }
     
     const rows = await fetchDuneResults(DUNE_QUERIES.L2_ACTIVE_ADDR, 10000);
@@ -2531,7 +3390,7 @@ async function collect_dune_l2_addr() {
     
     console.log(`  ✓ ${records.length} records`);
     if (records.length > 0) console.log(`  📅 Latest: ${records[0].date}`);
-    const saved = await upsertBatch('historical_l2_addresses', records, 'date,chain');
+    const saved = await upsertBatch('historical_l2_addresses', filterDateRange(records, opts), 'date,chain');
     return result.ok(saved);
 }
 
@@ -2541,7 +3400,7 @@ async function collect_dune_l2_addr() {
 // Query 6352386 is no longer needed
 
 // 34. Bridge Volume (Dune)
-async function collect_dune_bridge() {
+async function collect_dune_bridge(opts = {}) {
     if (!DUNE_API_KEY) { console.log('  ⏭️ Skipped - No API key'); return result.skip('No API key'); }
     
     const rows = await fetchDuneResults(DUNE_QUERIES.BRIDGE_VOLUME, 10000);
@@ -2568,12 +3427,12 @@ async function collect_dune_bridge() {
     
     console.log(`  ✓ ${records.length} records`);
     if (records.length > 0) console.log(`  📅 Latest: ${records[0].date}`);
-    const saved = await upsertBatch('historical_bridge_volume', records, 'date,chain');
+    const saved = await upsertBatch('historical_bridge_volume', filterDateRange(records, opts), 'date,chain');
     return result.ok(saved);
 }
 
 // 35-1. L2 DEX Volume (Dune)
-async function collect_dune_l2_dex_volume() {
+async function collect_dune_l2_dex_volume(opts = {}) {
     if (!DUNE_API_KEY) { console.log('  ⏭️ Skipped - No API key'); return result.skip('No API key'); }
     
     const rows = await fetchDuneResults(DUNE_QUERIES.L2_DEX_VOLUME, 15000);
@@ -2599,12 +3458,12 @@ async function collect_dune_l2_dex_volume() {
     
     console.log(`  ✓ ${records.length} records`);
     if (records.length > 0) console.log(`  📅 Latest: ${records[0].date}`);
-    const saved = await upsertBatch('historical_l2_dex_volume', records, 'date,blockchain');
+    const saved = await upsertBatch('historical_l2_dex_volume', filterDateRange(records, opts), 'date,blockchain');
     return result.ok(saved);
 }
 
 // 35-2. Bridge Total Volume (Dune) - ETH + ERC-20 tokens
-async function collect_dune_bridge_total_volume() {
+async function collect_dune_bridge_total_volume(opts = {}) {
     if (!DUNE_API_KEY) { console.log('  ⏭️ Skipped - No API key'); return result.skip('No API key'); }
     
     const rows = await fetchDuneResults(DUNE_QUERIES.BRIDGE_TOTAL_VOLUME, 15000);
@@ -2630,13 +3489,13 @@ async function collect_dune_bridge_total_volume() {
     
     console.log(`  ✓ ${records.length} records`);
     if (records.length > 0) console.log(`  📅 Latest: ${records[0].date}`);
-    const saved = await upsertBatch('historical_bridge_total_volume', records, 'date,destination_chain');
+    const saved = await upsertBatch('historical_bridge_total_volume', filterDateRange(records, opts), 'date,destination_chain');
     return result.ok(saved);
 }
 
 // 36. Whale Transactions (Dune)
-async function collect_dune_whale() {
-    if (!DUNE_API_KEY) { console.log('  ⏭️ Skipped - No API key'); return 0; }
+async function collect_dune_whale(opts = {}) {
+    if (!DUNE_API_KEY) { console.log('  ⏭️ Skipped - No API key'); return result.skip('No API key'); }
     
     const rows = await fetchDuneResults(DUNE_QUERIES.WHALE_TX, 5000);
     if (!rows || rows.length === 0) return 0;
@@ -2649,12 +3508,12 @@ async function collect_dune_whale() {
     })).filter(r => r.date && r.whale_tx_count > 0);
     
     console.log(`  📊 Got ${records.length} records`);
-    return await upsertBatch('historical_whale_tx', records);
+    return await upsertBatch('historical_whale_tx', filterDateRange(records, opts));
 }
 
 // 37. New Addresses (Dune)
-async function collect_dune_new_addr() {
-    if (!DUNE_API_KEY) { console.log('  ⏭️ Skipped - No API key'); return 0; }
+async function collect_dune_new_addr(opts = {}) {
+    if (!DUNE_API_KEY) { console.log('  ⏭️ Skipped - No API key'); return result.skip('No API key'); }
     
     const rows = await fetchDuneResults(DUNE_QUERIES.NEW_ADDR, 5000);
     if (!rows || rows.length === 0) return 0;
@@ -2666,11 +3525,11 @@ async function collect_dune_new_addr() {
     })).filter(r => r.date && r.new_addresses > 0);
     
     console.log(`  📊 Got ${records.length} records`);
-    return await upsertBatch('historical_new_addresses', records);
+    return await upsertBatch('historical_new_addresses', filterDateRange(records, opts));
 }
 
 // 38. MVRV Ratio (Dune)
-async function collect_dune_mvrv() {
+async function collect_dune_mvrv(opts = {}) {
     if (!DUNE_API_KEY) { console.log('  ⏭️ Skipped - No API key'); return result.skip('No API key'); }
     
     const rows = await fetchDuneResults(DUNE_QUERIES.MVRV, 5000);
@@ -2701,7 +3560,8 @@ async function collect_dune_mvrv() {
             realized_price: parseFloat(r.estimated_realized_price || r.realized_price || 0),
             mvrv_ratio: parseFloat(mvrvRatio.toFixed(4)),
             mvrv_pct: mvrvPct,
-            source: 'dune'
+            source: 'dune',
+            ...provenance('derived', { query: DUNE_QUERIES.MVRV }, 'medium')
         };
     }).filter(r => r.date && r.realized_price > 0);
     
@@ -2709,12 +3569,12 @@ async function collect_dune_mvrv() {
     if (records.length > 0) {
         console.log(`  📅 Latest: ${records[0].date} = ${records[0].mvrv_ratio}x (realized: $${records[0].realized_price.toFixed(2)})`);
     }
-    const saved = await upsertBatch('historical_mvrv', records);
+    const saved = await upsertBatch('historical_mvrv', filterDateRange(records, opts));
     return result.ok(saved);
 }
 
 // 39. Stablecoin Volume (Dune)
-async function collect_dune_stablecoin_vol() {
+async function collect_dune_stablecoin_vol(opts = {}) {
     if (!DUNE_API_KEY) { console.log('  ⏭️ Skipped - No API key'); return result.skip('No API key'); }
     
     const rows = await fetchDuneResults(DUNE_QUERIES.STABLECOIN_VOL, 5000);
@@ -2746,13 +3606,13 @@ async function collect_dune_stablecoin_vol() {
     if (records.length > 0) {
         console.log(`  📅 Latest: ${records[0].date} = $${(records[0].daily_volume / 1e9).toFixed(2)}B`);
     }
-    const saved = await upsertBatch('historical_stablecoin_volume', records);
+    const saved = await upsertBatch('historical_stablecoin_volume', filterDateRange(records, opts));
     return result.ok(saved);
 }
 
 // 40. Gas Price (Dune) - Daily average gas price
-async function collect_dune_gas_price() {
-    if (!DUNE_API_KEY) { console.log('  ⏭️ Skipped - No API key'); return 0; }
+async function collect_dune_gas_price(opts = {}) {
+    if (!DUNE_API_KEY) { console.log('  ⏭️ Skipped - No API key'); return result.skip('No API key'); }
     if (DUNE_QUERIES.GAS_PRICE === 0) { 
         console.log('  ⏭️ Skipped - Query ID not set'); 
         return 0; 
@@ -2785,10 +3645,18 @@ async function collect_dune_gas_price() {
         console.log(`  ⛽ Sample: ${records[0].date} = ${records[0].avg_gas_price_gwei.toFixed(2)} Gwei`);
     }
     
+    // 부분 업데이트라 필수값 검사는 생략, 있는 필드만 검증
+    const { valid, rejected } = await validateRecords(db, 'historical_gas_burn', filterDateRange(records, opts), { partial: true });
+    if (rejected.length > 0) {
+        const ctx = currentContext();
+        if (ctx) ctx.stats.rejected += rejected.length;
+        await quarantineRows(db, 'historical_gas_burn', rejected, ctx?.dataset);
+    }
+    
     // Update existing records in historical_gas_burn (without source column)
-    let updated = 0;
-    for (const record of records) {
+    const updates = valid.map(record => {
         const updateData = { 
+            date: record.date,
             avg_gas_price_gwei: record.avg_gas_price_gwei
         };
         if (record.gas_utilization > 0) {
@@ -2797,248 +3665,726 @@ async function collect_dune_gas_price() {
         if (record.transaction_count > 0) {
             updateData.transaction_count = record.transaction_count;
         }
+        return updateData;
+    });
+    
+    // 한 번에 반영 - 실패하면 WriteError (일부 날짜만 갱신된 상태로 남지 않음)
+    const updated = await writeTracked('historical_gas_burn', updates, { partial: true });
+    console.log(`  ✅ ${updated} records in historical_gas_burn up to date`);
+    return updated;
+}
+
+/**
+ * Time spent waiting on per-host rate limits / Retry-After during this run
+ */
+function printThrottleSummary() {
+    const hosts = Object.entries(http.stats.byHost || {})
+        .filter(([, h]) => h.throttleMs >= 100 || h.pauses > 0)
+        .sort((a, b) => b[1].throttleMs - a[1].throttleMs);
+    if (hosts.length === 0) return;
+    const parts = hosts.map(([host, h]) => `${host} ${(h.throttleMs / 1000).toFixed(1)}s/${h.requests} req${h.pauses ? `, ${h.pauses} Retry-After` : ''}`);
+    console.log(`⏳ Throttled: ${(http.stats.throttleMs / 1000).toFixed(1)}s total (${parts.join('; ')})`);
+}
+
+// ============================================================
+// Collector Registry
+// ============================================================
+// 각 수집기가 쓰는 테이블, 데이터 소스, 상위 입력 테이블을 선언
+// - dependsOn: 입력으로 읽는 테이블. 상위 수집기가 실패하면 실행하지 않음 (stale 데이터로 계산 방지)
+// - after: 실행 순서만 보장. 상위 수집기가 실패해도 실행
+// - range: false 이면 --from/--to 날짜 범위를 지원하지 않음 (오늘 스냅샷만 수집 등)
+// - slaDays: 최신 행이 이 일수보다 오래되면 stale 알림 (기본 ALERT_STALE_DAYS)
+// - sources: fn 대신 소스 어댑터 목록 (1순위 → fallback 순서) - collectFromSources가 차례로 시도
+// 같은 테이블을 쓰는 수집기가 여럿이면 모두 상위로 간주 (자기 자신 제외)
+const COLLECTORS = {
+    // DefiLlama
+    ethereum_tvl: { name: 'Ethereum TVL', fn: collect_ethereum_tvl, table: 'historical_ethereum_tvl', source: 'defillama' },
+    l2_tvl: { name: 'L2 TVL', fn: collect_l2_tvl, table: 'historical_l2_tvl', source: 'defillama' },
+    protocol_fees: { name: 'Protocol Fees', sources: PROTOCOL_FEES_SOURCES, table: 'historical_protocol_fees', source: 'defillama' },
+    lending_protocols: { name: 'Lending Protocols', fn: collect_lending_protocols, table: 'historical_lending_protocol_tvl', source: 'defillama' },
+    protocol_tvl: { name: 'Protocol TVL', fn: collect_protocol_tvl, table: 'historical_protocol_tvl', source: 'defillama' },
+    staking_apr: { name: 'Staking APR', fn: collect_staking_apr, table: 'historical_staking_apr', source: 'defillama' },
+    dex_volume: { name: 'DEX Volume', fn: collect_dex_volume, table: 'historical_dex_volume', source: 'defillama' },
+    dex_by_protocol: { name: 'DEX by Protocol', fn: collect_dex_by_protocol, table: 'historical_dex_by_protocol', source: 'defillama' },
+    staking_estimate: { name: 'Staking Estimate (Lido)', sources: STAKING_ESTIMATE_SOURCES, table: 'historical_staking_estimate', source: 'defillama', dependsOn: ['historical_eth_price'] },
+    stablecoins: { name: 'Stablecoins', fn: collect_stablecoins, table: 'historical_stablecoins', source: 'defillama' },
+    stablecoins_eth: { name: 'Stablecoins ETH', fn: collect_stablecoins_eth, table: 'historical_stablecoins_eth', source: 'defillama' },
+
+    // Price & Market
+    eth_price: { name: 'ETH Price', sources: ETH_PRICE_SOURCES, table: 'historical_eth_price', source: 'dune' },
+    eth_btc: { name: 'ETH/BTC Ratio', sources: ETH_BTC_SOURCES, table: 'historical_eth_btc', source: 'dune' },
+    global_mcap: { name: 'Global MCap', fn: collect_global_mcap, table: 'historical_global_mcap', source: 'coingecko' },
+    eth_dominance: { name: 'ETH Dominance', fn: collect_eth_dominance, table: 'historical_eth_dominance', source: 'coingecko', dependsOn: ['historical_global_mcap'] },
+
+    // Other APIs
+    fear_greed: { name: 'Fear & Greed', fn: collect_fear_greed, table: 'historical_fear_greed', source: 'alternative_me', after: ['historical_eth_sentiment'] },
+    eth_supply: { name: 'ETH Supply', fn: collect_eth_supply, table: 'historical_eth_supply', source: 'ultrasound', after: ['historical_staking', 'historical_gas_burn'] },
+    transactions: { name: 'Transactions', fn: collect_transactions, table: 'historical_transactions', source: 'growthepie' },
+    l2_transactions: { name: 'L2 Transactions', fn: collect_l2_transactions, table: 'historical_l2_transactions', source: 'growthepie' },
+    funding_rate: { name: 'Funding Rate', fn: collect_funding_rate, table: 'historical_funding_rate', source: 'cryptoquant' },
+    exchange_reserve: { name: 'Exchange Reserve', fn: collect_exchange_reserve, table: 'historical_exchange_reserve', source: 'cryptoquant' },
+    open_interest: { name: 'Open Interest', fn: collect_open_interest, table: 'historical_open_interest', source: 'cryptoquant' },
+    funding_rate_exchange: { name: 'Funding Rate by Exchange', fn: collect_funding_rate_exchange, table: 'historical_funding_rate_exchange', source: 'cryptoquant' },
+    exchange_reserve_exchange: { name: 'Exchange Reserve by Exchange', fn: collect_exchange_reserve_exchange, table: 'historical_exchange_reserve_exchange', source: 'cryptoquant' },
+    open_interest_exchange: { name: 'Open Interest by Exchange', fn: collect_open_interest_exchange, table: 'historical_open_interest_exchange', source: 'cryptoquant' },
+    blob_data: { name: 'Blob Data', fn: collect_blob_data, table: 'historical_blob_data', source: 'calculated', range: false },
+    staking: { name: 'Staking Data', fn: collect_staking, table: 'historical_staking', source: 'beaconchain', after: ['historical_staking_estimate'] },
+    network_stats: { name: 'Network Stats', fn: collect_network_stats, table: 'historical_network_stats', source: 'dune' },
+    gas_burn: { name: 'Gas & Burn', fn: collect_gas_burn, table: 'historical_gas_burn', source: 'etherscan', after: ['historical_protocol_fees', 'historical_eth_price'] },
+
+    // Derived (기존 테이블에서 계산)
+    eth_in_defi: { name: 'ETH in DeFi', fn: collect_eth_in_defi, table: 'historical_eth_in_defi', source: 'calculated', dependsOn: ['historical_ethereum_tvl', 'historical_eth_price'] },
+    volatility: { name: 'Volatility', fn: collect_volatility, table: 'historical_volatility', source: 'calculated', dependsOn: ['historical_eth_price'] },
+    nvt: { name: 'NVT Ratio', fn: collect_nvt, table: 'historical_nvt', source: 'dune', dependsOn: ['historical_eth_price'], after: ['historical_eth_supply'] },
+    active_addresses: { name: 'Active Addresses', fn: collect_active_addresses, table: 'historical_active_addresses', source: 'calculated', dependsOn: ['historical_transactions'] },
+    l2_addresses: { name: 'L2 Addresses', fn: collect_l2_addresses, table: 'historical_l2_addresses', source: 'calculated', dependsOn: ['historical_l2_transactions'] },
+    lending_tvl: { name: 'Lending TVL', fn: collect_lending_tvl, table: 'historical_lending_tvl', source: 'calculated', dependsOn: ['historical_lending_protocol_tvl'] },
+    eth_sentiment: { name: 'ETH Sentiment Index', fn: collect_eth_sentiment, table: 'historical_eth_sentiment', source: 'calculated', dependsOn: ['historical_eth_price'], after: ['historical_volatility', 'historical_mvrv', 'historical_funding_rate', 'historical_open_interest', 'historical_exchange_reserve'] },
+
+    // Dune (추정치 수집기 이후 실행해서 실측값으로 덮어씀)
+    dune_blob: { name: 'Blob Data (Dune)', fn: collect_dune_blob, table: 'historical_blob_data', source: 'dune', after: ['historical_blob_data'] },
+    dune_active_addr: { name: 'Active Addresses (Dune)', fn: collect_dune_active_addr, table: 'historical_active_addresses', source: 'dune', after: ['historical_active_addresses'] },
+    dune_l2_addr: { name: 'L2 Addresses (Dune)', fn: collect_dune_l2_addr, table: 'historical_l2_addresses', source: 'dune', after: ['historical_l2_addresses'] },
+    dune_bridge: { name: 'Bridge Volume (Dune)', fn: collect_dune_bridge, table: 'historical_bridge_volume', source: 'dune' },
+    dune_l2_dex_volume: { name: 'L2 DEX Volume (Dune)', fn: collect_dune_l2_dex_volume, table: 'historical_l2_dex_volume', source: 'dune' },
+    dune_bridge_total_volume: { name: 'Bridge Total Volume (Dune)', fn: collect_dune_bridge_total_volume, table: 'historical_bridge_total_volume', source: 'dune' },
+    dune_whale: { name: 'Whale TX (Dune)', fn: collect_dune_whale, table: 'historical_whale_tx', source: 'dune' },
+    dune_new_addr: { name: 'New Addresses (Dune)', fn: collect_dune_new_addr, table: 'historical_new_addresses', source: 'dune' },
+    dune_mvrv: { name: 'MVRV (Dune)', fn: collect_dune_mvrv, table: 'historical_mvrv', source: 'dune' },
+    dune_stablecoin_vol: { name: 'Stablecoin Volume (Dune)', fn: collect_dune_stablecoin_vol, table: 'historical_stablecoin_volume', source: 'dune' },
+    dune_gas_price: { name: 'Gas Price (Dune)', fn: collect_dune_gas_price, table: 'historical_gas_burn', source: 'dune', after: ['historical_gas_burn'] }
+};
+
+for (const def of Object.values(COLLECTORS)) {
+    if (def.sources) def.fn = (opts) => collectFromSources(def, opts);
+}
+
+/**
+ * Resolve each collector's upstream collector keys from the tables it reads
+ * Returns { key: { required: [...], ordering: [...] } }
+ */
+function buildCollectorGraph(registry) {
+    const producers = {};
+    for (const [key, def] of Object.entries(registry)) {
+        (producers[def.table] = producers[def.table] || []).push(key);
+    }
+    
+    const resolve = (key, tables = []) => tables
+        .flatMap(table => producers[table] || [])  // 이번 실행에 없는 테이블은 기존 데이터 사용
+        .filter(upstream => upstream !== key);
+    
+    const graph = {};
+    for (const [key, def] of Object.entries(registry)) {
+        graph[key] = {
+            required: [...new Set(resolve(key, def.dependsOn))],
+            ordering: [...new Set(resolve(key, def.after))]
+        };
+    }
+    return graph;
+}
+
+// 하위 수집기가 입력으로 써도 되는 결과인지 (0건 warn은 실패로 간주)
+const isUpstreamOk = (res) => res.status === 'ok' || res.status === 'skip' || (res.status === 'warn' && res.count > 0);
+
+/**
+ * Run collectors in dependency order
+ * Independent collectors run in parallel (per-host request limits are applied by the http client);
+ * dependents start only after their upstream collectors finish and are
+ * marked 'blocked' if any required upstream failed.
+ */
+async function runCollectors(registry, runOne) {
+    const graph = buildCollectorGraph(registry);
+    
+    const results = {};
+    const pending = new Set(Object.keys(registry));
+    const running = new Map();
+    
+    while (pending.size > 0 || running.size > 0) {
+        let progressed = true;
+        while (progressed) {
+            progressed = false;
+            for (const key of [...pending]) {
+                const { required, ordering } = graph[key];
+                if ([...required, ...ordering].some(upstream => !results[upstream])) continue;
+                
+                pending.delete(key);
+                progressed = true;
+                
+                const failedUpstream = required.filter(upstream => !isUpstreamOk(results[upstream]));
+                if (failedUpstream.length > 0) {
+                    results[key] = result.blocked(`Upstream failed: ${failedUpstream.join(', ')}`);
+                    console.log(`⛔ ${registry[key].name}: ${results[key].msg}`);
+                    continue;
+                }
+                
+                const task = runOne(key, registry[key])
+                    .then(res => {
+                        results[key] = res;
+                        running.delete(key);
+                    });
+                running.set(key, task);
+            }
+        }
         
-        const { error } = await supabase
-            .from('historical_gas_burn')
-            .update(updateData)
-            .eq('date', record.date);
+        if (running.size === 0) {
+            // 순환 의존성 - 더 이상 실행 가능한 수집기 없음
+            for (const key of pending) {
+                results[key] = result.fail(`Dependency cycle: ${graph[key].required.concat(graph[key].ordering).join(', ')}`);
+            }
+            break;
+        }
         
-        if (!error) updated++;
+        await Promise.race(running.values());
     }
     
-    console.log(`  ✅ Updated ${updated} records in historical_gas_burn`);
-    return updated;
+    // 등록 순서대로 정렬
+    return Object.fromEntries(Object.keys(registry).map(key => [key, results[key]]));
+}
+
+// ============================================================
+// CLI
+// ============================================================
+function printUsage() {
+    console.log(`Usage: node scripts/data-collector.js [options]
+
+Options:
+  --only <a,b,...>     Run only these datasets (registry key or table suffix, e.g. nvt,mvrv)
+  --skip <a,b,...>     Run every dataset except these
+  --from <YYYY-MM-DD>  Only write rows on or after this date (collectors that support it)
+  --to <YYYY-MM-DD>    Only write rows on or before this date
+  --commentary         Force AI commentary even on a selective run
+  --no-commentary      Skip AI commentary
+  --section <key>      Generate a single commentary section (no collection unless --only is given)
+  --storage <backend>  Storage backend: supabase (default), postgres (DATABASE_URL), json (STORAGE_DIR)
+  --http <mode>        HTTP mode: live (default), record or replay fixtures in HTTP_FIXTURES_DIR
+  --lock-wait <sec>    Wait up to this long for another run's lock (default: RUN_LOCK_WAIT or 0 = exit)
+  --no-lock            Run without taking the run lock
+  --test-alert         Send a test alert to every configured sink (ALERT_*) and exit
+  --list               List datasets and exit
+  -h, --help           Show this help
+
+Exit codes: 0 success (or skipped: another run holds the lock), 1 failed, 2 usage error, 3 partial (some datasets or sections failed)`);
+}
+
+/**
+ * Parse command-line arguments (throws on unknown options or bad dates)
+ */
+function parseCli(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            only: { type: 'string' },
+            skip: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            commentary: { type: 'boolean' },
+            'no-commentary': { type: 'boolean' },
+            section: { type: 'string' },
+            storage: { type: 'string' },
+            http: { type: 'string' },
+            'lock-wait': { type: 'string' },
+            'no-lock': { type: 'boolean' },
+            'test-alert': { type: 'boolean' },
+            list: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        },
+        strict: true
+    });
+    
+    const splitList = (v) => (v ? v.split(',').map(s => s.trim()).filter(Boolean) : null);
+    for (const key of ['from', 'to']) {
+        if (values[key] && !/^\d{4}-\d{2}-\d{2}$/.test(values[key])) {
+            throw new Error(`--${key} must be YYYY-MM-DD (got "${values[key]}")`);
+        }
+    }
+    if (values.from && values.to && values.from > values.to) {
+        throw new Error('--from must not be after --to');
+    }
+    if (values.commentary && values['no-commentary']) {
+        throw new Error('--commentary and --no-commentary are mutually exclusive');
+    }
+    const lockWait = values['lock-wait'] ?? process.env.RUN_LOCK_WAIT ?? '0';
+    if (!/^\d+$/.test(lockWait)) {
+        throw new Error(`--lock-wait must be a number of seconds (got "${lockWait}")`);
+    }
+    
+    return {
+        only: splitList(values.only),
+        skip: splitList(values.skip),
+        from: values.from || null,
+        to: values.to || null,
+        commentary: values.commentary ? true : (values['no-commentary'] ? false : null),
+        section: values.section || null,
+        storage: values.storage || null,
+        http: values.http || null,
+        lockWait: parseInt(lockWait),
+        lock: !values['no-lock'],
+        testAlert: !!values['test-alert'],
+        list: !!values.list,
+        help: !!values.help
+    };
+}
+
+/**
+ * Resolve dataset names to registry keys
+ * Accepts a registry key (dune_mvrv) or a table suffix (mvrv → historical_mvrv)
+ */
+function resolveDatasetNames(registry, names) {
+    const keys = [];
+    for (const name of names) {
+        if (registry[name]) {
+            keys.push(name);
+            continue;
+        }
+        const byTable = Object.keys(registry).filter(key => registry[key].table === `historical_${name}`);
+        if (byTable.length === 0) throw new Error(`Unknown dataset: ${name}`);
+        keys.push(...byTable);
+    }
+    return [...new Set(keys)];
+}
+
+/**
+ * Apply --only/--skip to the registry
+ */
+function selectCollectors(registry, cli) {
+    let keys = Object.keys(registry);
+    if (cli.only) {
+        const only = new Set(resolveDatasetNames(registry, cli.only));
+        keys = keys.filter(key => only.has(key));
+    }
+    if (cli.skip) {
+        const skip = new Set(resolveDatasetNames(registry, cli.skip));
+        keys = keys.filter(key => !skip.has(key));
+    }
+    return Object.fromEntries(keys.map(key => [key, registry[key]]));
+}
+
+const DATASET_LOG_TABLE = 'scheduler_dataset_logs';
+
+/**
+ * scheduler_logs에 실행 결과 한 행 기록 (status: success | partial | failed | skipped)
+ */
+async function saveSchedulerLog({ runId, triggerType, status, total, duration, success = 0, failed = 0, failedDatasets = [] }) {
+    if (total === 0) return;
+    const runTimestamp = new Date().toISOString();
+    try {
+        const { error } = await db.from('scheduler_logs').insert({
+            run_id: runId,
+            run_timestamp: runTimestamp,
+            run_date: runTimestamp.split('T')[0],
+            trigger_type: triggerType,
+            status,
+            success_count: success,
+            failed_count: failed,
+            failed_datasets: JSON.stringify(failedDatasets),
+            duration_seconds: duration,
+            total_datasets: total
+        });
+        
+        if (error) console.error('Failed to save scheduler log:', error.message);
+        else console.log(`📝 Scheduler log saved (${triggerType}, ${status}, run ${runId})`);
+    } catch (e) {
+        console.error('Failed to save scheduler log:', e.message);
+    }
+}
+
+/**
+ * scheduler_dataset_logs에 데이터셋별 실행 기록 (run당 데이터셋마다 한 행)
+ *   rows_fetched: 소스 응답에서 파싱한 행 수 (countFetched, 기간 필터 전)
+ *   rows_submitted: 수집기가 쓰기 경로(upsertBatch/writeTracked)에 넘긴 행 수 (검증 전), rows_upserted: 실제로 쓴 행 수 (new + changed)
+ *   rows_new / rows_changed / rows_unchanged: 저장된 값과 비교한 결과 (unchanged는 쓰지 않음)
+ *   blocked 데이터셋은 실행하지 않았으므로 시각/카운트가 비어 있음
+ */
+async function saveDatasetLogs(runId, registry, results) {
+    const rows = Object.entries(results).map(([key, res]) => ({
+        run_id: runId,
+        run_date: (res.startedAt || new Date().toISOString()).split('T')[0],
+        dataset: key,
+        table_name: registry[key].table,
+        source: registry[key].source,
+        status: res.status,
+        message: res.msg || null,
+        started_at: res.startedAt || null,
+        ended_at: res.endedAt || null,
+        duration_ms: res.startedAt ? Date.parse(res.endedAt) - Date.parse(res.startedAt) : null,
+        http_calls: res.httpCalls ?? null,
+        throttle_ms: res.throttleMs ?? null,
+        rows_fetched: res.rowsFetched ?? null,
+        rows_submitted: res.rowsSubmitted ?? null,
+        rows_upserted: res.upserted ?? res.count ?? null,
+        rows_new: res.rowsNew ?? null,
+        rows_changed: res.rowsChanged ?? null,
+        rows_unchanged: res.rowsUnchanged ?? null,
+        rows_rejected: res.rejected ?? null,
+        rows_low_confidence: res.lowConfidence ?? null,
+        latest_date: res.latestDate || null
+    }));
+    if (rows.length === 0) return;
+    
+    const { error } = await db.from(DATASET_LOG_TABLE).insert(rows);
+    if (error) console.error(`Failed to save ${DATASET_LOG_TABLE}:`, error.message);
+    else console.log(`📝 ${rows.length} dataset runs saved to ${DATASET_LOG_TABLE}`);
+}
+
+/**
+ * Tables whose latest row is older than their freshness SLA
+ * → [{ table, datasets, latest, ageDays, slaDays }]
+ */
+async function findStaleTables(registry) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const today = Date.parse(new Date().toISOString().split('T')[0]);
+    const byTable = {};
+    for (const [key, def] of Object.entries(registry)) (byTable[def.table] = byTable[def.table] || []).push(key);
+    
+    const stale = [];
+    for (const [table, datasets] of Object.entries(byTable)) {
+        // 같은 테이블을 쓰는 수집기 중 가장 느슨한 SLA
+        const slaDays = Math.max(...datasets.map(k => registry[k].slaDays ?? ALERT_STALE_DAYS));
+        const { data, error } = await db.from(table).select('date').order('date', { ascending: false }).limit(1);
+        if (error) {
+            console.error(`  ⚠️ Freshness check ${table}: ${error.message}`);
+            continue;
+        }
+        const latest = data?.[0]?.date ? String(data[0].date).slice(0, 10) : null;
+        const ageDays = latest ? Math.round((today - Date.parse(latest)) / DAY_MS) : null;
+        if (ageDays === null || ageDays > slaDays) stale.push({ table, datasets, latest, ageDays, slaDays });
+    }
+    return stale;
 }
 
 // ============================================================
 // Main
 // ============================================================
-async function main() {
+async function main(cli) {
+    if (cli.list) {
+        for (const [key, def] of Object.entries(COLLECTORS)) {
+            const deps = [...(def.dependsOn || []), ...(def.after || [])];
+            const source = def.sources ? def.sources.map(a => a.name).join(' → ') : def.source;
+            console.log(`${key.padEnd(26)} ${source.padEnd(15)} ${def.table}${deps.length ? `  ← ${deps.join(', ')}` : ''}`);
+        }
+        return EXIT_CODES.success;
+    }
+    
+    if (cli.testAlert) {
+        const outcome = await alerter.notify([{
+            key: 'test', kind: 'test', severity: 'info',
+            title: 'Test alert from ETHval data collector',
+            text: `Sinks: ${alerter.sinks.map(s => s.name).join(', ') || '(none)'}`
+        }], { force: true });
+        if (alerter.sinks.length === 0) return EXIT_CODES.usage;
+        return outcome.failedSinks.length === 0 ? EXIT_CODES.success : EXIT_CODES.failed;
+    }
+    
+    let selected;
+    try {
+        selected = selectCollectors(COLLECTORS, cli);
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        return EXIT_CODES.usage;
+    }
+    
+    let sections = Object.keys(COMMENTARY_SECTIONS);
+    if (cli.section) {
+        if (!COMMENTARY_SECTIONS[cli.section]) {
+            console.error(`❌ Unknown commentary section: ${cli.section} (${sections.join(', ')})`);
+            return EXIT_CODES.usage;
+        }
+        sections = [cli.section];
+    }
+    
+    // --section 단독 실행이면 수집 생략
+    if (cli.section && !cli.only) selected = {};
+    
+    // 선택 실행(--only/--skip/--from/--to)에서는 기본적으로 해설 생략
+    const isSelective = !!(cli.only || cli.skip || cli.from || cli.to);
+    const runCommentary = cli.section ? cli.commentary !== false : (cli.commentary ?? !isSelective);
+    
     console.log('═'.repeat(60));
     console.log('🚀 ETHval Data Collector v7.3');
     console.log(`📅 ${new Date().toISOString()}`);
+    if (isSelective) console.log(`🎯 Selective run: ${Object.keys(selected).join(', ') || '(none)'}`);
+    if (cli.from || cli.to) console.log(`📆 Date window: ${cli.from || '…'} ~ ${cli.to || '…'}`);
     console.log('═'.repeat(60));
     
     if (DUNE_API_KEY) console.log('✓ Dune API Key detected');
     else console.log('⚠️ No Dune API Key - Dune collections will be skipped');
+    if (db.backend !== 'supabase') console.log(`💾 Storage: ${db.backend}`);
+    if (http.mode !== 'live') console.log(`🎞️ HTTP ${http.mode} mode`);
     
-    const startTime = Date.now();
-    const results = {};
+    const total = Object.keys(selected).length;
+    
+    // Detect trigger type from GitHub Actions environment
+    const triggerType = process.env.GITHUB_EVENT_NAME === 'schedule' ? 'schedule' : 'manual';
+    const run = { selected, sections, runCommentary, runId: null, triggerType };
     
-    // 결과 래퍼 (기존 함수가 숫자를 반환하면 변환)
-    const wrapResult = (res, isDune = false) => {
-        if (typeof res === 'number') {
-            if (res > 0) return result.ok(res);
-            // Dune 쿼리는 0건이어도 warn (쿼리 확인 필요)
-            if (isDune) return result.warn(0, 'Check Dune query');
-            return result.fail('No data');
+    // ============================================================
+    // Run lock (두 워크플로가 같은 시각에 실행됨 - 한 번에 하나만 수집/해설 생성)
+    // ============================================================
+    const lock = createRunLock(db, { leaseMs: RUN_LOCK_LEASE_MINUTES * 60 * 1000 });
+    run.runId = lock.runId;
+    console.log(`🆔 Run ID: ${lock.runId}`);
+    if (cli.lock && (total > 0 || runCommentary)) {
+        let acquired;
+        try {
+            acquired = await lock.acquire({ waitMs: cli.lockWait * 1000 });
+        } catch (e) {
+            console.error(`❌ Run lock: ${e.message}`);
+            return EXIT_CODES.failed;
         }
-        return res;
-    };
+        if (!acquired.acquired) {
+            const holder = acquired.holder;
+            console.log(`🔒 Another run holds the lock${holder ? ` (${holder.run_id}, ${holder.owner}, lease until ${holder.lease_until})` : ''} - exiting`);
+            await saveSchedulerLog({ runId: lock.runId, triggerType, status: 'skipped', total, duration: 0 });
+            return EXIT_CODES.success;
+        }
+        console.log(`🔐 Run lock acquired (lease ${RUN_LOCK_LEASE_MINUTES}m)`);
+        try {
+            return await collectAndReport(cli, run);
+        } finally {
+            await lock.release();
+        }
+    }
+    return await collectAndReport(cli, run);
+}
+
+/**
+ * Collection + summary + commentary + scheduler log (run lock을 잡은 상태에서 실행)
+ */
+async function collectAndReport(cli, { selected, sections, runCommentary, runId, triggerType }) {
+    const startTime = Date.now();
+    const collectOpts = { from: cli.from, to: cli.to };
+    
+    const keys = Object.keys(selected);
+    const total = keys.length;
     
     // 진행상황 출력 헬퍼
-    const runCollector = async (name, fn, index, total) => {
-        const prefix = `[${String(index).padStart(2, '0')}/${total}]`;
+    const runCollector = async (key, def) => {
+        const prefix = `[${String(keys.indexOf(key) + 1).padStart(2, '0')}/${total}]`;
+        if ((cli.from || cli.to) && def.range === false) {
+            console.log(`ℹ️ ${prefix} ${def.name}: date window not supported, running full collection`);
+        }
+        const stats = { rejected: 0 };
+        const startedAt = new Date();
+        // dataset별 실행 기록 (scheduler_dataset_logs)
+        const telemetry = () => ({
+            startedAt: startedAt.toISOString(),
+            endedAt: new Date().toISOString(),
+            httpCalls: stats.httpCalls || 0,
+            throttleMs: Math.round(stats.throttleMs || 0),  // 호스트 rate limit/Retry-After 대기
+            rowsFetched: stats.rowsFetched ?? null,  // 소스를 직접 읽지 않는 파생 수집기는 null
+            rowsSubmitted: stats.rowsSubmitted || 0,
+            upserted: stats.upserted,  // upsertBatch를 안 거친 수집기(update 등)는 undefined → count 사용
+            rowsNew: stats.rowsNew,
+            rowsChanged: stats.rowsChanged,
+            rowsUnchanged: stats.rowsUnchanged,
+            latestDate: stats.latestDate || null
+        });
         try {
-            const res = wrapResult(await fn());
+            const res = wrapResult(await runDataset({ dataset: key, runId, stats }, () => def.fn(collectOpts)), def.source === 'dune');
+            // 쓰기 실패는 수집기가 예외를 잡았더라도 fail (일부만 쓰인 데이터셋이 ✅로 보이지 않게)
+            if (stats.writeErrors) Object.assign(res, result.fail(stats.writeErrors.join('; ')));
+            Object.assign(res, telemetry());
+            res.rejected = stats.rejected;
+            res.lowConfidence = stats.lowConfidence || 0;
+            // 재실행 후에도 오래된 Dune 결과를 썼으면 ok → warn
+            if (stats.staleDune && res.status === 'ok') {
+                Object.assign(res, result.warn(res.count, `stale Dune data: ${stats.staleDune.join(', ')}`));
+            }
             if (res.status === 'fail') {
-                console.log(`❌ ${prefix} ${name}: ${res.msg}`);
+                console.log(`❌ ${prefix} ${def.name}: ${res.msg}`);
             } else if (res.status === 'warn') {
-                console.log(`⚠️ ${prefix} ${name}: ${res.count} (${res.msg})`);
+                console.log(`⚠️ ${prefix} ${def.name}: ${res.count} (${res.msg})`);
             }
             // 성공은 로그 안 함 (Summary에서 표시)
             return res;
         } catch (e) {
-            console.log(`❌ ${prefix} ${name}: ${e.message}`);
-            return result.fail(e.message);
+            console.log(`❌ ${prefix} ${def.name}: ${e.message}`);
+            return { ...result.fail(e.message), ...telemetry(), rejected: stats.rejected, lowConfidence: stats.lowConfidence || 0 };
         }
     };
     
-    // ============================================================
-    // PHASE 1: DefiLlama APIs (순차 처리 - rate limit 방지)
-    // ============================================================
-    console.log('\n📦 Phase 1: DefiLlama APIs...');
-    const defiLlamaStart = Date.now();
-    
-    results.ethereum_tvl = await runCollector('Ethereum TVL', collect_ethereum_tvl, 1, 38); await sleep(500);
-    results.l2_tvl = await runCollector('L2 TVL', collect_l2_tvl, 2, 38); await sleep(500);
-    results.protocol_fees = await runCollector('Protocol Fees', collect_protocol_fees, 3, 38); await sleep(500);
-    results.lending_tvl = await runCollector('Lending TVL', collect_lending_tvl, 4, 38); await sleep(500);
-    results.protocol_tvl = await runCollector('Protocol TVL', collect_protocol_tvl, 5, 38); await sleep(500);
-    results.staking_apr = await runCollector('Staking APR', collect_staking_apr, 6, 38); await sleep(500);
-    results.eth_in_defi = await runCollector('ETH in DeFi', collect_eth_in_defi, 7, 38); await sleep(500);
-    results.dex_volume = await runCollector('DEX Volume', collect_dex_volume, 8, 38); await sleep(500);
-    results.dex_by_protocol = await runCollector('DEX by Protocol', collect_dex_by_protocol, 9, 38); await sleep(500);
-    results.staking = await runCollector('Staking Data', collect_staking, 10, 38);
-    
-    console.log(`  ✓ DefiLlama: ${((Date.now() - defiLlamaStart) / 1000).toFixed(1)}s`);
-    
-    // ============================================================
-    // PHASE 2: Price APIs (DefiLlama primary)
-    // ============================================================
-    console.log('\n💰 Phase 2: Price & Market Data...');
-    const priceStart = Date.now();
-    
-    results.eth_price = await runCollector('ETH Price', collect_eth_price, 11, 38); await sleep(500);
-    results.eth_btc = await runCollector('ETH/BTC Ratio', collect_eth_btc, 12, 38); await sleep(500);
-    results.eth_dominance = await runCollector('ETH Dominance', collect_eth_dominance, 13, 38); await sleep(500);
-    results.global_mcap = await runCollector('Global MCap', collect_global_mcap, 14, 38);
-    
-    console.log(`  ✓ Price APIs: ${((Date.now() - priceStart) / 1000).toFixed(1)}s`);
-    
-    // ============================================================
-    // PHASE 3: Other APIs (병렬)
-    // ============================================================
-    console.log('\n🔗 Phase 3: Other APIs (parallel)...');
-    const otherStart = Date.now();
-    
-    const phase3Results = await Promise.all([
-        collect_stablecoins(),
-        collect_stablecoins_eth(),
-        collect_fear_greed(),
-        collect_eth_supply(),
-        collect_volatility(),
-        collect_nvt(),
-        collect_transactions(),
-        collect_l2_transactions(),
-        collect_l2_addresses(),
-        collect_funding_rate(),
-        collect_exchange_reserve(),
-        collect_open_interest(),
-        collect_blob_data(),
-        collect_active_addresses(),
-        collect_network_stats(),
-        collect_gas_burn()
-    ]);
-    
-    const phase3Names = ['stablecoins', 'stablecoins_eth', 'fear_greed', 'eth_supply', 'volatility', 'nvt', 'transactions', 'l2_transactions', 'l2_addresses', 'funding_rate', 'exchange_reserve', 'open_interest', 'blob_data', 'active_addresses', 'network_stats', 'gas_burn'];
-    phase3Results.forEach((res, i) => {
-        results[phase3Names[i]] = wrapResult(res);
-        const r = results[phase3Names[i]];
-        if (r.status === 'fail') console.log(`  ❌ ${phase3Names[i]}: ${r.msg}`);
-        else if (r.status === 'warn') console.log(`  ⚠️ ${phase3Names[i]}: ${r.msg}`);
-    });
-    
-    console.log(`  ✓ Other APIs: ${((Date.now() - otherStart) / 1000).toFixed(1)}s`);
-    
-    // ============================================================
-    // PHASE 4: Dune APIs (병렬)
-    // ============================================================
-    console.log('\n🔷 Phase 4: Dune APIs...');
-    const duneStart = Date.now();
-    
-    if (DUNE_API_KEY) {
-        const duneResults = await Promise.all([
-            collect_dune_blob(),
-            collect_dune_active_addr(),
-            collect_dune_l2_addr(),
-            collect_dune_bridge(),
-            collect_dune_l2_dex_volume(),
-            collect_dune_bridge_total_volume(),
-            collect_dune_whale(),
-            collect_dune_new_addr(),
-            collect_dune_mvrv(),
-            collect_dune_stablecoin_vol(),
-            collect_dune_gas_price()
-        ]);
-        
-        const duneNames = ['dune_blob', 'dune_active_addr', 'dune_l2_addr', 'dune_bridge', 'dune_l2_dex_volume', 'dune_bridge_total_volume', 'dune_whale', 'dune_new_addr', 'dune_mvrv', 'dune_stablecoin_vol', 'dune_gas_price'];
-        duneResults.forEach((res, i) => {
-            results[duneNames[i]] = wrapResult(res, true);
-            const r = results[duneNames[i]];
-            if (r.status === 'fail') console.log(`  ❌ ${duneNames[i]}: ${r.msg}`);
-            else if (r.status === 'warn' && r.count === 0) console.log(`  ⚠️ ${duneNames[i]}: ${r.msg}`);
+    let success = 0, warned = 0, failed = 0, rejectedTotal = 0, changedTotal = 0;
+    const failedDatasets = []; // 실패한 데이터셋 목록
+    let results = {};
+    
+    if (total > 0) {
+        // ============================================================
+        // Collection (의존성 순서, 독립 수집기는 병렬)
+        // ============================================================
+        console.log(`\n📦 Collecting ${total} datasets...`);
+        results = await runCollectors(selected, runCollector);
+        console.log(`  ✓ Collection: ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+        
+        // ============================================================
+        // Summary
+        // ============================================================
+        const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
+        
+        console.log('\n' + '='.repeat(60));
+        console.log('📊 COLLECTION SUMMARY:');
+        console.log('='.repeat(60));
+        
+        Object.entries(results).forEach(([key, res]) => {
+            const { count, status, msg } = res;
+            let icon, display;
+            
+            if (status === 'ok') {
+                icon = '✅';
+                display = count.toLocaleString();
+                success++;
+            } else if (status === 'skip') {
+                icon = '⏭️';
+                display = 'up-to-date';
+                success++; // skip도 성공으로 카운트
+            } else if (status === 'warn') {
+                icon = '⚠️';
+                display = `${count.toLocaleString()} (${msg})`;
+                warned++;
+                failedDatasets.push(key); // warn도 실패 목록에 추가
+            } else if (status === 'blocked') {
+                icon = '⛔';
+                display = msg;
+                failed++;
+                failedDatasets.push(key);
+            } else {
+                icon = '❌';
+                display = msg || 'failed';
+                failed++;
+                failedDatasets.push(key);
+            }
+            
+            // 저장된 값과 비교한 변경 내역 (upsertBatch를 거친 데이터셋만)
+            if (res.rowsUnchanged !== undefined) {
+                display += `  ✏️ +${res.rowsNew.toLocaleString()} new, ${res.rowsChanged.toLocaleString()} changed, ${res.rowsUnchanged.toLocaleString()} unchanged`;
+                changedTotal += res.rowsNew + res.rowsChanged;
+            }
+            
+            // 추정/대체값으로 쓴 행 수 (confidence=low)
+            if (res.lowConfidence > 0) {
+                display += `  🔸 ${res.lowConfidence.toLocaleString()} low-confidence`;
+            }
+            
+            // 검증 실패로 격리된 행 수
+            if (res.rejected > 0) {
+                display += `  🚫 ${res.rejected.toLocaleString()} rejected`;
+                rejectedTotal += res.rejected;
+            }
+            
+            // rate limit 대기 시간 (1초 이상만)
+            if (res.throttleMs >= 1000) {
+                display += `  ⏳ ${(res.throttleMs / 1000).toFixed(1)}s throttled`;
+            }
+            
+            console.log(`${icon} ${key.padEnd(22)} : ${display}`);
         });
         
-        console.log(`  ✓ Dune: ${((Date.now() - duneStart) / 1000).toFixed(1)}s`);
-    } else {
-        console.log('  ⏭️ Skipped (no API key)');
-    }
-    
-    // ============================================================
-    // Summary
-    // ============================================================
-    const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
-    
-    console.log('\n' + '='.repeat(60));
-    console.log('📊 COLLECTION SUMMARY:');
-    console.log('='.repeat(60));
-    
-    let success = 0, warned = 0, failed = 0;
-    const failedDatasets = []; // 실패한 데이터셋 목록
-    
-    Object.entries(results).forEach(([key, res]) => {
-        const { count, status, msg } = res;
-        let icon, display;
+        if (duneFreshness.size > 0) printDuneFreshness();
         
-        if (status === 'ok') {
-            icon = '✅';
-            display = count.toLocaleString();
-            success++;
-        } else if (status === 'skip') {
-            icon = '⏭️';
-            display = 'up-to-date';
-            success++; // skip도 성공으로 카운트
-        } else if (status === 'warn') {
-            icon = '⚠️';
-            display = `${count.toLocaleString()} (${msg})`;
-            warned++;
-            failedDatasets.push(key); // warn도 실패 목록에 추가
-        } else {
-            icon = '❌';
-            display = msg || 'failed';
-            failed++;
-            failedDatasets.push(key);
+        console.log('='.repeat(60));
+        console.log(`✅ OK: ${success}  |  ⚠️ Warn: ${warned}  |  ❌ Fail: ${failed}  |  ✏️ Rows written: ${changedTotal}  |  🚫 Rejected rows: ${rejectedTotal}  |  ⏱️ ${totalTime}s`);
+        printThrottleSummary();
+        if (failedDatasets.length > 0) {
+            console.log(`❌ Failed: ${failedDatasets.join(', ')}`);
         }
-        
-        console.log(`${icon} ${key.padEnd(22)} : ${display}`);
-    });
-    
-    console.log('='.repeat(60));
-    console.log(`✅ OK: ${success}  |  ⚠️ Warn: ${warned}  |  ❌ Fail: ${failed}  |  ⏱️ ${totalTime}s`);
-    if (failedDatasets.length > 0) {
-        console.log(`❌ Failed: ${failedDatasets.join(', ')}`);
+        console.log('='.repeat(60));
     }
-    console.log('='.repeat(60));
     
     // ============================================================
     // AI Daily Commentary Generation
     // ============================================================
-    const commentaryResults = await generateAllCommentaries();
+    let commentaryResults = { success: 0, failed: 0 };
+    if (runCommentary) {
+        commentaryResults = await generateAllCommentaries(sections);
+    } else {
+        const reason = cli.commentary === false ? '--no-commentary' : 'selective run - use --commentary to force';
+        console.log(`\n⏭️ Skipping AI commentary (${reason})`);
+    }
     
-    // Save scheduler log to Supabase
+    // Save scheduler log
     const endTime = Date.now();
     const duration = Math.round((endTime - startTime) / 1000);
     const logStatus = failed === 0 ? 'success' : (success > failed ? 'partial' : 'failed');
     
-    // Detect trigger type from GitHub Actions environment
-    const triggerType = process.env.GITHUB_EVENT_NAME === 'schedule' ? 'schedule' : 'manual';
-    const runTimestamp = new Date().toISOString();
+    await saveSchedulerLog({
+        runId, triggerType, status: logStatus, total, duration,
+        success, failed, failedDatasets
+    });
+    await saveDatasetLogs(runId, selected, results);
     
-    try {
-        const { error } = await supabase.from('scheduler_logs').insert({
-            run_timestamp: runTimestamp,
-            run_date: runTimestamp.split('T')[0],
-            trigger_type: triggerType,
-            status: logStatus,
-            success_count: success,
-            failed_count: failed,
-            failed_datasets: JSON.stringify(failedDatasets),
-            duration_seconds: duration,
-            total_datasets: 38  // l1_volume, l2_volume 제거됨 (Total Volume 테이블로 통합)
+    // ============================================================
+    // Alerts (실패 데이터셋, freshness SLA 초과, 해설 실패)
+    // ============================================================
+    const alerts = [];
+    const failedRuns = Object.entries(results).filter(([, res]) => res.status === 'fail' || res.status === 'blocked');
+    if (failedRuns.length > 0) {
+        // 실패 조합별 key - 같은 데이터셋이 계속 실패하면 억제, 새로 실패하면 다시 알림
+        alerts.push({
+            key: `run_failed:${failedRuns.map(([key]) => key).sort().join(',')}`,
+            kind: 'run_failed',
+            severity: logStatus === 'failed' ? 'error' : 'warning',
+            title: `Run ${logStatus}: ${failedRuns.length}/${total} datasets failed`,
+            text: failedRuns.map(([key, res]) => `• ${key}: ${res.msg || res.status}`).join('\n')
+        });
+    }
+    // 날짜 창을 지정한 실행(과거 구간 재수집)은 freshness를 판단하지 않음
+    if (total > 0 && !cli.from && !cli.to) {
+        for (const s of await findStaleTables(selected)) {
+            alerts.push({
+                key: `stale:${s.table}`,
+                kind: 'stale',
+                severity: 'warning',
+                title: s.latest ? `Stale: ${s.table} latest ${s.latest} (${s.ageDays}d old, SLA ${s.slaDays}d)` : `Stale: ${s.table} has no rows`,
+                text: `Datasets: ${s.datasets.join(', ')}`
+            });
+        }
+    }
+    for (const f of commentaryResults.failedSections || []) {
+        alerts.push({
+            key: `commentary:${f.section}`,
+            kind: 'commentary_failed',
+            severity: 'warning',
+            title: `Commentary failed: ${f.section}`,
+            text: f.reason
         });
-        
-        if (error) console.error('Failed to save scheduler log:', error.message);
-        else console.log(`📝 Scheduler log saved (${triggerType})`);
-    } catch (e) {
-        console.error('Failed to save scheduler log:', e.message);
     }
+    await alerter.notify(alerts, { runId });
     
     console.log('\n' + '='.repeat(60));
     console.log('🏁 COLLECTION COMPLETE');
     console.log(`⏱️ Total duration: ${duration} seconds`);
-    console.log(`🤖 AI Commentary: ${commentaryResults.success}/7 generated`);
+    if (runCommentary) console.log(`🤖 AI Commentary: ${commentaryResults.success}/${sections.length} generated`);
     console.log('='.repeat(60));
+    
+    if (logStatus === 'failed') return EXIT_CODES.failed;
+    if (logStatus === 'partial' || commentaryResults.failed > 0) return EXIT_CODES.partial;
+    return EXIT_CODES.success;
 }
 
-main().catch(e => { console.error('Fatal:', e); process.exit(1); });
+if (isMain) {
+    main(cli)
+        .then(async code => {
+            if (db) await db.close();
+            process.exitCode = code;
+        })
+        .catch(async e => {
+            console.error('Fatal:', e);
+            await alerter.notify([{
+                key: 'run_crashed', kind: 'run_failed', severity: 'error',
+                title: 'Run crashed', text: String(e?.stack || e).split('\n').slice(0, 5).join('\n')
+            }]).catch(() => {});
+            process.exit(EXIT_CODES.failed);
+        });
+}
+
+module.exports = {
+    COLLECTORS,
+    COMMENTARY_SECTIONS,
+    EXIT_CODES,
+    db,
+    http,
+    result,
+    wrapResult,
+    runCollectors,
+    runDataset,
+    resolveDatasetNames
+};
@@ -0,0 +1,44 @@
+-- ETHval - Daily Burn (EIP-1559 base fee burn, EIP-4844 blob burn, priority fees)
+-- Dune에 저장 후 쿼리 ID를 DUNE_BURN_QUERY_ID로 설정 → collect_gas_burn (historical_gas_burn 실측 행)
+--
+-- eth_burnt         = Σ base_fee_per_gas × gas_used            (블록별, ETH)
+-- blob_burnt_eth    = Σ blob_base_fee × blob_gas_used          (블록별, ETH)
+-- priority_fees_eth = Σ (effective gas price − base fee) × gas_used  (트랜잭션별, validator 수입)
+--
+-- blob base fee = fake_exponential(1, excess_blob_gas, BLOB_BASE_FEE_UPDATE_FRACTION) ≈ exp(excess / fraction)
+-- fraction: Cancun 3338477, Prague(Pectra, 2025-05-07 10:05:11 UTC) 이후 5007716
+with blocks as (
+    select
+        number,
+        date_trunc('day', time) as date,
+        cast(base_fee_per_gas as double) as base_fee_per_gas,
+        cast(gas_used as double) as gas_used,
+        cast(coalesce(blob_gas_used, 0) as double) as blob_gas_used,
+        exp(cast(coalesce(excess_blob_gas, 0) as double)
+            / case when time >= timestamp '2025-05-07 10:05:11' then 5007716.0 else 3338477.0 end) as blob_base_fee_wei
+    from ethereum.blocks
+    where time >= now() - interval '1095' day
+),
+tips as (
+    select
+        t.block_number,
+        count(*) as tx_count,
+        sum(cast(t.gas_used as double) * (cast(t.gas_price as double) - b.base_fee_per_gas)) / 1e18 as priority_fees_eth
+    from ethereum.transactions t
+    join blocks b on b.number = t.block_number
+    where t.block_time >= now() - interval '1095' day
+    group by 1
+)
+select
+    b.date,
+    sum(b.base_fee_per_gas * b.gas_used) / 1e18 as eth_burnt,
+    sum(b.blob_gas_used * b.blob_base_fee_wei) / 1e18 as blob_burnt_eth,
+    sum(coalesce(t.priority_fees_eth, 0)) as priority_fees_eth,
+    sum(b.gas_used) as gas_used,
+    avg(b.base_fee_per_gas) / 1e9 as avg_base_fee_gwei,
+    sum(coalesce(t.tx_count, 0)) as transaction_count
+from blocks b
+left join tips t on t.block_number = b.number
+where b.date < date_trunc('day', now())
+group by 1
+order by 1 desc
@@ -0,0 +1,29 @@
+-- ETHval - Daily Network Stats (blocks, missed slots, block time, gas limit/used, fullness)
+-- Dune에 저장 후 쿼리 ID를 DUNE_NETWORK_STATS_QUERY_ID로 설정 → collect_network_stats (historical_network_stats)
+--
+-- Merge 이후 슬롯은 12초 고정 → 하루 7200 슬롯, 블록이 없는 슬롯 = missed slot
+-- avg_block_time = 연속 블록 간 간격 평균 (missed slot이 있으면 12초보다 길어짐)
+-- block_fullness = avg(gas_used / gas_limit) × 100 (PoS 이후 uncle 없음)
+with blocks as (
+    select
+        date_trunc('day', time) as date,
+        time,
+        cast(gas_limit as double) as gas_limit,
+        cast(gas_used as double) as gas_used,
+        date_diff('second', lag(time) over (order by number), time) as block_time
+    from ethereum.blocks
+    where time >= now() - interval '1096' day
+)
+select
+    date,
+    count(*) as block_count,
+    greatest(7200 - count(*), 0) as missed_slots,
+    avg(block_time) as avg_block_time,
+    avg(gas_limit) as avg_gas_limit,
+    avg(gas_used) as avg_gas_used,
+    avg(gas_used / gas_limit) * 100 as block_fullness
+from blocks
+where date >= date_trunc('day', now()) - interval '1095' day
+  and date < date_trunc('day', now())
+group by 1
+order by 1 desc
@@ -0,0 +1,319 @@
+/**
+ * Outbound alerts (실행 실패, 데이터셋 freshness SLA 초과, 해설 생성 실패)
+ *
+ * 설정된 sink 전부로 보낸다. 아무것도 설정하지 않으면 콘솔 출력만 한다.
+ *   ALERT_WEBHOOK_URL           generic webhook - JSON POST { source, run_id, alerts: [...] }
+ *   ALERT_SLACK_WEBHOOK_URL     Slack incoming webhook - { text }
+ *   ALERT_DISCORD_WEBHOOK_URL   Discord webhook - { content } (2000자 제한)
+ *   ALERT_SMTP_HOST, ALERT_SMTP_PORT (기본 587), ALERT_SMTP_USER, ALERT_SMTP_PASS,
+ *   ALERT_SMTP_FROM, ALERT_SMTP_TO (쉼표 구분)
+ *                               이메일 - 465는 implicit TLS, 그 외는 서버가 지원하면 STARTTLS
+ *
+ * 알림 = { key, kind, severity, title, text }
+ *   key가 같은 알림은 suppressMinutes 안에 다시 보내지 않는다.
+ *   실행마다 새 프로세스이므로 발송 기록은 alert_log 테이블에 남겨서 판단한다.
+ * 한 번의 notify()에서 억제되지 않은 알림은 sink마다 메시지 하나로 묶어서 보낸다.
+ *
+ * 웹훅은 http 클라이언트(record/replay)가 아니라 전역 fetch로 보낸다 - 로컬 수신기로 테스트 가능
+ *   ALERT_WEBHOOK_URL=http://localhost:8080/ node scripts/data-collector.js --test-alert
+ */
+
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+const ALERT_LOG_TABLE = 'alert_log';
+const DISCORD_LIMIT = 2000;
+
+const ICONS = { error: '🔴', warning: '🟠', info: 'ℹ️' };
+
+function formatAlerts(alerts) {
+    return alerts.map(a => `${ICONS[a.severity] || ''} ${a.title}${a.text ? `\n${a.text}` : ''}`.trim()).join('\n\n');
+}
+
+async function postJson(url, body, timeoutMs) {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'ETHval/7.2' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+}
+
+// ============================================================
+// Sinks
+// ============================================================
+function webhookSink(url, { timeoutMs = 10000 } = {}) {
+    return {
+        name: 'webhook',
+        send: ({ runId, alerts }) => postJson(url, {
+            source: 'ethval',
+            run_id: runId,
+            sent_at: new Date().toISOString(),
+            alerts: alerts.map(({ key, kind, severity, title, text }) => ({ key, kind, severity, title, text }))
+        }, timeoutMs)
+    };
+}
+
+function slackSink(url, { timeoutMs = 10000 } = {}) {
+    return {
+        name: 'slack',
+        send: ({ subject, runId, alerts }) => postJson(url, {
+            text: `*${subject}*${runId ? ` (run ${runId})` : ''}\n${formatAlerts(alerts)}`
+        }, timeoutMs)
+    };
+}
+
+function discordSink(url, { timeoutMs = 10000 } = {}) {
+    return {
+        name: 'discord',
+        send: ({ subject, runId, alerts }) => {
+            let content = `**${subject}**${runId ? ` (run ${runId})` : ''}\n${formatAlerts(alerts)}`;
+            if (content.length > DISCORD_LIMIT) content = content.slice(0, DISCORD_LIMIT - 1) + '…';
+            return postJson(url, { content }, timeoutMs);
+        }
+    };
+}
+
+function smtpSink(options) {
+    return {
+        name: 'email',
+        send: ({ subject, runId, alerts }) => sendMail({
+            ...options,
+            subject,
+            text: `${formatAlerts(alerts)}\n\n-- \nETHval data collector${runId ? `, run ${runId}` : ''}`
+        })
+    };
+}
+
+/**
+ * Sinks configured by environment variables (see header)
+ */
+function sinksFromEnv(env = process.env) {
+    const sinks = [];
+    if (env.ALERT_WEBHOOK_URL) sinks.push(webhookSink(env.ALERT_WEBHOOK_URL));
+    if (env.ALERT_SLACK_WEBHOOK_URL) sinks.push(slackSink(env.ALERT_SLACK_WEBHOOK_URL));
+    if (env.ALERT_DISCORD_WEBHOOK_URL) sinks.push(discordSink(env.ALERT_DISCORD_WEBHOOK_URL));
+    if (env.ALERT_SMTP_HOST && env.ALERT_SMTP_TO) {
+        sinks.push(smtpSink({
+            host: env.ALERT_SMTP_HOST,
+            port: parseInt(env.ALERT_SMTP_PORT || '587'),
+            user: env.ALERT_SMTP_USER || null,
+            pass: env.ALERT_SMTP_PASS || null,
+            from: env.ALERT_SMTP_FROM || env.ALERT_SMTP_USER || `ethval@${os.hostname()}`,
+            to: env.ALERT_SMTP_TO.split(',').map(s => s.trim()).filter(Boolean)
+        }));
+    }
+    return sinks;
+}
+
+// ============================================================
+// SMTP (외부 의존성 없이 최소 구현: EHLO, STARTTLS, AUTH PLAIN, 단일 메시지)
+// ============================================================
+
+// 응답 단위 reader - "250-..." 연속 줄은 "250 ..."이 올 때까지 모은다
+function smtpReader(socket) {
+    let buffer = '', lines = [], failure = null;
+    const ready = [], waiters = [];
+
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        let i;
+        while ((i = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.slice(0, i).replace(/\r$/, '');
+            buffer = buffer.slice(i + 1);
+            lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const res = { code: parseInt(line.slice(0, 3)), lines };
+                lines = [];
+                if (waiters.length) waiters.shift().resolve(res);
+                else ready.push(res);
+            }
+        }
+    };
+    const onError = (e) => {
+        failure = failure || e;
+        while (waiters.length) waiters.shift().reject(failure);
+    };
+    const onClose = () => onError(new Error('SMTP connection closed'));
+
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+
+    return {
+        next() {
+            if (ready.length) return Promise.resolve(ready.shift());
+            if (failure) return Promise.reject(failure);
+            return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+        },
+        detach() {
+            socket.off('data', onData);
+            socket.off('error', onError);
+            socket.off('close', onClose);
+        }
+    };
+}
+
+const encodeHeader = (s) => (/^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s).toString('base64')}?=`);
+
+function buildMessage({ from, to, subject, text }) {
+    const body = Buffer.from(text.replace(/\r?\n/g, '\r\n')).toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+const connect = (options, secure) => new Promise((resolve, reject) => {
+    const socket = secure
+        ? tls.connect({ servername: options.host, ...options }, () => resolve(socket))
+        : net.connect(options, () => resolve(socket));
+    socket.once('error', reject);
+});
+
+async function sendMail({ host, port = 587, user, pass, from, to, subject, text, timeoutMs = 20000 }) {
+    let socket = await connect({ host, port }, port === 465);
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP timeout')));
+    let reader = smtpReader(socket);
+
+    const command = async (line, expect) => {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const res = await reader.next();
+        if (Math.floor(res.code / 100) !== expect) {
+            const shown = line && line.startsWith('AUTH') ? 'AUTH' : (line || 'greeting');
+            throw new Error(`SMTP ${shown}: ${res.lines.join(' ')}`);
+        }
+        return res;
+    };
+
+    try {
+        await command(null, 2);
+        let ehlo = await command(`EHLO ${os.hostname()}`, 2);
+
+        if (!(socket instanceof tls.TLSSocket) && ehlo.lines.some(l => /^\d{3}[ -]STARTTLS/i.test(l))) {
+            await command('STARTTLS', 2);
+            reader.detach();
+            socket = await connect({ socket, host }, true);
+            socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP timeout')));
+            reader = smtpReader(socket);
+            ehlo = await command(`EHLO ${os.hostname()}`, 2);
+        }
+
+        if (user) {
+            await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, 2);
+        }
+
+        await command(`MAIL FROM:<${from.replace(/^.*<|>.*$/g, '')}>`, 2);
+        for (const rcpt of to) await command(`RCPT TO:<${rcpt}>`, 2);
+        await command('DATA', 3);
+        // 줄 맨 앞의 '.'은 두 번 (dot-stuffing) - base64 본문에는 없지만 헤더 대비
+        await command(`${buildMessage({ from, to, subject, text }).replace(/^\./gm, '..')}\r\n.`, 2);
+        await command('QUIT', 2).catch(() => {});
+    } finally {
+        reader.detach();
+        socket.destroy();
+    }
+}
+
+// ============================================================
+// Alerter (suppression + fan-out)
+// ============================================================
+
+/**
+ * createAlerter(db, { sinks, suppressMinutes })
+ *   notify(alerts, { runId, force }) → { sent: [...keys], suppressed: [...keys], failedSinks: [...names] }
+ *   force: 억제 무시 (--test-alert)
+ */
+function createAlerter(db, { sinks = sinksFromEnv(), suppressMinutes = 360 } = {}) {
+
+    // suppressMinutes 안에 같은 key로 보낸 기록이 있으면 억제
+    const recentlySent = async (key) => {
+        const since = new Date(Date.now() - suppressMinutes * 60 * 1000).toISOString();
+        const { data, error } = await db.from(ALERT_LOG_TABLE)
+            .select('sent_at')
+            .eq('alert_key', key)
+            .gte('sent_at', since)
+            .limit(1);
+        // alert_log를 못 읽으면 억제하지 않음 (중복 발송이 누락보다 낫다)
+        if (error) {
+            console.error(`  ⚠️ ${ALERT_LOG_TABLE}: ${error.message}`);
+            return false;
+        }
+        return (data || []).length > 0;
+    };
+
+    return {
+        sinks,
+
+        async notify(alerts, { runId = null, force = false } = {}) {
+            const outcome = { sent: [], suppressed: [], failedSinks: [] };
+            if (alerts.length === 0) return outcome;
+
+            const pending = [];
+            for (const alert of alerts) {
+                if (!force && sinks.length > 0 && await recentlySent(alert.key)) outcome.suppressed.push(alert.key);
+                else pending.push(alert);
+            }
+
+            console.log(`\n🚨 Alerts: ${alerts.length}${outcome.suppressed.length ? ` (${outcome.suppressed.length} suppressed)` : ''}`);
+            for (const a of alerts) {
+                console.log(`  ${ICONS[a.severity] || ''} ${a.title}${outcome.suppressed.includes(a.key) ? '  (suppressed)' : ''}`);
+            }
+            if (pending.length === 0 || sinks.length === 0) {
+                if (sinks.length === 0) console.log('  (no alert sinks configured)');
+                return outcome;
+            }
+
+            const errors = pending.filter(a => a.severity === 'error').length;
+            const subject = `ETHval: ${pending.length} alert${pending.length > 1 ? 's' : ''}${errors ? ` (${errors} error${errors > 1 ? 's' : ''})` : ''}`;
+            const delivered = [];
+            for (const sink of sinks) {
+                try {
+                    await sink.send({ subject, runId, alerts: pending });
+                    delivered.push(sink.name);
+                } catch (e) {
+                    outcome.failedSinks.push(sink.name);
+                    console.error(`  ❌ Alert sink ${sink.name}: ${e.message}`);
+                }
+            }
+            // 하나도 전달 못 했으면 기록하지 않음 → 다음 실행에서 다시 시도
+            if (delivered.length === 0) return outcome;
+
+            const sentAt = new Date().toISOString();
+            const { error } = await db.from(ALERT_LOG_TABLE).insert(pending.map(a => ({
+                alert_key: a.key,
+                kind: a.kind,
+                severity: a.severity,
+                title: a.title,
+                run_id: runId,
+                sinks: delivered.join(','),
+                sent_at: sentAt
+            })));
+            if (error) console.error(`  ⚠️ ${ALERT_LOG_TABLE}: ${error.message}`);
+
+            outcome.sent = pending.map(a => a.key);
+            console.log(`  📣 Sent via ${delivered.join(', ')}`);
+            return outcome;
+        }
+    };
+}
+
+module.exports = {
+    ALERT_LOG_TABLE,
+    createAlerter,
+    sinksFromEnv,
+    webhookSink,
+    slackSink,
+    discordSink,
+    smtpSink,
+    sendMail
+};
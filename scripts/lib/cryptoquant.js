@@ -0,0 +1,99 @@
+/**
+ * CryptoQuant API client
+ *
+ *   CRYPTOQUANT_API_KEY    있으면 https://api.cryptoquant.com 직접 호출 (Authorization: Bearer)
+ *   CRYPTOQUANT_PROXY_URL  키가 없을 때 프록시 경유 - <proxy>/?endpoint=/v1/...&<params> (키는 프록시가 보관)
+ *   둘 다 없으면 configured = false (수집기는 skip)
+ *
+ * 응답 envelope: { status: { code, message }, result: { window, data: [...] } }
+ *   status.code !== 200 이면 CryptoQuantError
+ *
+ * 일별 시계열은 최신순으로 오므로, 한 페이지(limit)가 꽉 차면
+ * to를 가장 오래된 날짜 전날로 옮겨 from까지 반복해서 가져온다.
+ */
+
+const DIRECT_BASE_URL = 'https://api.cryptoquant.com';
+const PAGE_LIMIT = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CryptoQuantError extends Error {
+    constructor(endpoint, message, status = null) {
+        super(`CryptoQuant ${endpoint}: ${message}`);
+        this.name = 'CryptoQuantError';
+        this.status = status;
+    }
+}
+
+// 'YYYY-MM-DD' → 'YYYYMMDD' (CryptoQuant from/to 형식)
+const compactDate = (date) => date.replace(/-/g, '');
+
+/**
+ * createCryptoQuantClient({ apiKey, proxyUrl, http })
+ *   mode: 'direct' | 'proxy' | null
+ *   request(endpoint, params) → result.data
+ *   fetchDaily(endpoint, params, { from, to }) → rows (오래된 순, 날짜 중복 제거)
+ */
+function createCryptoQuantClient({ apiKey = null, proxyUrl = null, http, pageLimit = PAGE_LIMIT } = {}) {
+    const mode = apiKey ? 'direct' : (proxyUrl ? 'proxy' : null);
+
+    const buildUrl = (endpoint, params) => {
+        const query = new URLSearchParams(Object.entries(params).filter(([, v]) => v !== undefined && v !== null));
+        if (mode === 'direct') return `${DIRECT_BASE_URL}${endpoint}?${query}`;
+        return `${proxyUrl.replace(/\/+$/, '')}/?endpoint=${endpoint}&${query}`;
+    };
+
+    async function request(endpoint, params = {}) {
+        if (!mode) throw new CryptoQuantError(endpoint, 'no CRYPTOQUANT_API_KEY or CRYPTOQUANT_PROXY_URL configured');
+
+        const res = await http.fetch(buildUrl(endpoint, params), {
+            timeoutMs: 30000,
+            headers: {
+                'Accept': 'application/json',
+                ...(mode === 'direct' ? { 'Authorization': `Bearer ${apiKey}` } : {})
+            }
+        });
+
+        let body = null;
+        try {
+            body = await res.json();
+        } catch {
+            // 본문이 JSON이 아니면 HTTP 상태로만 판단
+        }
+        const code = body?.status?.code ?? res.status;
+        if (!res.ok || code !== 200) {
+            throw new CryptoQuantError(endpoint, body?.status?.message || `HTTP ${res.status}`, code);
+        }
+        if (!Array.isArray(body?.result?.data)) {
+            throw new CryptoQuantError(endpoint, 'unexpected response (no result.data)', code);
+        }
+        return body.result.data;
+    }
+
+    async function fetchDaily(endpoint, params = {}, { from, to } = {}) {
+        const byDate = new Map();
+        let cursor = to || null;
+        for (;;) {
+            const rows = await request(endpoint, {
+                window: 'day',
+                ...params,
+                from: from ? compactDate(from) : undefined,
+                to: cursor ? compactDate(cursor) : undefined,
+                limit: pageLimit
+            });
+            let oldest = null;
+            for (const row of rows) {
+                const date = String(row.date).slice(0, 10);
+                if (!byDate.has(date)) byDate.set(date, { ...row, date });
+                if (!oldest || date < oldest) oldest = date;
+            }
+            // 마지막 페이지 (덜 찼거나 from에 도달)
+            if (rows.length < pageLimit || !oldest || (from && oldest <= from)) break;
+            cursor = new Date(Date.parse(oldest) - DAY_MS).toISOString().split('T')[0];
+        }
+        return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    return { mode, configured: !!mode, request, fetchDaily };
+}
+
+module.exports = { CryptoQuantError, createCryptoQuantClient };
@@ -0,0 +1,177 @@
+/**
+ * HTTP client with record/replay fixtures
+ *
+ * 모든 외부 호출(DefiLlama, Dune, growthepie, CoinGecko, alternative.me,
+ * CryptoQuant, Etherscan, Anthropic)은 이 클라이언트의 fetch()를 거친다.
+ *
+ * HTTP_MODE 환경변수 (또는 --http)
+ *   live    - 실제 네트워크 호출 (기본)
+ *   record  - 실제 호출 후 응답을 HTTP_FIXTURES_DIR에 저장
+ *   replay  - 저장된 응답만 사용, 네트워크 호출 없음 (없으면 에러)
+ *
+ * 픽스처 키 = method + URL + body 해시. API 키가 들어가는 쿼리 파라미터는
+ * 키 계산과 저장 전에 가린다. (헤더는 키에 포함하지 않음)
+ *
+ * live/record 모드의 요청은 호스트별 rate limiter(lib/rate-limit.js)를 거친다.
+ * 429/503 응답은 Retry-After(없으면 429만 5s, 10s, ...) 동안 호스트를 멈추고 재시도.
+ * 대기한 시간은 stats.throttleMs와 수집기별 ctx.stats.throttleMs에 누적.
+ *
+ * 요청 timeout은 init.timeoutMs로 넘긴다 (signal 대신). 슬롯을 받은 뒤 시도마다 새로 시작하므로
+ * 호스트 대기열/Retry-After 대기 시간은 timeout에 포함되지 않는다.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { currentContext } = require('./run-context');
+const { createRateLimiter, hostLimitsFromEnv, parseRetryAfter } = require('./rate-limit');
+
+const MODES = ['live', 'record', 'replay'];
+
+// URL 쿼리에서 가릴 파라미터 (Etherscan apikey, CoinGecko Pro x_cg_pro_api_key 등)
+const SECRET_PARAMS = ['apikey', 'api_key', 'key', 'token', 'x_cg_pro_api_key'];
+
+// Retry-After가 이보다 길면 기다리지 않고 응답을 그대로 반환
+const MAX_RETRY_AFTER_MS = 60000;
+
+function redactUrl(url) {
+    const u = new URL(url);
+    for (const name of [...u.searchParams.keys()]) {
+        if (SECRET_PARAMS.includes(name.toLowerCase())) u.searchParams.set(name, 'REDACTED');
+    }
+    return u.toString();
+}
+
+function fixturePath(dir, method, url, body) {
+    const safeUrl = redactUrl(url);
+    const hash = crypto.createHash('sha1')
+        .update(`${method} ${safeUrl}\n${body || ''}`)
+        .digest('hex')
+        .slice(0, 16);
+    const u = new URL(safeUrl);
+    const slug = u.pathname.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 60) || 'root';
+    return { file: path.join(dir, u.hostname, `${slug}-${hash}.json`), safeUrl };
+}
+
+class FixtureMissingError extends Error {
+    constructor(method, url, file) {
+        super(`No fixture for ${method} ${url} (${path.relative(process.cwd(), file)})`);
+        this.name = 'FixtureMissingError';
+        this.code = 'ENOFIXTURE';
+    }
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.mode - live | record | replay
+ * @param {string} options.fixturesDir - fixture directory (record/replay)
+ * @param {Function} options.fetchImpl - underlying fetch (default: global fetch)
+ * @param {object} options.limiter - per-host rate limiter (default: createRateLimiter())
+ * @param {number} options.maxRetries - 429/503 retries per request
+ */
+function createHttpClient({ mode = 'live', fixturesDir = 'fixtures/http', fetchImpl = fetch, limiter = createRateLimiter(), maxRetries = 3 } = {}) {
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown HTTP_MODE "${mode}" (${MODES.join(', ')})`);
+    }
+
+    const stats = { calls: 0, recorded: 0, replayed: 0, retries: 0, throttleMs: 0, byHost: limiter.stats.byHost };
+
+    // 호스트 슬롯을 받아서 호출, 429/503이면 Retry-After만큼 호스트를 멈추고 재시도
+    async function limitedFetch(url, { timeoutMs, ...init }, ctx) {
+        for (let attempt = 0; ; attempt++) {
+            const slot = await limiter.acquire(url);
+            stats.throttleMs += slot.waitedMs;
+            if (ctx) ctx.stats.throttleMs = (ctx.stats.throttleMs || 0) + slot.waitedMs;
+            // timeout은 슬롯을 받은 뒤부터 (본문 읽기까지 포함, 끝난 요청의 abort는 무시됨)
+            let signal = init.signal;
+            if (timeoutMs) {
+                const controller = new AbortController();
+                setTimeout(() => controller.abort(), timeoutMs).unref();
+                signal = controller.signal;
+            }
+            let res;
+            try {
+                res = await fetchImpl(url, { ...init, signal });
+            } finally {
+                slot.release();
+            }
+            if ((res.status !== 429 && res.status !== 503) || attempt >= maxRetries) return res;
+
+            const retryAfter = parseRetryAfter(res.headers.get('retry-after'))
+                ?? (res.status === 429 ? 5000 * (attempt + 1) : null);
+            if (retryAfter === null || retryAfter > MAX_RETRY_AFTER_MS) return res;
+
+            await res.body?.cancel().catch(() => {});
+            limiter.pause(url, retryAfter);
+            stats.retries++;
+            console.error(`  ⏳ HTTP ${res.status} from ${new URL(url).hostname} - retry in ${(retryAfter / 1000).toFixed(1)}s`);
+        }
+    }
+
+    async function replay(method, url, body) {
+        const { file } = fixturePath(fixturesDir, method, url, body);
+        if (!fs.existsSync(file)) throw new FixtureMissingError(method, redactUrl(url), file);
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        stats.replayed++;
+        return new Response(fixture.response.body, {
+            status: fixture.response.status,
+            headers: fixture.response.headers
+        });
+    }
+
+    async function record(method, url, body, res) {
+        const { file, safeUrl } = fixturePath(fixturesDir, method, url, body);
+        const text = await res.text();
+        const headers = {};
+        res.headers.forEach((v, k) => {
+            if (k === 'content-type' || k === 'retry-after') headers[k] = v;
+        });
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({
+            request: { method, url: safeUrl, body: body || null },
+            response: { status: res.status, headers, body: text },
+            recordedAt: new Date().toISOString()
+        }, null, 2));
+        stats.recorded++;
+
+        return new Response(text, { status: res.status, headers });
+    }
+
+    return {
+        mode,
+        stats,
+
+        /**
+         * fetch() 호환 시그니처 - Response를 반환
+         */
+        async fetch(url, init = {}) {
+            const method = (init.method || 'GET').toUpperCase();
+            const body = typeof init.body === 'string' ? init.body : null;
+            stats.calls++;
+            // 수집기별 호출 수 (run telemetry)
+            const ctx = currentContext();
+            if (ctx) ctx.stats.httpCalls = (ctx.stats.httpCalls || 0) + 1;
+
+            if (mode === 'replay') return replay(method, url, body);
+
+            const res = await limitedFetch(url, init, ctx);
+            if (mode === 'record') return record(method, url, body, res);
+            return res;
+        }
+    };
+}
+
+/**
+ * Create the client from HTTP_MODE / HTTP_FIXTURES_DIR
+ */
+function createHttpClientFromEnv(env = process.env) {
+    // HTTP_RATE_LIMIT=off - 호스트 한도 없이 호출 (Retry-After 재시도는 유지)
+    return createHttpClient({
+        mode: (env.HTTP_MODE || 'live').toLowerCase(),
+        fixturesDir: path.resolve(env.HTTP_FIXTURES_DIR || 'fixtures/http'),
+        limiter: createRateLimiter(env.HTTP_RATE_LIMIT === 'off' ? {} : hostLimitsFromEnv(env))
+    });
+}
+
+module.exports = { createHttpClient, createHttpClientFromEnv, FixtureMissingError, redactUrl };
@@ -0,0 +1,42 @@
+/**
+ * Row provenance (method / inputs / confidence)
+ *
+ * 모든 historical_* 행에 어떻게 만들어진 값인지 기록한다.
+ *   method     - 'measured'  : 외부 소스에서 그대로 측정된 값
+ *                'derived'   : 측정값들로부터 결정적으로 계산한 값 (변동성, NVT 등)
+ *                'estimated' : 고정 계수/가정으로 추정한 값 (tx_count × 0.4 등)
+ *                'fallback'  : 소스 실패 시 만든 대체값 (모델 생성 시계열 등)
+ *   inputs     - 계산/추정에 쓴 입력 (jsonb), measured는 null
+ *   confidence - 'high' | 'medium' | 'low'
+ *
+ * index.html은 confidence='low' 행을 차트에서 구분 표시하고 밸류에이션 모델에서 제외한다.
+ */
+
+const METHODS = ['measured', 'derived', 'estimated', 'fallback'];
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// method별 기본 confidence
+const DEFAULT_CONFIDENCE = {
+    measured: 'high',
+    derived: 'high',
+    estimated: 'low',
+    fallback: 'low'
+};
+
+/**
+ * Provenance fields for one row
+ */
+function provenance(method, inputs = null, confidence = DEFAULT_CONFIDENCE[method]) {
+    if (!METHODS.includes(method)) throw new Error(`Unknown provenance method: ${method}`);
+    return { method, inputs, confidence };
+}
+
+/**
+ * Fill in provenance for rows that don't carry their own (collector-level default)
+ */
+function applyDefaultProvenance(records, method = 'measured') {
+    const defaults = provenance(method);
+    return records.map(r => (r.method ? r : { ...r, ...defaults }));
+}
+
+module.exports = { METHODS, CONFIDENCE_LEVELS, DEFAULT_CONFIDENCE, provenance, applyDefaultProvenance };
@@ -0,0 +1,130 @@
+/**
+ * Per-host request scheduler (token bucket + max concurrency)
+ *
+ * http 클라이언트가 모든 외부 호출 전에 acquire()로 슬롯을 받는다.
+ * 수집기를 전부 병렬로 돌려도 호스트별 한도 안에서만 요청이 나가므로
+ * 수집기마다 sleep()을 넣거나 소스별로 실행 순서를 나눌 필요가 없다.
+ *
+ *   rps          초당 토큰 보충량 (평균 요청 속도)
+ *   burst        버킷 크기 (한 번에 몰아서 보낼 수 있는 요청 수)
+ *   concurrency  동시에 진행 중인 요청 수 상한
+ *
+ * 한도 key는 호스트 이름 또는 상위 도메인 (llama.fi → api.llama.fi, yields.llama.fi 공유)
+ * 등록되지 않은 호스트는 속도/동시성 제한 없음 (pause와 통계만 적용).
+ * 429/503의 Retry-After는 pause()로 해당 호스트 전체를 그 시각까지 멈춘다.
+ */
+
+const HOST_LIMITS = {
+    'llama.fi': { rps: 2, burst: 2, concurrency: 2 },                                // DefiLlama (api, stablecoins, yields)
+    'coingecko.com': { rps: 0.5, burst: 2, concurrency: 1 },                         // CoinGecko 무료 ~30 req/min
+    'api.dune.com': { rps: 2, burst: 4, concurrency: 4 },
+    'api.growthepie.xyz': { rps: 2, burst: 2, concurrency: 2 },
+    'api.cryptoquant.com': { rps: 1, burst: 2, concurrency: 1 },                     // CRYPTOQUANT_PROXY_URL 호스트도 같은 한도
+    'api.etherscan.io': { rps: 4, burst: 4, concurrency: 2 },                        // 무료 5 req/s
+    'api.anthropic.com': { rps: 2, burst: 1, concurrency: 1 },
+    'beaconcha.in': { rps: 0.9, burst: 1, concurrency: 1 }                           // 무료 1 req/s
+};
+
+/**
+ * HOST_LIMITS + hosts configured by environment (CryptoQuant proxy)
+ */
+function hostLimitsFromEnv(env = process.env) {
+    const limits = { ...HOST_LIMITS };
+    if (env.CRYPTOQUANT_PROXY_URL) limits[new URL(env.CRYPTOQUANT_PROXY_URL).hostname] = HOST_LIMITS['api.cryptoquant.com'];
+    return limits;
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) → ms, null if absent/invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    if (/^\d+(\.\d+)?$/.test(value.trim())) return Math.round(parseFloat(value) * 1000);
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+/**
+ * createRateLimiter(limits)
+ *   acquire(url) → { release(), waitedMs }
+ *   pause(url, ms)
+ *   stats: { throttleMs, byHost: { key: { requests, throttleMs, pauses } } }
+ */
+function createRateLimiter(limits = HOST_LIMITS) {
+    const buckets = new Map();
+    const stats = { throttleMs: 0, byHost: {} };
+
+    const bucketFor = (url) => {
+        const host = new URL(url).hostname;
+        const key = Object.keys(limits).find(k => host === k || host.endsWith(`.${k}`)) || host;
+        if (!buckets.has(key)) {
+            const { rps = Infinity, burst = 1, concurrency = Infinity } = limits[key] || {};
+            buckets.set(key, {
+                key, rps, burst, concurrency,
+                tokens: burst, refilledAt: Date.now(),
+                active: 0, queue: [], pausedUntil: 0, timer: null
+            });
+            stats.byHost[key] = { requests: 0, throttleMs: 0, pauses: 0 };
+        }
+        return buckets.get(key);
+    };
+
+    const refill = (b, now) => {
+        b.tokens = b.rps === Infinity ? b.burst : Math.min(b.burst, b.tokens + (now - b.refilledAt) / 1000 * b.rps);
+        b.refilledAt = now;
+    };
+
+    // 대기열 앞에서부터 가능한 만큼 슬롯 배정, 못 하면 다음 토큰 시각에 다시 시도
+    const pump = (b) => {
+        while (b.queue.length > 0 && b.active < b.concurrency) {
+            const now = Date.now();
+            refill(b, now);
+            let delay = 0;
+            if (now < b.pausedUntil) delay = b.pausedUntil - now;
+            else if (b.tokens < 1) delay = Math.ceil((1 - b.tokens) / b.rps * 1000);
+            if (delay > 0) {
+                if (!b.timer) b.timer = setTimeout(() => { b.timer = null; pump(b); }, delay);
+                return;
+            }
+            b.tokens -= 1;
+            b.active++;
+            b.queue.shift()();
+        }
+    };
+
+    return {
+        stats,
+
+        async acquire(url) {
+            const b = bucketFor(url);
+            const queuedAt = Date.now();
+            await new Promise(resolve => {
+                b.queue.push(resolve);
+                pump(b);
+            });
+            const waitedMs = Date.now() - queuedAt;
+            stats.throttleMs += waitedMs;
+            stats.byHost[b.key].throttleMs += waitedMs;
+            stats.byHost[b.key].requests++;
+
+            let released = false;
+            return {
+                waitedMs,
+                release() {
+                    if (released) return;
+                    released = true;
+                    b.active--;
+                    pump(b);
+                }
+            };
+        },
+
+        pause(url, ms) {
+            const b = bucketFor(url);
+            b.pausedUntil = Math.max(b.pausedUntil, Date.now() + ms);
+            stats.byHost[b.key].pauses++;
+        }
+    };
+}
+
+module.exports = { HOST_LIMITS, hostLimitsFromEnv, createRateLimiter, parseRetryAfter };
@@ -0,0 +1,23 @@
+/**
+ * Per-collector run context
+ *
+ * 수집기는 병렬로 실행되므로, upsertBatch 등 공용 헬퍼가 현재 어떤 데이터셋을
+ * 처리 중인지 알 수 있도록 AsyncLocalStorage로 컨텍스트를 전달한다.
+ *
+ *   runWithContext({ dataset: 'nvt', stats }, () => collect_nvt(opts))
+ *   currentContext()?.stats.rejected += n
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+function runWithContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+function currentContext() {
+    return storage.getStore() || null;
+}
+
+module.exports = { runWithContext, currentContext };
@@ -0,0 +1,98 @@
+/**
+ * Storage-backed run lock (lease)
+ *
+ * 두 워크플로(collect-data.yml, collect-historical-data.yml)가 같은 시각에
+ * data-collector.js를 실행하므로, run_locks 테이블의 행 하나로 동시 실행을 막는다.
+ *   name        - 락 이름 (기본: 'data-collector')
+ *   run_id      - 락을 가진 실행 ID (scheduler_logs.run_id와 동일)
+ *   owner       - 워크플로/호스트 (로그용)
+ *   lease_until - 이 시각이 지나면 만료 (프로세스가 죽어도 다음 실행이 가져감)
+ *
+ * 실행 중에는 lease의 1/3 간격으로 갱신한다.
+ * 모든 백엔드에서 같은 Query 인터페이스만 쓰므로, 획득 후 다시 읽어서 내 run_id인지 확인한다.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+
+const LOCK_TABLE = 'run_locks';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function newRunId() {
+    // GitHub Actions면 run id를 앞에 붙여 워크플로 실행과 연결
+    const prefix = process.env.GITHUB_RUN_ID ? `gh${process.env.GITHUB_RUN_ID}-` : '';
+    return prefix + crypto.randomUUID().slice(0, 8);
+}
+
+/**
+ * createRunLock(db, { name, leaseMs, runId })
+ *   acquire({ waitMs, pollMs }) → { acquired: true } | { acquired: false, holder }
+ *   release()
+ */
+function createRunLock(db, { name = 'data-collector', leaseMs = 30 * 60 * 1000, runId = newRunId() } = {}) {
+    const owner = process.env.GITHUB_WORKFLOW || os.hostname();
+    let heartbeat = null;
+
+    const leaseUntil = () => new Date(Date.now() + leaseMs).toISOString();
+
+    // 유효한(만료 전) 락 행 중 가장 먼저 잡은 것
+    const currentHolder = async () => {
+        const { data, error } = await db.from(LOCK_TABLE)
+            .select('run_id, owner, acquired_at, lease_until')
+            .eq('name', name)
+            .gt('lease_until', new Date().toISOString())
+            .order('acquired_at', { ascending: true });
+        if (error) throw new Error(`${LOCK_TABLE}: ${error.message}`);
+        return data?.[0] || null;
+    };
+
+    const tryAcquire = async () => {
+        const now = new Date().toISOString();
+        const row = { name, run_id: runId, owner, acquired_at: now, lease_until: leaseUntil() };
+
+        // 만료된 락은 정리 후 insert (name이 unique라 동시에 넣으면 하나만 성공)
+        await db.from(LOCK_TABLE).delete().eq('name', name).lt('lease_until', now);
+        const holder = await currentHolder();
+        if (holder) return holder;
+
+        await db.from(LOCK_TABLE).insert(row);
+        const winner = await currentHolder();
+        if (winner && winner.run_id !== runId) {
+            // unique 제약이 없는 백엔드(json)에서 동시에 들어간 경우 - 내 행 제거
+            await db.from(LOCK_TABLE).delete().eq('name', name).eq('run_id', runId);
+        }
+        return winner;
+    };
+
+    return {
+        runId,
+        name,
+
+        async acquire({ waitMs = 0, pollMs = 15000 } = {}) {
+            const deadline = Date.now() + waitMs;
+            for (;;) {
+                const holder = await tryAcquire();
+                if (holder?.run_id === runId) {
+                    heartbeat = setInterval(() => {
+                        db.from(LOCK_TABLE).update({ lease_until: leaseUntil() }).eq('name', name).eq('run_id', runId)
+                            .then(({ error }) => { if (error) console.error(`  ⚠️ Lock renewal failed: ${error.message}`); });
+                    }, Math.max(1000, Math.floor(leaseMs / 3)));
+                    heartbeat.unref();
+                    return { acquired: true };
+                }
+                if (Date.now() + pollMs > deadline) return { acquired: false, holder };
+                await sleep(pollMs);
+            }
+        },
+
+        async release() {
+            if (heartbeat) clearInterval(heartbeat);
+            heartbeat = null;
+            const { error } = await db.from(LOCK_TABLE).delete().eq('name', name).eq('run_id', runId);
+            if (error) console.error(`  ⚠️ Lock release failed: ${error.message}`);
+        }
+    };
+}
+
+module.exports = { LOCK_TABLE, createRunLock, newRunId };
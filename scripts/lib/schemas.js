@@ -0,0 +1,315 @@
+/**
+ * Per-table row schemas for pre-write validation
+ *
+ * key:    행을 식별하는 컬럼 (upsert onConflict와 동일). date 외 컬럼은 시계열 구분용
+ * fields: 컬럼별 규칙
+ *   type       - 'date' (YYYY-MM-DD) | 'number' | 'integer' | 'string'
+ *   required   - null/undefined/빈 값 불가
+ *   min / max  - 허용 범위 (포함)
+ *   gt         - 초과해야 하는 하한 (0 값 차단용)
+ *   maxChange  - 전일 대비 최대 변화율 (0.5 = ±50%), 7일 이내 이전 행과 비교
+ *   oneOf      - 허용 값 목록
+ *
+ * keyFields: backfill이 빈 값(null)을 찾을 컬럼 (기본: key 외 required 컬럼)
+ *
+ * 모든 테이블에 provenance 컬럼(method, confidence) 규칙이 추가된다 (lib/provenance.js).
+ * 스키마에 없는 테이블/컬럼은 date 형식만 검사한다.
+ */
+
+const { METHODS, CONFIDENCE_LEVELS } = require('./provenance');
+
+const date = { type: 'date', required: true };
+const chainKey = { type: 'string', required: true };
+
+const TABLE_SCHEMAS = {
+    // ── Price & Market ──
+    historical_eth_price: {
+        key: ['date'],
+        fields: {
+            date,
+            open: { type: 'number', gt: 0, max: 100000 },
+            high: { type: 'number', gt: 0, max: 100000 },
+            low: { type: 'number', gt: 0, max: 100000 },
+            close: { type: 'number', required: true, gt: 0, max: 100000, maxChange: 0.5 }
+        }
+    },
+    historical_eth_btc: {
+        key: ['date'],
+        fields: { date, ratio: { type: 'number', required: true, min: 0.001, max: 1, maxChange: 0.3 } }
+    },
+    historical_eth_dominance: {
+        key: ['date'],
+        fields: {
+            date,
+            eth_dominance: { type: 'number', required: true, gt: 0, max: 100, maxChange: 0.3 },
+            btc_dominance: { type: 'number', gt: 0, max: 100, maxChange: 0.3 },
+            total_mcap: { type: 'number', gt: 0, max: 1e14, maxChange: 0.5 }
+        }
+    },
+    historical_global_mcap: {
+        key: ['date'],
+        fields: { date, total_mcap: { type: 'number', required: true, gt: 0, max: 1e14, maxChange: 0.5 } }
+    },
+    historical_volatility: {
+        key: ['date'],
+        fields: { date, volatility_30d: { type: 'number', required: true, gt: 0, max: 500 } }
+    },
+    historical_nvt: {
+        key: ['date'],
+        fields: {
+            date,
+            nvt_ratio: { type: 'number', required: true, gt: 0, max: 500 },
+            market_cap: { type: 'number', gt: 0 },
+            tx_volume_usd: { type: 'number', gt: 0 }
+        }
+    },
+    historical_mvrv: {
+        key: ['date'],
+        fields: {
+            date,
+            mvrv_ratio: { type: 'number', required: true, gt: 0, max: 10 },
+            realized_price: { type: 'number', required: true, gt: 0, max: 100000 }
+        }
+    },
+    historical_fear_greed: {
+        key: ['date'],
+        fields: { date, value: { type: 'integer', required: true, min: 0, max: 100 } }
+    },
+    historical_eth_sentiment: {
+        key: ['date'],
+        fields: {
+            date,
+            value: { type: 'integer', required: true, min: 0, max: 100 },
+            momentum_score: { type: 'number', min: 0, max: 100 },
+            volatility_score: { type: 'number', min: 0, max: 100 },
+            mvrv_score: { type: 'number', min: 0, max: 100 },
+            funding_score: { type: 'number', min: 0, max: 100 },
+            open_interest_score: { type: 'number', min: 0, max: 100 },
+            reserve_score: { type: 'number', min: 0, max: 100 },
+            components: { type: 'integer', min: 3, max: 6 }
+        }
+    },
+
+    // ── Derivatives / Exchange (CryptoQuant) ──
+    historical_funding_rate: {
+        key: ['date'],
+        fields: { date, funding_rate: { type: 'number', required: true, min: -5, max: 5 } }
+    },
+    historical_open_interest: {
+        key: ['date'],
+        fields: { date, open_interest: { type: 'number', required: true, gt: 0, max: 1e12, maxChange: 0.5 } }
+    },
+    historical_exchange_reserve: {
+        key: ['date'],
+        fields: { date, reserve_eth: { type: 'number', required: true, gt: 0, max: 1.3e8, maxChange: 0.2 } }
+    },
+    // 거래소별 breakdown (CryptoQuant exchange id)
+    historical_funding_rate_exchange: {
+        key: ['date', 'exchange'],
+        fields: { date, exchange: chainKey, funding_rate: { type: 'number', required: true, min: -5, max: 5 } }
+    },
+    historical_open_interest_exchange: {
+        key: ['date', 'exchange'],
+        fields: { date, exchange: chainKey, open_interest: { type: 'number', required: true, gt: 0, max: 1e12 } }
+    },
+    historical_exchange_reserve_exchange: {
+        key: ['date', 'exchange'],
+        fields: { date, exchange: chainKey, reserve_eth: { type: 'number', required: true, gt: 0, max: 1.3e8 } }
+    },
+
+    // ── DeFi / TVL ──
+    historical_ethereum_tvl: {
+        key: ['date'],
+        fields: { date, tvl: { type: 'number', required: true, gt: 0, max: 1e12, maxChange: 0.5 } }
+    },
+    historical_l2_tvl: {
+        key: ['date', 'chain'],
+        fields: { date, chain: chainKey, tvl: { type: 'number', required: true, gt: 0, max: 1e12 } }
+    },
+    historical_lending_tvl: {
+        key: ['date'],
+        fields: {
+            date,
+            total_tvl: { type: 'number', required: true, gt: 0, max: 1e12, maxChange: 0.5 },
+            protocol_count: { type: 'integer', gt: 0 }
+        }
+    },
+    historical_lending_protocol_tvl: {
+        key: ['date', 'protocol'],
+        fields: { date, protocol: chainKey, tvl: { type: 'number', required: true, min: 0, max: 1e12 } }
+    },
+    historical_protocol_tvl: {
+        key: ['date', 'protocol'],
+        fields: { date, protocol: chainKey, tvl: { type: 'number', required: true, min: 0, max: 1e12 } }
+    },
+    historical_protocol_fees: {
+        key: ['date'],
+        fields: { date, fees: { type: 'number', required: true, gt: 0, max: 1e10 } }
+    },
+    historical_dex_volume: {
+        key: ['date'],
+        fields: { date, volume: { type: 'number', required: true, gt: 0, max: 1e12 } }
+    },
+    historical_dex_by_protocol: {
+        key: ['date', 'protocol'],
+        fields: { date, protocol: chainKey, volume: { type: 'number', required: true, min: 0, max: 1e12 } }
+    },
+    historical_eth_in_defi: {
+        key: ['date'],
+        fields: { date, eth_locked: { type: 'number', required: true, gt: 0, max: 1.3e8 } }
+    },
+    historical_stablecoins: {
+        key: ['date'],
+        fields: { date, total_mcap: { type: 'number', required: true, gt: 0, max: 1e13, maxChange: 0.2 } }
+    },
+    historical_stablecoins_eth: {
+        key: ['date'],
+        fields: { date, total_mcap: { type: 'number', required: true, gt: 0, max: 1e13, maxChange: 0.2 } }
+    },
+
+    // ── Supply / Staking ──
+    historical_eth_supply: {
+        key: ['date'],
+        fields: {
+            date,
+            eth_supply: { type: 'number', required: true, min: 1e8, max: 1.3e8, maxChange: 0.01 },
+            ledger_supply: { type: 'number', min: 1e8, max: 1.3e8 },
+            reconciliation_error: { type: 'number', min: -1e6, max: 1e6 }
+        }
+    },
+    historical_daily_issuance: {
+        key: ['date'],
+        fields: {
+            date,
+            daily_issuance: { type: 'number', required: true, gt: 0, max: 20000, maxChange: 0.2 },
+            daily_burn: { type: 'number', min: 0, max: 50000 },
+            net_issuance: { type: 'number', min: -50000, max: 20000 },
+            total_staked_eth: { type: 'number', gt: 0, max: 1.3e8 },
+            reconciliation_error: { type: 'number', min: -1e5, max: 1e5 }
+        }
+    },
+    historical_staking: {
+        key: ['date'],
+        fields: {
+            date,
+            total_staked_eth: { type: 'number', required: true, gt: 0, max: 1.3e8, maxChange: 0.2 },
+            total_validators: { type: 'integer', gt: 0, max: 4e6 },
+            avg_apr: { type: 'number', min: 0, max: 20 },
+            validator_balance_eth: { type: 'number', gt: 0, max: 1.3e8 },
+            epoch: { type: 'integer', gt: 0 }
+        }
+    },
+    historical_staking_estimate: {
+        key: ['date'],
+        fields: {
+            date,
+            total_staked_eth: { type: 'number', required: true, gt: 0, max: 1.3e8, maxChange: 0.2 },
+            total_validators: { type: 'integer', gt: 0, max: 4e6 },
+            avg_apr: { type: 'number', min: 0, max: 20 }
+        }
+    },
+    historical_staking_diff: {
+        key: ['date'],
+        fields: {
+            date,
+            beacon_staked_eth: { type: 'number', required: true, gt: 0, max: 1.3e8 },
+            estimated_staked_eth: { type: 'number', required: true, gt: 0, max: 1.3e8 },
+            diff_eth: { type: 'number', required: true },
+            diff_pct: { type: 'number', min: -100, max: 1000 }
+        }
+    },
+    historical_staking_apr: {
+        key: ['date'],
+        fields: { date, lido_apr: { type: 'number', required: true, gt: 0, max: 20 } }
+    },
+    historical_gas_burn: {
+        key: ['date'],
+        keyFields: ['eth_burnt', 'avg_gas_price_gwei'],
+        fields: {
+            date,
+            eth_burnt: { type: 'number', required: true, gt: 0, max: 50000 },
+            blob_burnt_eth: { type: 'number', min: 0, max: 10000 },
+            priority_fees_eth: { type: 'number', min: 0, max: 50000 },
+            gas_used: { type: 'number', gt: 0, max: 1e12 },
+            avg_base_fee_gwei: { type: 'number', min: 0, max: 1000 },
+            transaction_count: { type: 'integer', gt: 0, max: 1e8 },
+            avg_gas_price_gwei: { type: 'number', gt: 0, max: 1000 },
+            gas_utilization: { type: 'number', min: 0, max: 100 }
+        }
+    },
+    historical_blob_data: {
+        key: ['date'],
+        fields: {
+            date,
+            blob_count: { type: 'integer', required: true, gt: 0, max: 1e7 },
+            blob_fee_eth: { type: 'number', min: 0 }
+        }
+    },
+    historical_network_stats: {
+        key: ['date'],
+        fields: {
+            date,
+            block_count: { type: 'integer', required: true, gt: 0, max: 7200 },
+            missed_slots: { type: 'integer', min: 0, max: 7200 },
+            avg_block_time: { type: 'number', gt: 0, max: 60 },
+            avg_gas_limit: { type: 'number', gt: 0, max: 1e9 },
+            avg_gas_used: { type: 'number', min: 0, max: 1e9 },
+            block_fullness: { type: 'number', min: 0, max: 100 }
+        }
+    },
+
+    // ── Activity ──
+    historical_transactions: {
+        key: ['date'],
+        fields: { date, tx_count: { type: 'integer', required: true, gt: 0, max: 1e8, maxChange: 1 } }
+    },
+    historical_active_addresses: {
+        key: ['date'],
+        fields: { date, active_addresses: { type: 'integer', required: true, gt: 0, max: 1e8 } }
+    },
+    historical_new_addresses: {
+        key: ['date'],
+        fields: { date, new_addresses: { type: 'integer', required: true, gt: 0, max: 1e8 } }
+    },
+    historical_whale_tx: {
+        key: ['date'],
+        fields: { date, whale_tx_count: { type: 'integer', required: true, gt: 0, max: 1e7 } }
+    },
+    historical_l2_transactions: {
+        key: ['date', 'chain'],
+        fields: { date, chain: chainKey, tx_count: { type: 'integer', required: true, min: 0, max: 1e9 } }
+    },
+    historical_l2_addresses: {
+        key: ['date', 'chain'],
+        fields: { date, chain: chainKey, active_addresses: { type: 'integer', required: true, min: 0, max: 1e9 } }
+    },
+
+    // ── Volume ──
+    historical_stablecoin_volume: {
+        key: ['date'],
+        fields: { date, daily_volume: { type: 'number', required: true, gt: 0, max: 1e13 } }
+    },
+    historical_bridge_volume: {
+        key: ['date', 'chain'],
+        fields: { date, chain: chainKey, bridge_volume_eth: { type: 'number', required: true, gt: 0, max: 1e8 } }
+    },
+    historical_l2_dex_volume: {
+        key: ['date', 'blockchain'],
+        fields: { date, blockchain: chainKey, dex_volume_usd: { type: 'number', required: true, gt: 0, max: 1e12 } }
+    },
+    historical_bridge_total_volume: {
+        key: ['date', 'destination_chain'],
+        fields: { date, destination_chain: chainKey, bridge_volume_usd: { type: 'number', required: true, gt: 0, max: 1e12 } }
+    }
+};
+
+// upsertBatch가 채우므로 required
+const PROVENANCE_FIELDS = {
+    method: { type: 'string', required: true, oneOf: METHODS },
+    confidence: { type: 'string', required: true, oneOf: CONFIDENCE_LEVELS }
+};
+for (const schema of Object.values(TABLE_SCHEMAS)) {
+    Object.assign(schema.fields, PROVENANCE_FIELDS);
+}
+
+module.exports = { TABLE_SCHEMAS, PROVENANCE_FIELDS };
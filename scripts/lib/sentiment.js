@@ -0,0 +1,160 @@
+/**
+ * ETH Sentiment Index (deterministic composite)
+ *
+ * 이미 수집하는 시계열만으로 만드는 ETH 전용 0~100 심리 지수.
+ * alternative.me Fear & Greed가 실패했을 때의 fallback으로도 쓴다.
+ *
+ * 컴포넌트 (각각 0~100, 높을수록 Greed)
+ *   momentum       25%  종가 / 90일 이동평균 - 1              (historical_eth_price)
+ *   volatility     20%  30일 변동성, 높을수록 Fear (반전)     (historical_volatility)
+ *   mvrv           20%  MVRV ratio                           (historical_mvrv)
+ *   funding        15%  7일 평균 funding rate                 (historical_funding_rate)
+ *   open_interest  10%  OI 30일 변화율                        (historical_open_interest)
+ *   reserve        10%  거래소 보유량 30일 변화율, 유출=Greed (반전) (historical_exchange_reserve)
+ *
+ * 점수화: 각 원시값을 직전 365일 (당일 포함) 값들 중의 percentile rank로 변환
+ *   rank = (작은 값 수 + 같은 값 수 / 2) / 창 크기 × 100
+ *   창 안의 관측이 MIN_WINDOW 미만이면 해당 컴포넌트는 그날 제외
+ * 합성: 그날 사용 가능한 컴포넌트의 가중 평균 (가중치 재정규화), MIN_COMPONENTS 미만이면 값 없음
+ *
+ * 난수/현재 시각을 쓰지 않으므로 같은 입력이면 항상 같은 결과.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WINDOW_DAYS = 365;
+const MIN_WINDOW = 90;
+const MIN_COMPONENTS = 3;
+
+const COMPONENTS = {
+    momentum: { weight: 0.25, invert: false },
+    volatility: { weight: 0.20, invert: true },
+    mvrv: { weight: 0.20, invert: false },
+    funding: { weight: 0.15, invert: false },
+    open_interest: { weight: 0.10, invert: false },
+    reserve: { weight: 0.10, invert: true }
+};
+
+// alternative.me와 같은 구간
+function classifySentiment(value) {
+    if (value < 25) return 'Extreme Fear';
+    if (value < 40) return 'Fear';
+    if (value < 60) return 'Neutral';
+    if (value < 75) return 'Greed';
+    return 'Extreme Greed';
+}
+
+const dayIndex = (date) => Math.round(Date.parse(date) / DAY_MS);
+
+/**
+ * Trailing mean over `days` calendar days ending at each point (needs ≥ half the days)
+ */
+function trailingMean(series, days) {
+    const out = new Map();
+    const points = [...series].sort((a, b) => a.date.localeCompare(b.date));
+    let start = 0, sum = 0;
+    for (let i = 0; i < points.length; i++) {
+        sum += points[i].value;
+        while (dayIndex(points[i].date) - dayIndex(points[start].date) >= days) sum -= points[start++].value;
+        const n = i - start + 1;
+        if (n >= days / 2) out.set(points[i].date, sum / n);
+    }
+    return out;
+}
+
+/**
+ * Percent change vs the value `days` calendar days earlier (nearest point within 3 days before)
+ */
+function changeOver(series, days) {
+    const byDay = new Map(series.map(p => [dayIndex(p.date), p.value]));
+    const out = new Map();
+    for (const p of series) {
+        const d = dayIndex(p.date);
+        let prev;
+        for (let k = 0; k <= 3 && prev === undefined; k++) prev = byDay.get(d - days - k);
+        if (prev) out.set(p.date, (p.value - prev) / prev * 100);
+    }
+    return out;
+}
+
+/**
+ * Percentile rank (0~100) of each value within its trailing WINDOW_DAYS window
+ */
+function percentileRanks(raw) {
+    const points = [...raw].sort((a, b) => a[0].localeCompare(b[0]));
+    const out = new Map();
+    let start = 0;
+    for (let i = 0; i < points.length; i++) {
+        const d = dayIndex(points[i][0]);
+        while (d - dayIndex(points[start][0]) >= WINDOW_DAYS) start++;
+        const n = i - start + 1;
+        if (n < MIN_WINDOW) continue;
+
+        const v = points[i][1];
+        let below = 0, equal = 0;
+        for (let j = start; j <= i; j++) {
+            if (points[j][1] < v) below++;
+            else if (points[j][1] === v) equal++;
+        }
+        out.set(points[i][0], (below + equal / 2) / n * 100);
+    }
+    return out;
+}
+
+/**
+ * Raw component values by date from the input series
+ * inputs: { price, volatility, mvrv, funding, openInterest, reserve } - 각각 [{ date, value }]
+ */
+function rawComponents(inputs) {
+    const raw = {};
+
+    const sma90 = trailingMean(inputs.price || [], 90);
+    raw.momentum = new Map((inputs.price || [])
+        .filter(p => sma90.has(p.date))
+        .map(p => [p.date, p.value / sma90.get(p.date) - 1]));
+
+    raw.volatility = new Map((inputs.volatility || []).map(p => [p.date, p.value]));
+    raw.mvrv = new Map((inputs.mvrv || []).map(p => [p.date, p.value]));
+    raw.funding = trailingMean(inputs.funding || [], 7);
+    raw.open_interest = changeOver(inputs.openInterest || [], 30);
+    raw.reserve = changeOver(inputs.reserve || [], 30);
+
+    return raw;
+}
+
+/**
+ * Composite index rows [{ date, value, classification, <component>_score, components }]
+ */
+function computeSentimentIndex(inputs) {
+    const raw = rawComponents(inputs);
+    const scores = {};
+    for (const [name, { invert }] of Object.entries(COMPONENTS)) {
+        const ranks = percentileRanks(raw[name]);
+        scores[name] = invert ? new Map([...ranks].map(([d, r]) => [d, 100 - r])) : ranks;
+    }
+
+    const dates = [...new Set(Object.values(scores).flatMap(m => [...m.keys()]))].sort();
+    const rows = [];
+    for (const date of dates) {
+        let weighted = 0, totalWeight = 0, used = 0;
+        const row = { date };
+        for (const [name, { weight }] of Object.entries(COMPONENTS)) {
+            const score = scores[name].get(date);
+            row[`${name}_score`] = score === undefined ? null : parseFloat(score.toFixed(1));
+            if (score === undefined) continue;
+            weighted += score * weight;
+            totalWeight += weight;
+            used++;
+        }
+        if (used < MIN_COMPONENTS) continue;
+
+        const value = Math.round(weighted / totalWeight);
+        rows.push({ ...row, value, classification: classifySentiment(value), components: used });
+    }
+    return rows;
+}
+
+module.exports = {
+    COMPONENTS, WINDOW_DAYS, MIN_WINDOW, MIN_COMPONENTS,
+    classifySentiment, computeSentimentIndex
+};
@@ -0,0 +1,110 @@
+/**
+ * Declarative source chains (primary → fallback) with circuit breakers
+ *
+ * 데이터셋이 소스 어댑터 목록을 순서대로 선언하면 runSourceChain()이 차례로 시도한다.
+ *   adapter = { name, fetch: async (opts) => records[], enabled?: () => boolean }
+ *     - 빈 배열/null을 반환하거나 예외를 던지면 실패 → 다음 어댑터
+ *     - enabled()가 false면 (API 키 없음 등) 시도하지 않고 breaker에도 반영하지 않음
+ *     - 성공한 어댑터의 name을 각 행의 source에 기록 (어댑터가 직접 넣은 source는 유지)
+ *
+ * Circuit breaker (source_breakers 테이블 - 실행마다 새 프로세스라 저장소에 유지)
+ *   key = <dataset>/<adapter>
+ *   closed    : 정상. 연속 실패가 failureThreshold에 도달하면 open
+ *   open      : opened_until까지 시도하지 않음 (다음 어댑터로 바로 넘어감)
+ *   half-open : opened_until이 지나면 한 번 시도 - 성공하면 closed, 실패하면 다시 open
+ */
+
+const BREAKER_TABLE = 'source_breakers';
+
+/**
+ * createBreakers(db, { failureThreshold, cooldownMs })
+ *   state(key) → { key, consecutive_failures, opened_until, ... } | null
+ *   isOpen(state) → boolean
+ *   record(key, ok, error)
+ */
+function createBreakers(db, { failureThreshold = 3, cooldownMs = 6 * 60 * 60 * 1000 } = {}) {
+    const cache = new Map();
+
+    const state = async (key) => {
+        if (cache.has(key)) return cache.get(key);
+        const { data, error } = await db.from(BREAKER_TABLE).select('*').eq('key', key).limit(1);
+        // breaker 상태를 못 읽으면 closed로 간주 (소스 시도가 누락보다 낫다)
+        if (error) console.error(`  ⚠️ ${BREAKER_TABLE}: ${error.message}`);
+        const row = data?.[0] || null;
+        cache.set(key, row);
+        return row;
+    };
+
+    return {
+        state,
+
+        isOpen: (row) => !!row?.opened_until && Date.parse(row.opened_until) > Date.now(),
+
+        async record(key, ok, error = null) {
+            const prev = await state(key);
+            const now = new Date().toISOString();
+            const failures = ok ? 0 : (prev?.consecutive_failures || 0) + 1;
+            const row = {
+                key,
+                consecutive_failures: failures,
+                opened_until: !ok && failures >= failureThreshold ? new Date(Date.now() + cooldownMs).toISOString() : null,
+                last_error: ok ? (prev?.last_error ?? null) : String(error).slice(0, 500),
+                last_failure_at: ok ? (prev?.last_failure_at ?? null) : now,
+                last_success_at: ok ? now : (prev?.last_success_at ?? null),
+                updated_at: now
+            };
+            cache.set(key, row);
+            const { error: writeError } = await db.from(BREAKER_TABLE).upsert(row, { onConflict: 'key' });
+            if (writeError) console.error(`  ⚠️ ${BREAKER_TABLE}: ${writeError.message}`);
+            return row;
+        }
+    };
+}
+
+/**
+ * Try each adapter in order until one returns rows
+ * → { records, source, attempts: [{ name, status: ok|empty|error|open|disabled, error? }] }
+ *   records는 모든 어댑터가 실패하면 null
+ */
+async function runSourceChain(adapters, opts, { dataset, breakers }) {
+    const attempts = [];
+    for (const adapter of adapters) {
+        if (adapter.enabled && !adapter.enabled()) {
+            attempts.push({ name: adapter.name, status: 'disabled' });
+            continue;
+        }
+
+        const key = `${dataset}/${adapter.name}`;
+        const prev = await breakers.state(key);
+        if (breakers.isOpen(prev)) {
+            attempts.push({ name: adapter.name, status: 'open', error: `circuit open until ${prev.opened_until}` });
+            console.log(`  🔌 ${adapter.name}: circuit open until ${prev.opened_until}, skipping`);
+            continue;
+        }
+
+        let records = null, error = null;
+        try {
+            records = await adapter.fetch(opts);
+        } catch (e) {
+            error = e.message;
+        }
+
+        if (records?.length > 0) {
+            await breakers.record(key, true);
+            attempts.push({ name: adapter.name, status: 'ok' });
+            return {
+                records: records.map(r => (r.source ? r : { ...r, source: adapter.name })),
+                source: adapter.name,
+                attempts
+            };
+        }
+
+        error = error || 'no data';
+        const row = await breakers.record(key, false, error);
+        attempts.push({ name: adapter.name, status: records ? 'empty' : 'error', error });
+        console.log(`  ⚠️ ${adapter.name}: ${error}${row.opened_until ? ` - circuit opened until ${row.opened_until}` : ''}`);
+    }
+    return { records: null, source: null, attempts };
+}
+
+module.exports = { BREAKER_TABLE, createBreakers, runSourceChain };
@@ -0,0 +1,71 @@
+/**
+ * Storage backend factory
+ *
+ * STORAGE_BACKEND 환경변수로 선택 (기본: supabase)
+ *   supabase  - SUPABASE_URL, SUPABASE_SERVICE_KEY
+ *   postgres  - DATABASE_URL (로컬 Postgres 등)
+ *   json      - STORAGE_DIR (기본: ./data) 아래 테이블별 JSON 파일
+ *
+ * 모든 백엔드는 같은 인터페이스를 제공한다:
+ *   db.from(table) → Query (select/insert/upsert/update/delete + 필터/정렬/limit)
+ *   db.writeAtomic(ops) → { error } - 여러 insert/upsert를 전부 반영하거나 하나도 반영하지 않음
+ *     ops: [{ table, rows, onConflict, update }] (onConflict가 없으면 insert)
+ *     update: true면 onConflict 컬럼이 같은 기존 행의 주어진 컬럼만 UPDATE (없는 행은 무시)
+ *   db.close()
+ */
+
+const path = require('path');
+const { Query } = require('./query');
+const { createSupabaseAdapter } = require('./supabase');
+const { createJsonAdapter } = require('./json');
+const { createPostgresAdapter } = require('./postgres');
+
+const BACKENDS = {
+    supabase: (env) => createSupabaseAdapter({ url: env.SUPABASE_URL, key: env.SUPABASE_SERVICE_KEY }),
+    postgres: (env) => createPostgresAdapter({ connectionString: env.DATABASE_URL }),
+    json: (env) => createJsonAdapter({ dir: path.resolve(env.STORAGE_DIR || 'data') })
+};
+
+/**
+ * 컬럼 구성이 다른 행은 별도 op로 분리
+ * (한 문장으로 쓰면 없는 컬럼이 null로 덮이므로 - 부분 행 upsert가 기존 값을 지우지 않게)
+ */
+function splitByColumns(ops) {
+    return ops.flatMap(op => {
+        const groups = new Map();
+        for (const row of op.rows) {
+            const cols = Object.keys(row).sort().join(',');
+            if (!groups.has(cols)) groups.set(cols, []);
+            groups.get(cols).push(row);
+        }
+        return [...groups.values()].map(rows => ({ table: op.table, rows, onConflict: op.onConflict || null, update: !!op.update }));
+    });
+}
+
+/**
+ * Wrap an adapter in the query-builder interface
+ */
+function createStorage(adapter) {
+    return {
+        backend: adapter.name,
+        adapter,
+        from: (table) => new Query(adapter, table),
+        writeAtomic: (ops) => adapter.writeAtomic(splitByColumns(ops))
+            .then(() => ({ error: null }), e => ({ error: { message: e.message } })),
+        close: () => adapter.close()
+    };
+}
+
+/**
+ * Create storage for the backend named in the environment
+ */
+function createStorageFromEnv(env = process.env) {
+    const backend = (env.STORAGE_BACKEND || 'supabase').toLowerCase();
+    const factory = BACKENDS[backend];
+    if (!factory) {
+        throw new Error(`Unknown STORAGE_BACKEND "${backend}" (${Object.keys(BACKENDS).join(', ')})`);
+    }
+    return createStorage(factory(env));
+}
+
+module.exports = { createStorage, createStorageFromEnv, BACKENDS };
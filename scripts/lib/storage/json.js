@@ -0,0 +1,160 @@
+/**
+ * On-disk JSON storage adapter
+ *
+ * 테이블마다 <dir>/<table>.json 파일 하나 (행 배열)
+ * 오프라인 개발/테스트와 historical_* 테이블 로컬 미러용
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseColumns, parseConflict } = require('./query');
+
+function matchesFilter(row, { op, column, value }) {
+    const v = row[column];
+    switch (op) {
+        case 'eq': return v === value;
+        case 'neq': return v !== value;
+        case 'gt': return v !== null && v !== undefined && v > value;
+        case 'gte': return v !== null && v !== undefined && v >= value;
+        case 'lt': return v !== null && v !== undefined && v < value;
+        case 'lte': return v !== null && v !== undefined && v <= value;
+        case 'is': return value === null ? (v === null || v === undefined) : v === value;
+        case 'in': return value.includes(v);
+        default: throw new Error(`Unsupported filter: ${op}`);
+    }
+}
+
+function compareValues(a, b) {
+    // Postgres와 동일하게 null은 오름차순에서 마지막
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    return a < b ? -1 : 1;
+}
+
+function createJsonAdapter({ dir }) {
+    const tables = new Map();
+    let nextId = Date.now();
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    const fileFor = (table) => path.join(dir, `${table}.json`);
+
+    const load = (table) => {
+        if (!tables.has(table)) {
+            const file = fileFor(table);
+            tables.set(table, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : []);
+        }
+        return tables.get(table);
+    };
+
+    const save = (table) => {
+        // 임시 파일에 쓰고 rename (중간에 죽어도 파일이 깨지지 않게)
+        const file = fileFor(table);
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(tables.get(table)));
+        fs.renameSync(tmp, file);
+    };
+
+    // insert (onConflict 없음) / upsert / update (기존 행만) - rows 배열을 직접 수정
+    const writeRows = (rows, values, onConflict, update = false) => {
+        if (!onConflict) {
+            for (const value of values) rows.push({ id: value.id ?? nextId++, ...value });
+            return;
+        }
+        const keys = parseConflict(onConflict);
+        const keyOf = (r) => JSON.stringify(keys.map(k => r[k] ?? null));
+        const index = new Map(rows.map((r, i) => [keyOf(r), i]));
+        for (const value of values) {
+            const k = keyOf(value);
+            if (index.has(k)) {
+                const i = index.get(k);
+                rows[i] = { ...rows[i], ...value };
+            } else if (!update) {
+                index.set(k, rows.length);
+                rows.push({ id: value.id ?? nextId++, ...value });
+            }
+        }
+    };
+
+    const selectRows = (rows, spec) => {
+        let out = rows.filter(row => spec.filters.every(f => matchesFilter(row, f)));
+        if (spec.order.length > 0) {
+            out = [...out].sort((a, b) => {
+                for (const { column, ascending } of spec.order) {
+                    const c = compareValues(a[column], b[column]);
+                    if (c !== 0) return ascending ? c : -c;
+                }
+                return 0;
+            });
+        }
+        if (spec.offset > 0 || spec.limit !== null) {
+            out = out.slice(spec.offset, spec.limit !== null ? spec.offset + spec.limit : undefined);
+        }
+
+        const columns = parseColumns(spec.columns);
+        return out.map(row => {
+            if (!columns) return { ...row };
+            return Object.fromEntries(columns.map(c => [c, row[c] === undefined ? null : row[c]]));
+        });
+    };
+
+    return {
+        name: 'json',
+        dir,
+
+        async execute(spec) {
+            const rows = load(spec.table);
+
+            switch (spec.action) {
+                case 'select':
+                    return { data: selectRows(rows, spec), error: null };
+
+                case 'insert':
+                    writeRows(rows, spec.values, null);
+                    save(spec.table);
+                    return { data: null, error: null };
+
+                case 'upsert':
+                    writeRows(rows, spec.values, spec.onConflict);
+                    save(spec.table);
+                    return { data: null, error: null };
+
+                case 'update': {
+                    for (const row of rows) {
+                        if (spec.filters.every(f => matchesFilter(row, f))) Object.assign(row, spec.values);
+                    }
+                    save(spec.table);
+                    return { data: null, error: null };
+                }
+
+                case 'delete': {
+                    const kept = rows.filter(row => !spec.filters.every(f => matchesFilter(row, f)));
+                    tables.set(spec.table, kept);
+                    save(spec.table);
+                    return { data: null, error: null };
+                }
+
+                default:
+                    throw new Error(`Unsupported action: ${spec.action}`);
+            }
+        },
+
+        // 테이블 사본에 모두 쓴 뒤 한 번에 교체 (중간에 실패하면 메모리/파일 모두 그대로)
+        async writeAtomic(ops) {
+            const copies = new Map();
+            for (const op of ops) {
+                if (!copies.has(op.table)) copies.set(op.table, [...load(op.table)]);
+                writeRows(copies.get(op.table), op.rows, op.onConflict, op.update);
+            }
+            for (const [table, rows] of copies) {
+                tables.set(table, rows);
+                save(table);
+            }
+        },
+
+        async close() {}
+    };
+}
+
+module.exports = { createJsonAdapter, matchesFilter };
@@ -0,0 +1,230 @@
+/**
+ * Plain Postgres storage adapter (DATABASE_URL 연결 문자열)
+ *
+ * 로컬 미러용이라 테이블/컬럼이 없으면 첫 쓰기 때 행 값의 타입으로 생성한다.
+ * (number → double precision, boolean → boolean, object → jsonb, 그 외 text)
+ * onConflict 컬럼에는 unique index를 만들어 ON CONFLICT upsert가 동작하게 한다.
+ * writeAtomic은 연결 하나에서 BEGIN/COMMIT (실패 시 ROLLBACK)
+ */
+
+const { parseColumns, parseConflict } = require('./query');
+
+const quote = (ident) => `"${String(ident).replace(/"/g, '""')}"`;
+
+// Postgres 파라미터 한도 (65535) 이하로 배치 분할
+const MAX_PARAMS = 60000;
+
+function columnType(value) {
+    if (typeof value === 'number') return 'double precision';
+    if (typeof value === 'boolean') return 'boolean';
+    if (value !== null && typeof value === 'object') return 'jsonb';
+    return 'text';
+}
+
+function toParam(value) {
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return value === undefined ? null : value;
+}
+
+function buildWhere(filters, params) {
+    if (filters.length === 0) return '';
+    const clauses = filters.map(({ op, column, value }) => {
+        const col = quote(column);
+        if (op === 'is') return value === null ? `${col} IS NULL` : `${col} IS ${value ? 'TRUE' : 'FALSE'}`;
+        if (op === 'in') {
+            params.push(value.map(toParam));
+            return `${col} = ANY($${params.length})`;
+        }
+        const sqlOp = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' }[op];
+        if (!sqlOp) throw new Error(`Unsupported filter: ${op}`);
+        params.push(toParam(value));
+        return `${col} ${sqlOp} $${params.length}`;
+    });
+    return ` WHERE ${clauses.join(' AND ')}`;
+}
+
+function createPostgresAdapter({ connectionString }) {
+    if (!connectionString) {
+        throw new Error('Missing DATABASE_URL for postgres storage backend');
+    }
+
+    let pg;
+    try {
+        pg = require('pg');
+    } catch (e) {
+        throw new Error('postgres storage backend requires the "pg" package (npm install pg)');
+    }
+
+    const pool = new pg.Pool({ connectionString });
+    const knownColumns = new Map();  // table -> Set(columns)
+
+    async function loadColumns(table, conn = pool) {
+        if (knownColumns.has(table)) return knownColumns.get(table);
+        const { rows } = await conn.query(
+            'SELECT column_name FROM information_schema.columns WHERE table_name = $1',
+            [table]
+        );
+        const cols = new Set(rows.map(r => r.column_name));
+        knownColumns.set(table, cols);
+        return cols;
+    }
+
+    // 테이블/컬럼/unique index 보장
+    // conn: writeAtomic의 트랜잭션 연결 (DDL도 같은 트랜잭션에서 실행해야 lock 대기가 없음)
+    async function ensureTable(table, rows, conflictCols, conn = pool) {
+        const cols = await loadColumns(table, conn);
+        const sample = {};
+        for (const row of rows) {
+            for (const [k, v] of Object.entries(row)) {
+                if (sample[k] === undefined || sample[k] === null) sample[k] = v;
+            }
+        }
+
+        if (cols.size === 0) {
+            const defs = Object.entries(sample)
+                .filter(([k]) => k !== 'id')
+                .map(([k, v]) => `${quote(k)} ${columnType(v)}`);
+            await conn.query(`CREATE TABLE IF NOT EXISTS ${quote(table)} (id bigserial PRIMARY KEY${defs.length ? ', ' + defs.join(', ') : ''})`);
+            cols.add('id');
+            Object.keys(sample).forEach(k => cols.add(k));
+        } else {
+            for (const [k, v] of Object.entries(sample)) {
+                if (cols.has(k)) continue;
+                await conn.query(`ALTER TABLE ${quote(table)} ADD COLUMN IF NOT EXISTS ${quote(k)} ${columnType(v)}`);
+                cols.add(k);
+            }
+        }
+
+        if (conflictCols) {
+            const indexName = `${table}_${conflictCols.join('_')}_key`.slice(0, 63);
+            await conn.query(`CREATE UNIQUE INDEX IF NOT EXISTS ${quote(indexName)} ON ${quote(table)} (${conflictCols.map(quote).join(', ')})`);
+        }
+    }
+
+    async function writeRows(table, rows, conflictCols, conn = pool) {
+        if (rows.length === 0) return;
+        await ensureTable(table, rows, conflictCols, conn);
+
+        const columns = [...new Set(rows.flatMap(r => Object.keys(r)))];
+        const perBatch = Math.max(1, Math.floor(MAX_PARAMS / columns.length));
+
+        for (let i = 0; i < rows.length; i += perBatch) {
+            const batch = rows.slice(i, i + perBatch);
+            const params = [];
+            const tuples = batch.map(row => `(${columns.map(c => {
+                params.push(toParam(row[c]));
+                return `$${params.length}`;
+            }).join(', ')})`);
+
+            let sql = `INSERT INTO ${quote(table)} (${columns.map(quote).join(', ')}) VALUES ${tuples.join(', ')}`;
+            if (conflictCols) {
+                const updates = columns.filter(c => !conflictCols.includes(c));
+                sql += ` ON CONFLICT (${conflictCols.map(quote).join(', ')}) `;
+                sql += updates.length
+                    ? `DO UPDATE SET ${updates.map(c => `${quote(c)} = EXCLUDED.${quote(c)}`).join(', ')}`
+                    : 'DO NOTHING';
+            }
+            await conn.query(sql, params);
+        }
+    }
+
+    // 키 컬럼이 같은 기존 행의 나머지 컬럼만 갱신 (없는 행은 무시)
+    async function updateRows(table, rows, keyCols, conn = pool) {
+        if (rows.length === 0) return;
+        await ensureTable(table, rows, null, conn);
+        for (const row of rows) {
+            const params = [];
+            const sets = Object.entries(row).filter(([k]) => !keyCols.includes(k)).map(([k, v]) => {
+                params.push(toParam(v));
+                return `${quote(k)} = $${params.length}`;
+            });
+            if (sets.length === 0) continue;
+            const where = buildWhere(keyCols.map(column => ({ op: 'eq', column, value: row[column] })), params);
+            await conn.query(`UPDATE ${quote(table)} SET ${sets.join(', ')}${where}`, params);
+        }
+    }
+
+    return {
+        name: 'postgres',
+        pool,
+
+        async execute(spec) {
+            const table = quote(spec.table);
+
+            switch (spec.action) {
+                case 'select': {
+                    const cols = await loadColumns(spec.table);
+                    if (cols.size === 0) return { data: [], error: null };  // 아직 미러되지 않은 테이블
+
+                    const params = [];
+                    const columns = parseColumns(spec.columns);
+                    let sql = `SELECT ${columns ? columns.map(quote).join(', ') : '*'} FROM ${table}`;
+                    sql += buildWhere(spec.filters, params);
+                    if (spec.order.length > 0) {
+                        sql += ` ORDER BY ${spec.order.map(o => `${quote(o.column)} ${o.ascending ? 'ASC' : 'DESC'}`).join(', ')}`;
+                    }
+                    if (spec.limit !== null) sql += ` LIMIT ${parseInt(spec.limit)}`;
+                    if (spec.offset > 0) sql += ` OFFSET ${parseInt(spec.offset)}`;
+                    const { rows } = await pool.query(sql, params);
+                    return { data: rows, error: null };
+                }
+
+                case 'insert':
+                    await writeRows(spec.table, spec.values, null);
+                    return { data: null, error: null };
+
+                case 'upsert':
+                    await writeRows(spec.table, spec.values, parseConflict(spec.onConflict));
+                    return { data: null, error: null };
+
+                case 'update': {
+                    await ensureTable(spec.table, [spec.values], null);
+                    const params = [];
+                    const sets = Object.entries(spec.values).map(([k, v]) => {
+                        params.push(toParam(v));
+                        return `${quote(k)} = $${params.length}`;
+                    });
+                    const sql = `UPDATE ${table} SET ${sets.join(', ')}${buildWhere(spec.filters, params)}`;
+                    await pool.query(sql, params);
+                    return { data: null, error: null };
+                }
+
+                case 'delete': {
+                    const cols = await loadColumns(spec.table);
+                    if (cols.size === 0) return { data: null, error: null };
+                    const params = [];
+                    await pool.query(`DELETE FROM ${table}${buildWhere(spec.filters, params)}`, params);
+                    return { data: null, error: null };
+                }
+
+                default:
+                    throw new Error(`Unsupported action: ${spec.action}`);
+            }
+        },
+
+        async writeAtomic(ops) {
+            const conn = await pool.connect();
+            try {
+                await conn.query('BEGIN');
+                for (const op of ops) {
+                    if (op.update) await updateRows(op.table, op.rows, parseConflict(op.onConflict), conn);
+                    else await writeRows(op.table, op.rows, op.onConflict ? parseConflict(op.onConflict) : null, conn);
+                }
+                await conn.query('COMMIT');
+            } catch (e) {
+                await conn.query('ROLLBACK').catch(() => {});
+                // 롤백된 CREATE/ALTER가 캐시에 남지 않게
+                for (const op of ops) knownColumns.delete(op.table);
+                throw e;
+            } finally {
+                conn.release();
+            }
+        },
+
+        async close() {
+            await pool.end();
+        }
+    };
+}
+
+module.exports = { createPostgresAdapter };
@@ -0,0 +1,110 @@
+/**
+ * Backend-agnostic query builder
+ *
+ * Supabase 클라이언트와 같은 체이닝 API를 제공하고, await 시점에
+ * 누적된 쿼리 명세(spec)를 백엔드 어댑터의 execute()로 넘긴다.
+ *
+ *   const { data, error } = await db.from('historical_eth_price')
+ *       .select('date, close')
+ *       .gte('date', '2024-01-01')
+ *       .order('date', { ascending: false })
+ *       .limit(100);
+ *
+ * 어댑터는 { data, error } 형태로 결과를 돌려준다 (에러는 throw하지 않음).
+ */
+
+const FILTER_OPS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'is', 'in'];
+
+class Query {
+    constructor(adapter, table) {
+        this.adapter = adapter;
+        this.spec = {
+            table,
+            action: 'select',
+            columns: '*',
+            values: null,
+            onConflict: null,
+            filters: [],
+            order: [],
+            offset: 0,
+            limit: null
+        };
+    }
+
+    select(columns = '*') {
+        // upsert/insert 뒤의 select()는 결과 반환 요청이므로 action 유지
+        if (this.spec.action === 'select') this.spec.columns = columns;
+        return this;
+    }
+
+    insert(values) {
+        this.spec.action = 'insert';
+        this.spec.values = Array.isArray(values) ? values : [values];
+        return this;
+    }
+
+    upsert(values, { onConflict = 'id' } = {}) {
+        this.spec.action = 'upsert';
+        this.spec.values = Array.isArray(values) ? values : [values];
+        this.spec.onConflict = onConflict;
+        return this;
+    }
+
+    update(values) {
+        this.spec.action = 'update';
+        this.spec.values = values;
+        return this;
+    }
+
+    delete() {
+        this.spec.action = 'delete';
+        return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+        this.spec.order.push({ column, ascending });
+        return this;
+    }
+
+    limit(count) {
+        this.spec.limit = count;
+        return this;
+    }
+
+    // Supabase와 동일하게 양 끝 포함 (range(0, 999) → 1000행)
+    range(from, to) {
+        this.spec.offset = from;
+        this.spec.limit = to - from + 1;
+        return this;
+    }
+
+    then(resolve, reject) {
+        return this.adapter.execute(this.spec)
+            .catch(e => ({ data: null, error: { message: e.message } }))
+            .then(resolve, reject);
+    }
+}
+
+for (const op of FILTER_OPS) {
+    Query.prototype[op] = function (column, value) {
+        this.spec.filters.push({ op, column, value });
+        return this;
+    };
+}
+
+/**
+ * Parse a Supabase-style column list ('date, close' or '*')
+ */
+function parseColumns(columns) {
+    if (!columns || columns.trim() === '*') return null;
+    return columns.split(',').map(c => c.trim()).filter(Boolean);
+}
+
+/**
+ * Parse an onConflict string ('date,chain') into column names
+ */
+function parseConflict(onConflict) {
+    return (onConflict || 'id').split(',').map(c => c.trim()).filter(Boolean);
+}
+
+module.exports = { Query, FILTER_OPS, parseColumns, parseConflict };
@@ -0,0 +1,80 @@
+/**
+ * Supabase storage adapter (기본 백엔드)
+ *
+ * writeAtomic: REST API에는 트랜잭션이 없으므로 행을 staging_rows에 먼저 쓰고
+ * merge_staged_rows() (sql/020_atomic_writes.sql)가 한 트랜잭션 안에서 대상 테이블에 반영한다.
+ * staging 도중 실패하면 대상 테이블은 건드리지 않은 상태.
+ */
+
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+
+const STAGING_TABLE = 'staging_rows';
+const STAGING_BATCH = 500;
+
+function createSupabaseAdapter({ url, key }) {
+    if (!url || !key) {
+        throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY');
+    }
+    const client = createClient(url, key);
+
+    return {
+        name: 'supabase',
+        client,
+
+        async execute(spec) {
+            let q = client.from(spec.table);
+
+            switch (spec.action) {
+                case 'select': q = q.select(spec.columns); break;
+                case 'insert': q = q.insert(spec.values); break;
+                case 'upsert': q = q.upsert(spec.values, { onConflict: spec.onConflict }); break;
+                case 'update': q = q.update(spec.values); break;
+                case 'delete': q = q.delete(); break;
+                default: throw new Error(`Unsupported action: ${spec.action}`);
+            }
+
+            for (const { op, column, value } of spec.filters) {
+                q = q[op](column, value);
+            }
+            for (const { column, ascending } of spec.order) {
+                q = q.order(column, { ascending });
+            }
+            if (spec.offset > 0 && spec.limit !== null) q = q.range(spec.offset, spec.offset + spec.limit - 1);
+            else if (spec.limit !== null) q = q.limit(spec.limit);
+
+            const { data, error } = await q;
+            return { data, error };
+        },
+
+        async writeAtomic(ops) {
+            const batchId = crypto.randomUUID();
+            const staged = ops.flatMap((op, opIndex) => op.rows.map(row => ({
+                batch_id: batchId,
+                op_index: opIndex,
+                table_name: op.table,
+                on_conflict: op.onConflict,
+                mode: op.update ? 'update' : 'upsert',
+                row
+            })));
+            if (staged.length === 0) return;
+
+            try {
+                for (let i = 0; i < staged.length; i += STAGING_BATCH) {
+                    const { error } = await client.from(STAGING_TABLE).insert(staged.slice(i, i + STAGING_BATCH));
+                    if (error) throw new Error(`${STAGING_TABLE}: ${error.message}`);
+                }
+                const { error } = await client.rpc('merge_staged_rows', { p_batch_id: batchId });
+                if (error) throw new Error(`merge_staged_rows: ${error.message}`);
+            } catch (e) {
+                // merge가 성공하면 함수가 staging 행을 지움 - 실패했을 때만 정리
+                await client.from(STAGING_TABLE).delete().eq('batch_id', batchId);
+                throw e;
+            }
+        },
+
+        async close() {}
+    };
+}
+
+module.exports = { createSupabaseAdapter };
@@ -0,0 +1,174 @@
+/**
+ * Pre-write validation
+ *
+ * 수집기 → validateRecords → upsertBatch 순서로 실행.
+ * 스키마(schemas.js)를 위반한 행은 쓰지 않고 data_quarantine 테이블에
+ * 사유와 함께 보관한다.
+ */
+
+const { TABLE_SCHEMAS } = require('./schemas');
+
+const QUARANTINE_TABLE = 'data_quarantine';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 전일 대비 변화율 검사는 이 기간 이내의 이전 행과만 비교
+const MAX_CHANGE_LOOKBACK_DAYS = 7;
+
+const isMissing = (v) => v === null || v === undefined || v === '';
+
+/**
+ * Check one field value against its rule. Returns a reason string or null.
+ */
+function checkField(name, value, rule) {
+    if (isMissing(value)) {
+        return rule.required ? `missing required field ${name}` : null;
+    }
+
+    switch (rule.type) {
+        case 'date':
+            if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+                return `${name} is not a YYYY-MM-DD date: ${value}`;
+            }
+            return null;
+        case 'string':
+            if (typeof value !== 'string') return `${name} is not a string: ${value}`;
+            break;
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return `${name} is not a finite number: ${value}`;
+            }
+            if (rule.type === 'integer' && !Number.isInteger(value)) {
+                return `${name} is not an integer: ${value}`;
+            }
+            break;
+    }
+
+    if (rule.oneOf && !rule.oneOf.includes(value)) return `${name} must be one of ${rule.oneOf.join('/')}: ${value}`;
+    if (rule.gt !== undefined && !(value > rule.gt)) return `${name} must be > ${rule.gt}: ${value}`;
+    if (rule.min !== undefined && value < rule.min) return `${name} below ${rule.min}: ${value}`;
+    if (rule.max !== undefined && value > rule.max) return `${name} above ${rule.max}: ${value}`;
+    return null;
+}
+
+/**
+ * Day-over-day change check against the previous accepted row of the same series
+ * (validateRecords also accepts a jump once the next incoming row confirms the new level)
+ */
+function checkChange(row, previous, fields) {
+    if (!previous) return null;
+    // 산출 방식이 바뀌는 지점(추정 → 실측 등)은 불연속이 정상
+    if (row.method && previous.method && row.method !== previous.method) return null;
+    const gapDays = (Date.parse(row.date) - Date.parse(previous.date)) / DAY_MS;
+    if (gapDays <= 0 || gapDays > MAX_CHANGE_LOOKBACK_DAYS) return null;
+
+    for (const [name, rule] of Object.entries(fields)) {
+        if (rule.maxChange === undefined) continue;
+        const cur = row[name];
+        const prev = previous[name];
+        if (typeof cur !== 'number' || typeof prev !== 'number' || prev === 0) continue;
+
+        const change = Math.abs(cur - prev) / Math.abs(prev);
+        if (change > rule.maxChange) {
+            return `${name} changed ${(change * 100).toFixed(0)}% vs ${previous.date} (max ${(rule.maxChange * 100).toFixed(0)}%)`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Validate records for a table
+ *
+ * @param {object} db - storage (for the stored row preceding each series)
+ * @param {string} table
+ * @param {object[]} records
+ * @param {object} options
+ * @param {boolean} options.partial - update payloads: skip required checks for absent fields
+ * @returns {Promise<{ valid: object[], rejected: { row: object, reason: string }[] }>}
+ */
+async function validateRecords(db, table, records, { partial = false } = {}) {
+    const schema = TABLE_SCHEMAS[table] || { key: ['date'], fields: { date: { type: 'date', required: true } } };
+    const valid = [];
+    const rejected = [];
+
+    // 1. 필드 단위 검사 (타입, 필수값, 범위)
+    const fieldChecked = [];
+    for (const row of records) {
+        let reason = null;
+        for (const [name, rule] of Object.entries(schema.fields)) {
+            if (partial && !(name in row)) continue;
+            reason = checkField(name, row[name], rule);
+            if (reason) break;
+        }
+        if (reason) rejected.push({ row, reason });
+        else fieldChecked.push(row);
+    }
+
+    // 2. 시계열별 전일 대비 변화율 검사
+    const hasChangeRules = Object.values(schema.fields).some(rule => rule.maxChange !== undefined);
+    if (!hasChangeRules || partial) {
+        valid.push(...fieldChecked);
+        return { valid, rejected };
+    }
+
+    const seriesCols = schema.key.filter(k => k !== 'date');
+    const series = new Map();
+    for (const row of fieldChecked) {
+        const k = JSON.stringify(seriesCols.map(c => row[c]));
+        if (!series.has(k)) series.set(k, []);
+        series.get(k).push(row);
+    }
+
+    for (const rows of series.values()) {
+        rows.sort((a, b) => a.date.localeCompare(b.date));
+
+        // 배치 첫 행은 저장된 직전 행과 비교
+        let q = db.from(table).select('*').lt('date', rows[0].date);
+        for (const c of seriesCols) q = q.eq(c, rows[0][c]);
+        const { data: stored } = await q.order('date', { ascending: false }).limit(1);
+        let previous = stored?.[0] || null;
+        // 직전 행이 변화율로 걸렸고 이번 행이 그 행과 일치하면 일시적 튐이 아니라 수준 이동 → 둘 다 통과
+        let shift = null;
+
+        for (const row of rows) {
+            let reason = checkChange(row, previous, schema.fields);
+            if (reason && shift && shift.row.date < row.date && !checkChange(row, shift.row, schema.fields)) {
+                rejected.splice(rejected.indexOf(shift), 1);
+                valid.push(shift.row);
+                reason = null;
+            }
+            if (reason) {
+                shift = { row, reason };
+                rejected.push(shift);
+            } else {
+                valid.push(row);
+                previous = row;
+                shift = null;
+            }
+        }
+    }
+
+    return { valid, rejected };
+}
+
+/**
+ * Store rejected rows with their reasons
+ */
+async function quarantineRows(db, table, rejected, dataset = null) {
+    if (rejected.length === 0) return;
+    const quarantinedAt = new Date().toISOString();
+    const rows = rejected.map(({ row, reason }) => ({
+        table_name: table,
+        dataset,
+        row_date: row.date || null,
+        row_data: row,
+        reason,
+        quarantined_at: quarantinedAt
+    }));
+    for (let i = 0; i < rows.length; i += 500) {
+        const { error } = await db.from(QUARANTINE_TABLE).insert(rows.slice(i, i + 500));
+        if (error) console.error(`  Error ${QUARANTINE_TABLE}:`, error.message);
+    }
+}
+
+module.exports = { validateRecords, quarantineRows, checkField, QUARANTINE_TABLE };
@@ -0,0 +1,196 @@
+/**
+ * Data vintages (point-in-time history)
+ *
+ * upsert/update가 이미 저장된 행의 값을 바꾸면, 바뀌기 전 행을 data_revisions에 보관한다.
+ *   table_name, row_key  - 테이블 + 키 컬럼 값 ("2024-01-01", "2024-01-01|Arbitrum")
+ *   date                 - 기간 조회용
+ *   previous             - 바뀌기 전 행 (jsonb, id 제외)
+ *   valid_from           - 그 값이 기록된 시각 (이전 행의 recorded_at, 추적 전 행은 null)
+ *   valid_to             - 덮어쓴 시각
+ *   run_id, dataset
+ *
+ * historical_* 행의 recorded_at = 현재 값이 기록된 시각.
+ * 값이 그대로인 행은 다시 쓰지 않으므로 (diffBatch의 unchanged) 기존 recorded_at이 유지된다.
+ *
+ * asOf(db, table, timestamp) - 그 시각에 조회했다면 보였을 행들
+ */
+
+const { TABLE_SCHEMAS } = require('./schemas');
+
+const REVISIONS_TABLE = 'data_revisions';
+const PAGE_SIZE = 1000;
+
+// 비교에서 제외 (저장소가 관리하는 컬럼)
+const META_COLUMNS = ['id', 'recorded_at'];
+
+const rowKey = (row, keyCols) => keyCols.map(c => row[c]).join('|');
+
+// 날짜당 여러 행인 테이블(date, chain 등)도 페이지 경계가 고정되도록 키 컬럼 전체로 정렬
+const orderByKey = (q, keyCols) => ['date', ...keyCols.filter(c => c !== 'date')]
+    .reduce((acc, c) => acc.order(c, { ascending: true }), q);
+
+// jsonb 비교용 - 키 순서 무관
+const canonical = (v) => {
+    if (Array.isArray(v)) return `[${v.map(canonical).join(',')}]`;
+    if (v && typeof v === 'object') return `{${Object.keys(v).sort().map(k => `${k}:${canonical(v[k])}`).join(',')}}`;
+    return JSON.stringify(v);
+};
+
+/**
+ * Same stored value? numeric 컬럼은 문자열로 올 수 있어 숫자로 비교
+ */
+function sameValue(a, b) {
+    const aMissing = a === null || a === undefined;
+    const bMissing = b === null || b === undefined;
+    if (aMissing || bMissing) return aMissing && bMissing;
+    if (typeof a === 'object' || typeof b === 'object') return canonical(a) === canonical(b);
+
+    const na = Number(a), nb = Number(b);
+    if (typeof a !== 'boolean' && a !== '' && b !== '' && Number.isFinite(na) && Number.isFinite(nb)) {
+        return na === nb || Math.abs(na - nb) <= 1e-9 * Math.max(Math.abs(na), Math.abs(nb));
+    }
+    return String(a) === String(b);
+}
+
+/**
+ * Columns of `row` whose value differs from `stored`
+ */
+function changedColumns(row, stored) {
+    return Object.keys(row).filter(c => !META_COLUMNS.includes(c) && !sameValue(row[c], stored[c]));
+}
+
+/**
+ * Stored rows for a batch, keyed by rowKey (batch의 날짜 범위로 조회)
+ */
+async function fetchStored(db, table, rows, keyCols) {
+    const dates = rows.map(r => r.date).filter(Boolean).sort();
+    const stored = new Map();
+    if (dates.length === 0) return stored;
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await orderByKey(db.from(table).select('*')
+            .gte('date', dates[0])
+            .lte('date', dates[dates.length - 1]), keyCols)
+            .range(offset, offset + PAGE_SIZE - 1);
+        if (error) throw new Error(`${table}: ${error.message}`);
+        for (const row of data || []) stored.set(rowKey(row, keyCols), row);
+        if (!data || data.length < PAGE_SIZE) break;
+    }
+    return stored;
+}
+
+/**
+ * Compare a batch against stored rows
+ *
+ * 행에 있는 컬럼만 비교하므로 부분 update payload에도 그대로 쓸 수 있다.
+ *
+ * @param {object} options
+ * @param {string[]} options.keyCols - conflict columns
+ * @param {Map} options.staged - 같은 트랜잭션에 아직 반영 전인 행 (rowKey → row), 저장된 행 위에 덮어 비교
+ * @returns {{ rows, changed, unchanged, revisions, counts: { new, changed, unchanged } }}
+ *   rows: 쓸 행 (새 행 + 바뀐 행, recorded_at 포함), changed: 그중 바뀐 행만 (부분 update용)
+ *   unchanged: 저장된 값과 같아 건너뛸 행
+ */
+async function diffBatch(db, table, batch, { keyCols = ['date'], runId = null, dataset = null, staged = null, now = new Date().toISOString() } = {}) {
+    const stored = await fetchStored(db, table, batch, keyCols);
+    for (const [key, row] of staged || []) stored.set(key, { ...stored.get(key), ...row });
+    const rows = [];
+    const changed = [];
+    const unchanged = [];
+    const revisions = [];
+    const counts = { new: 0, changed: 0, unchanged: 0 };
+
+    for (const row of batch) {
+        const key = rowKey(row, keyCols);
+        const prev = stored.get(key);
+        if (!prev) {
+            counts.new++;
+            rows.push({ ...row, recorded_at: now });
+            continue;
+        }
+        if (changedColumns(row, prev).length === 0) {
+            counts.unchanged++;
+            unchanged.push(row);
+            continue;
+        }
+
+        counts.changed++;
+        const write = { ...row, recorded_at: now };
+        rows.push(write);
+        changed.push(write);
+        const { id, recorded_at: validFrom, ...previous } = prev;
+        revisions.push({
+            table_name: table,
+            row_key: key,
+            date: prev.date,
+            previous,
+            changed_columns: changedColumns(row, prev).join(','),
+            valid_from: validFrom ?? null,
+            valid_to: now,
+            run_id: runId,
+            dataset
+        });
+    }
+
+    return { rows, changed, unchanged, revisions, counts };
+}
+
+/**
+ * Rows of `table` as they were at `timestamp`
+ *   - 현재 행 중 recorded_at <= ts (또는 추적 전 행)
+ *   - ts 이후에 바뀐 행은 ts 시점에 유효했던 revision의 previous로 대체
+ *   - ts 이후에 처음 생긴 행은 제외
+ *
+ * @param {object} options - { from, to } date range (YYYY-MM-DD)
+ */
+async function asOf(db, table, timestamp, { from, to } = {}) {
+    const ts = new Date(timestamp).toISOString();
+    const tsMs = Date.parse(ts);
+    // timestamptz는 백엔드에 따라 Date 또는 '+00:00'/'Z' 문자열 - 시각 값으로 비교
+    const toMs = (v) => (v instanceof Date ? v.getTime() : Date.parse(v));
+    const keyCols = TABLE_SCHEMAS[table]?.key || ['date'];
+
+    const page = async (build) => {
+        const out = [];
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const { data, error } = await build().range(offset, offset + PAGE_SIZE - 1);
+            if (error) throw new Error(error.message);
+            out.push(...(data || []));
+            if (!data || data.length < PAGE_SIZE) break;
+        }
+        return out;
+    };
+    const inRange = (q) => {
+        if (from) q = q.gte('date', from);
+        if (to) q = q.lte('date', to);
+        return q;
+    };
+
+    const current = await page(() => orderByKey(inRange(db.from(table).select('*')), keyCols));
+    const revisions = await page(() => inRange(db.from(REVISIONS_TABLE).select('id, row_key, previous, valid_from, valid_to'))
+        .eq('table_name', table)
+        .gt('valid_to', ts)
+        .order('valid_to', { ascending: true })
+        .order('id', { ascending: true }));
+
+    // 키별로 ts 이후 처음 덮어쓴 revision = ts 시점의 값
+    const firstAfter = new Map();
+    for (const rev of revisions) {
+        if (!firstAfter.has(rev.row_key)) firstAfter.set(rev.row_key, rev);
+    }
+
+    const rows = [];
+    for (const row of current) {
+        const rev = firstAfter.get(rowKey(row, keyCols));
+        if (rev) {
+            // ts 이후에 처음 기록된 값이면 그 시점엔 행이 없었음
+            if (rev.valid_from && toMs(rev.valid_from) > tsMs) continue;
+            rows.push({ ...rev.previous, recorded_at: rev.valid_from });
+        } else if (!row.recorded_at || toMs(row.recorded_at) <= tsMs) {
+            rows.push(row);
+        }
+    }
+    return rows;
+}
+
+module.exports = { REVISIONS_TABLE, diffBatch, asOf, sameValue, rowKey };
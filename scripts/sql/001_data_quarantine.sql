@@ -0,0 +1,12 @@
+-- Rows rejected by pre-write validation (scripts/lib/validation.js)
+create table if not exists data_quarantine (
+    id bigserial primary key,
+    table_name text not null,
+    dataset text,
+    row_date text,
+    row_data jsonb not null,
+    reason text not null,
+    quarantined_at timestamptz not null default now()
+);
+
+create index if not exists data_quarantine_table_date_idx on data_quarantine (table_name, row_date);
@@ -0,0 +1,15 @@
+-- Gaps found and re-fetched by scripts/backfill.js
+create table if not exists backfill_log (
+    id bigserial primary key,
+    run_at timestamptz not null,
+    table_name text not null,
+    date text not null,
+    series text,
+    field text,                -- null = 행 자체가 누락
+    gap_type text not null,    -- 'missing' | 'null_field'
+    filled boolean not null,
+    datasets text,
+    status text
+);
+
+create index if not exists backfill_log_table_date_idx on backfill_log (table_name, date);
@@ -0,0 +1,65 @@
+-- Row provenance columns (scripts/lib/provenance.js)
+-- 기존 행은 measured/high로 두고, source로 알 수 있는 추정 행만 아래에서 표시
+do $$
+declare
+    t text;
+begin
+    foreach t in array array[
+        'historical_eth_price',
+        'historical_eth_btc',
+        'historical_eth_dominance',
+        'historical_global_mcap',
+        'historical_volatility',
+        'historical_nvt',
+        'historical_mvrv',
+        'historical_fear_greed',
+        'historical_funding_rate',
+        'historical_open_interest',
+        'historical_exchange_reserve',
+        'historical_ethereum_tvl',
+        'historical_l2_tvl',
+        'historical_lending_tvl',
+        'historical_protocol_tvl',
+        'historical_protocol_fees',
+        'historical_dex_volume',
+        'historical_dex_by_protocol',
+        'historical_eth_in_defi',
+        'historical_stablecoins',
+        'historical_stablecoins_eth',
+        'historical_eth_supply',
+        'historical_staking',
+        'historical_staking_apr',
+        'historical_gas_burn',
+        'historical_blob_data',
+        'historical_network_stats',
+        'historical_transactions',
+        'historical_active_addresses',
+        'historical_new_addresses',
+        'historical_whale_tx',
+        'historical_l2_transactions',
+        'historical_l2_addresses',
+        'historical_stablecoin_volume',
+        'historical_bridge_volume',
+        'historical_l2_dex_volume',
+        'historical_bridge_total_volume'
+    ] loop
+        execute format('alter table if exists %I add column if not exists method text not null default ''measured''', t);
+        execute format('alter table if exists %I add column if not exists inputs jsonb', t);
+        execute format('alter table if exists %I add column if not exists confidence text not null default ''high''', t);
+    end loop;
+end $$;
+
+-- 이미 저장된 추정/대체 행 (다음 수집 실행에서 inputs까지 채워짐)
+update historical_active_addresses set method = 'estimated', confidence = 'low' where source = 'estimated';
+update historical_l2_addresses set method = 'estimated', confidence = 'low' where source = 'estimated';
+update historical_lending_tvl set method = 'estimated', confidence = 'low' where source = 'defillama_estimated';
+update historical_eth_in_defi set method = 'estimated', confidence = 'low' where source = 'estimated';
+-- staking은 beacon backfill(005_staking_beacon.sql, collect_staking) 전까지 이 행들뿐이라 medium으로 두고 모델에 남김
+update historical_staking set method = 'estimated', confidence = 'medium' where source in ('defillama', 'defillama-lido');
+update historical_staking_apr set method = 'fallback', confidence = 'low' where source = 'estimated';
+update historical_eth_supply set method = 'fallback', confidence = 'low' where source = 'estimated';
+update historical_fear_greed set method = 'fallback', confidence = 'low' where source = 'estimated';
+update historical_gas_burn set method = 'estimated', confidence = 'medium';
+update historical_volatility set method = 'derived';
+update historical_nvt set method = 'derived', confidence = 'medium';
+update historical_mvrv set method = 'derived', confidence = 'medium';
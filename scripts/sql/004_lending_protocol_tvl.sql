@@ -0,0 +1,15 @@
+-- Per-protocol Ethereum TVL for DefiLlama Lending-category protocols
+-- (collect_lending_protocols; historical_lending_tvl is the sum of these)
+create table if not exists historical_lending_protocol_tvl (
+    id bigserial primary key,
+    date text not null,
+    protocol text not null,
+    tvl double precision not null,
+    source text,
+    method text not null default 'measured',
+    inputs jsonb,
+    confidence text not null default 'high',
+    unique (date, protocol)
+);
+
+alter table if exists historical_lending_tvl add column if not exists protocol_count integer;
@@ -0,0 +1,38 @@
+-- Beacon-chain staking (collect_staking) + Lido-share estimate kept separately
+-- historical_staking: beaconcha.in 실측 (method='measured'), 실측 없는 날은 추정치 fallback
+-- historical_staking_estimate: Lido TVL ÷ 점유율 추정 (collect_staking_estimate)
+-- historical_staking_diff: 같은 날 실측 vs 추정 차이
+alter table if exists historical_staking add column if not exists validator_balance_eth double precision;
+alter table if exists historical_staking add column if not exists epoch bigint;
+
+create table if not exists historical_staking_estimate (
+    id bigserial primary key,
+    date text not null unique,
+    total_staked_eth double precision not null,
+    total_validators integer,
+    avg_apr double precision,
+    source text,
+    method text not null default 'estimated',
+    inputs jsonb,
+    confidence text not null default 'low'
+);
+
+-- 기존 추정 행을 estimate 테이블로 복사 (historical_staking은 beacon 수집 시 덮어씀)
+insert into historical_staking_estimate (date, total_staked_eth, total_validators, avg_apr, source, method, inputs, confidence)
+select date, total_staked_eth, total_validators, avg_apr, source, method, inputs, confidence
+from historical_staking
+where source in ('defillama', 'defillama-lido')
+on conflict (date) do nothing;
+
+create table if not exists historical_staking_diff (
+    id bigserial primary key,
+    date text not null unique,
+    beacon_staked_eth double precision not null,
+    estimated_staked_eth double precision not null,
+    diff_eth double precision not null,
+    diff_pct double precision,
+    source text,
+    method text not null default 'derived',
+    inputs jsonb,
+    confidence text not null default 'high'
+);
@@ -0,0 +1,24 @@
+-- ETH supply ledger (collect_eth_supply)
+-- historical_eth_supply: 앵커(실측) 행은 ledger_supply/reconciliation_error = 장부값/장부 − 실측
+-- historical_daily_issuance: 발행 곡선 기반 일일 발행량 + burn + 순증가량
+alter table if exists historical_eth_supply add column if not exists ledger_supply double precision;
+alter table if exists historical_eth_supply add column if not exists reconciliation_error double precision;
+
+create table if not exists historical_daily_issuance (
+    id bigserial primary key,
+    date text not null unique,
+    daily_issuance double precision not null,
+    source text
+);
+
+alter table historical_daily_issuance add column if not exists eth2_staking_cumulative double precision;
+alter table historical_daily_issuance add column if not exists daily_burn double precision;
+alter table historical_daily_issuance add column if not exists net_issuance double precision;
+alter table historical_daily_issuance add column if not exists total_staked_eth double precision;
+alter table historical_daily_issuance add column if not exists reconciliation_error double precision;
+alter table historical_daily_issuance add column if not exists method text not null default 'measured';
+alter table historical_daily_issuance add column if not exists inputs jsonb;
+alter table historical_daily_issuance add column if not exists confidence text not null default 'high';
+
+-- admin 페이지의 APR 기반 추정 행
+update historical_daily_issuance set method = 'estimated', confidence = 'low' where source = 'calculated_from_staking';
@@ -0,0 +1,2 @@
+-- NVT market cap uses per-date supply (historical_eth_supply); true when that day's supply was interpolated
+alter table if exists historical_nvt add column if not exists supply_interpolated boolean not null default false;
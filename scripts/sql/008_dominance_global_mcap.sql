@@ -0,0 +1,13 @@
+-- ETH dominance from per-day total market cap (historical_global_mcap)
+-- 기존 dominance 행은 오늘 BTC 점유율로 역산 + 8~25% clamp 값 → 재수집 전까지 low로 표시
+update historical_eth_dominance set method = 'estimated', confidence = 'low' where method = 'measured';
+
+-- admin 페이지가 BTC mcap ÷ 현재 BTC 점유율로 만든 과거 행 (timestamp 컬럼이 있는 행) - dominance 계산에서 제외
+do $$
+begin
+    if exists (select 1 from information_schema.columns
+               where table_name = 'historical_global_mcap' and column_name = 'timestamp') then
+        update historical_global_mcap set method = 'estimated', confidence = 'low'
+        where timestamp is not null and method = 'measured';
+    end if;
+end $$;
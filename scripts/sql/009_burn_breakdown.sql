@@ -0,0 +1,6 @@
+-- Measured burn (scripts/dune/daily_burn.sql → collect_gas_burn)
+-- eth_burnt는 base fee 소각량, blob burn / priority fee(validator 수입)는 별도 컬럼
+alter table if exists historical_gas_burn add column if not exists blob_burnt_eth double precision;
+alter table if exists historical_gas_burn add column if not exists priority_fees_eth double precision;
+alter table if exists historical_gas_burn add column if not exists gas_used double precision;
+alter table if exists historical_gas_burn add column if not exists avg_base_fee_gwei double precision;
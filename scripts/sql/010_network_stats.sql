@@ -0,0 +1,9 @@
+-- Daily network stats (scripts/dune/network_stats.sql → collect_network_stats)
+alter table if exists historical_network_stats add column if not exists missed_slots integer;
+alter table if exists historical_network_stats add column if not exists avg_gas_limit double precision;
+alter table if exists historical_network_stats add column if not exists avg_gas_used double precision;
+alter table if exists historical_network_stats add column if not exists block_fullness double precision;
+
+-- 기존 행은 7200 블록 / 12초 고정값 → 재수집 전까지 low로 표시
+update historical_network_stats set method = 'fallback', confidence = 'low'
+where missed_slots is null and block_count = 7200 and avg_block_time = 12;
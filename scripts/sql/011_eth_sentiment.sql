@@ -0,0 +1,22 @@
+-- ETH Sentiment Index (collect_eth_sentiment, 방법론: scripts/lib/sentiment.js)
+-- alternative.me 실패 시 historical_fear_greed의 fallback (source = 'eth_sentiment')
+create table if not exists historical_eth_sentiment (
+    id bigserial primary key,
+    date text not null unique,
+    value integer not null,
+    classification text,
+    momentum_score double precision,
+    volatility_score double precision,
+    mvrv_score double precision,
+    funding_score double precision,
+    open_interest_score double precision,
+    reserve_score double precision,
+    components integer,
+    source text,
+    method text not null default 'derived',
+    inputs jsonb,
+    confidence text not null default 'high'
+);
+
+-- 기존 fallback 행은 Math.random()이 섞인 30일 가격 변동 추정 → 삭제 후 다음 fallback 시 sentiment index로 다시 채움
+delete from historical_fear_greed where source = 'estimated';
@@ -0,0 +1,16 @@
+-- Run lock (scripts/lib/run-lock.js) - 두 워크플로가 같은 시각에 data-collector.js를 실행
+-- name unique → 동시에 insert하면 하나만 성공, lease_until이 지나면 다음 실행이 가져감
+create table if not exists run_locks (
+    id bigserial primary key,
+    name text not null unique,
+    run_id text not null,
+    owner text,
+    acquired_at timestamptz not null default now(),
+    lease_until timestamptz not null
+);
+
+-- RLS 켜고 정책 없음 = 서비스 키(수집기)만 접근 (anon 키로 lock을 잡아 실행을 막지 못하게)
+alter table run_locks enable row level security;
+
+-- 실행 ID (락을 못 잡고 종료한 실행은 status = 'skipped')
+alter table if exists scheduler_logs add column if not exists run_id text;
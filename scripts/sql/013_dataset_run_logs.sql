@@ -0,0 +1,30 @@
+-- 데이터셋별 실행 기록 (data-collector.js saveDatasetLogs) - run당 데이터셋마다 한 행
+-- scheduler_logs.run_id와 조인, admin.html의 Source Health 차트가 읽음
+create table if not exists scheduler_dataset_logs (
+    id bigserial primary key,
+    run_id text not null,
+    run_date date not null,
+    dataset text not null,
+    table_name text,
+    source text,
+    status text not null,
+    message text,
+    started_at timestamptz,
+    ended_at timestamptz,
+    duration_ms integer,
+    http_calls integer,
+    rows_fetched integer,    -- 소스 응답에서 파싱한 행 (기간 필터 전)
+    rows_submitted integer,  -- 쓰기 경로에 넘긴 행 (기간 필터/dedupe 후)
+    rows_upserted integer,
+    rows_rejected integer,
+    rows_low_confidence integer,
+    latest_date text
+);
+
+create index if not exists scheduler_dataset_logs_run_date_idx on scheduler_dataset_logs (run_date);
+create index if not exists scheduler_dataset_logs_run_id_idx on scheduler_dataset_logs (run_id);
+
+-- 쓰기는 서비스 키만, admin.html(anon 키)은 읽기만
+alter table scheduler_dataset_logs enable row level security;
+drop policy if exists scheduler_dataset_logs_read on scheduler_dataset_logs;
+create policy scheduler_dataset_logs_read on scheduler_dataset_logs for select to anon, authenticated using (true);
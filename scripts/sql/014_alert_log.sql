@@ -0,0 +1,17 @@
+-- Alert log (scripts/lib/alerts.js) - 보낸 알림 기록, 같은 alert_key는 ALERT_SUPPRESS_MINUTES 동안 억제
+--   alert_key: run_failed:<datasets>, stale:<table>, commentary:<section>, run_crashed
+create table if not exists alert_log (
+    id bigserial primary key,
+    alert_key text not null,
+    kind text not null,
+    severity text not null,
+    title text,
+    run_id text,
+    sinks text,
+    sent_at timestamptz not null default now()
+);
+
+create index if not exists alert_log_key_sent_at_idx on alert_log (alert_key, sent_at desc);
+
+-- 서비스 키만 접근 (anon 키로 기록을 지워 억제를 풀거나 넣어서 알림을 막지 못하게)
+alter table alert_log enable row level security;
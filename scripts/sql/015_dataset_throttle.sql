@@ -0,0 +1,2 @@
+-- 데이터셋별 rate limit 대기 시간 (scripts/lib/rate-limit.js, http 클라이언트가 집계)
+alter table if exists scheduler_dataset_logs add column if not exists throttle_ms integer;
@@ -0,0 +1,20 @@
+-- Source chain circuit breaker (scripts/lib/source-chain.js) - key = <dataset>/<adapter>
+-- 연속 실패가 SOURCE_BREAKER_THRESHOLD에 도달하면 opened_until까지 해당 소스를 건너뜀
+create table if not exists source_breakers (
+    key text primary key,
+    consecutive_failures integer not null default 0,
+    opened_until timestamptz,
+    last_error text,
+    last_failure_at timestamptz,
+    last_success_at timestamptz,
+    updated_at timestamptz not null default now()
+);
+
+-- 서비스 키만 접근 (anon 키로 opened_until을 바꿔 소스를 끄지 못하게)
+alter table source_breakers enable row level security;
+
+-- 행마다 어느 소스가 채웠는지 (source chain 어댑터 이름)
+alter table if exists historical_eth_price add column if not exists source text;
+alter table if exists historical_protocol_fees add column if not exists source text;
+update historical_eth_price set source = 'dune' where source is null;
+update historical_protocol_fees set source = 'defillama' where source is null;
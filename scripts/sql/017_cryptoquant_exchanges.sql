@@ -0,0 +1,38 @@
+-- CryptoQuant 거래소별 breakdown (scripts/lib/cryptoquant.js, collect_*_exchange)
+-- exchange = CryptoQuant exchange id (CRYPTOQUANT_DERIVATIVE_EXCHANGES / CRYPTOQUANT_SPOT_EXCHANGES)
+-- all_exchange 합계는 기존 historical_funding_rate / historical_open_interest / historical_exchange_reserve
+create table if not exists historical_funding_rate_exchange (
+    id bigserial primary key,
+    date text not null,
+    exchange text not null,
+    funding_rate double precision not null,
+    source text,
+    method text not null default 'measured',
+    inputs jsonb,
+    confidence text not null default 'high',
+    unique (date, exchange)
+);
+
+create table if not exists historical_open_interest_exchange (
+    id bigserial primary key,
+    date text not null,
+    exchange text not null,
+    open_interest double precision not null,
+    source text,
+    method text not null default 'measured',
+    inputs jsonb,
+    confidence text not null default 'high',
+    unique (date, exchange)
+);
+
+create table if not exists historical_exchange_reserve_exchange (
+    id bigserial primary key,
+    date text not null,
+    exchange text not null,
+    reserve_eth double precision not null,
+    source text,
+    method text not null default 'measured',
+    inputs jsonb,
+    confidence text not null default 'high',
+    unique (date, exchange)
+);
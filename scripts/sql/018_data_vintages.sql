@@ -0,0 +1,33 @@
+-- Point-in-time vintages (scripts/lib/vintages.js)
+-- recorded_at: 현재 값이 기록된 시각. 기존 행은 null (추적 전 - asOf에서는 항상 보이는 값으로 취급)
+do $$
+declare
+    t text;
+begin
+    for t in
+        select table_name from information_schema.tables
+        where table_schema = 'public' and table_name like 'historical\_%'
+    loop
+        execute format('alter table %I add column if not exists recorded_at timestamptz', t);
+    end loop;
+end $$;
+
+-- 덮어쓴 행의 이전 값 (valid_from ~ valid_to 동안 보였던 값)
+create table if not exists data_revisions (
+    id bigserial primary key,
+    table_name text not null,
+    row_key text not null,              -- 키 컬럼 값을 '|'로 연결 (date 또는 date|chain 등)
+    date date,
+    previous jsonb not null,
+    changed_columns text,
+    valid_from timestamptz,             -- null: 추적 시작 전에 기록된 값
+    valid_to timestamptz not null,
+    run_id text,
+    dataset text
+);
+
+create index if not exists data_revisions_lookup_idx on data_revisions (table_name, row_key, valid_to);
+create index if not exists data_revisions_date_idx on data_revisions (table_name, date);
+
+-- 서비스 키(수집기)만 접근
+alter table data_revisions enable row level security;
@@ -0,0 +1,6 @@
+-- 데이터셋별 변경 통계 (upsertBatch가 저장된 행과 비교, 값이 같은 행은 쓰지 않음)
+alter table if exists scheduler_dataset_logs add column if not exists rows_new integer;
+alter table if exists scheduler_dataset_logs add column if not exists rows_changed integer;
+alter table if exists scheduler_dataset_logs add column if not exists rows_unchanged integer;
+-- 013으로 먼저 만든 테이블: rows_fetched(소스 행) 옆에 쓰기 경로에 넘긴 행 수
+alter table if exists scheduler_dataset_logs add column if not exists rows_submitted integer;
@@ -0,0 +1,86 @@
+-- Atomic dataset writes (scripts/lib/storage/supabase.js writeAtomic)
+-- 클라이언트가 batch_id로 staging_rows에 모두 쓴 뒤 merge_staged_rows(batch_id)를 호출하면
+-- 한 트랜잭션 안에서 op 순서대로 대상 테이블에 insert/upsert/update하고 staging 행을 지운다.
+-- 중간에 실패하면 전체 롤백 (대상 테이블에는 아무것도 반영되지 않음)
+create table if not exists staging_rows (
+    id bigserial primary key,
+    batch_id text not null,
+    op_index integer not null,          -- 같은 op의 행은 컬럼 구성이 같음
+    table_name text not null,
+    on_conflict text,                   -- 'date' / 'date,chain', null이면 insert
+    mode text not null default 'upsert', -- 'update': on_conflict 키가 같은 기존 행의 컬럼만 갱신 (부분 행)
+    row jsonb not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists staging_rows_batch_idx on staging_rows (batch_id, op_index);
+
+-- 서비스 키(수집기)만 접근
+alter table staging_rows enable row level security;
+
+create or replace function merge_staged_rows(p_batch_id text) returns integer
+language plpgsql
+set search_path = public
+as $$
+declare
+    op record;
+    cols text[];
+    conflict_cols text[];
+    col_list text;
+    set_list text;
+    stmt text;
+    n integer;
+    total integer := 0;
+begin
+    for op in
+        select op_index, table_name, on_conflict, mode, jsonb_agg(row order by id) as rows
+        from staging_rows
+        where batch_id = p_batch_id
+        group by op_index, table_name, on_conflict, mode
+        order by op_index
+    loop
+        -- 동적 SQL 대상은 수집기가 쓰는 테이블로만 제한
+        if op.table_name not like 'historical\_%' and op.table_name <> 'data_revisions' then
+            raise exception 'merge_staged_rows: table % is not writable', op.table_name;
+        end if;
+
+        select array_agg(k order by k) into cols from jsonb_object_keys(op.rows -> 0) k;
+        select string_agg(format('%I', c), ', ') into col_list from unnest(cols) c;
+
+        select array_agg(trim(c)) into conflict_cols from unnest(string_to_array(op.on_conflict, ',')) c;
+
+        if op.mode = 'update' then
+            -- 부분 행은 UPDATE (INSERT ... ON CONFLICT는 NOT NULL 컬럼 검사에 걸림)
+            select string_agg(format('%I = s.%I', c, c), ', ') into set_list
+                from unnest(cols) c where c <> all(conflict_cols);
+            if set_list is null then
+                continue;
+            end if;
+            stmt := format('update %I t set %s from jsonb_populate_recordset(null::%I, $1) s where %s',
+                op.table_name, set_list, op.table_name,
+                (select string_agg(format('t.%I = s.%I', c, c), ' and ') from unnest(conflict_cols) c));
+        else
+            stmt := format('insert into %I (%s) select %s from jsonb_populate_recordset(null::%I, $1)',
+                op.table_name, col_list, col_list, op.table_name);
+
+            if op.on_conflict is not null then
+                select string_agg(format('%I = excluded.%I', c, c), ', ') into set_list
+                    from unnest(cols) c where c <> all(conflict_cols);
+                stmt := stmt || format(' on conflict (%s) ',
+                    (select string_agg(format('%I', c), ', ') from unnest(conflict_cols) c));
+                stmt := stmt || coalesce('do update set ' || set_list, 'do nothing');
+            end if;
+        end if;
+
+        execute stmt using op.rows;
+        get diagnostics n = row_count;
+        total := total + n;
+    end loop;
+
+    delete from staging_rows where batch_id = p_batch_id;
+    return total;
+end $$;
+
+-- 기본값은 PUBLIC 실행 가능 - anon 키로 호출하지 못하게 서비스 키만 허용
+revoke execute on function merge_staged_rows(text) from public, anon, authenticated;
+grant execute on function merge_staged_rows(text) to service_role;
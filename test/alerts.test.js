@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createStorageFromEnv } = require('../scripts/lib/storage');
+const { sendMail, createAlerter, ALERT_LOG_TABLE } = require('../scripts/lib/alerts');
+
+// 최소 SMTP 서버 - 받은 명령과 DATA 본문을 sessions에 남긴다 (STARTTLS 광고 없음)
+function fakeSmtpServer({ rejectRcpt = false } = {}) {
+    const sessions = [];
+    const server = net.createServer(socket => {
+        const session = { commands: [], data: null };
+        sessions.push(session);
+        let buffer = '', data = null;
+        socket.write('220 fake ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let i;
+            while ((i = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, i);
+                buffer = buffer.slice(i + 2);
+                if (data !== null) {
+                    if (line === '.') {
+                        session.data = data.join('\r\n');
+                        data = null;
+                        socket.write('250 queued\r\n');
+                    } else {
+                        data.push(line);
+                    }
+                    continue;
+                }
+                session.commands.push(line);
+                const verb = line.split(/[ :]/)[0].toUpperCase();
+                if (verb === 'EHLO') socket.write('250-fake\r\n250 AUTH PLAIN\r\n');
+                else if (verb === 'AUTH') socket.write('235 ok\r\n');
+                else if (verb === 'RCPT' && rejectRcpt) socket.write('550 no such user\r\n');
+                else if (verb === 'DATA') { data = []; socket.write('354 go ahead\r\n'); }
+                else if (verb === 'QUIT') socket.end('221 bye\r\n');
+                else socket.write('250 ok\r\n');
+            }
+        });
+        socket.on('error', () => {});
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, sessions, port: server.address().port })));
+}
+
+test('sendMail authenticates and delivers one message', async () => {
+    const { server, sessions, port } = await fakeSmtpServer();
+    try {
+        await sendMail({
+            host: '127.0.0.1', port, user: 'bot', pass: 'pw',
+            from: 'ETHval <bot@example.com>', to: ['a@example.com', 'b@example.com'],
+            subject: 'ETHval: 1 alert', text: 'line 1\nline 2', timeoutMs: 5000
+        });
+    } finally {
+        server.close();
+    }
+
+    const [{ commands, data }] = sessions;
+    assert.match(commands[0], /^EHLO /);
+    assert.equal(commands[1], `AUTH PLAIN ${Buffer.from('\0bot\0pw').toString('base64')}`);
+    assert.deepEqual(commands.slice(2), [
+        'MAIL FROM:<bot@example.com>', 'RCPT TO:<a@example.com>', 'RCPT TO:<b@example.com>', 'DATA', 'QUIT'
+    ]);
+
+    const [headers, body] = data.split('\r\n\r\n');
+    assert.match(headers, /^Subject: ETHval: 1 alert$/m);
+    assert.match(headers, /^To: a@example.com, b@example.com$/m);
+    assert.equal(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8'), 'line 1\r\nline 2');
+});
+
+test('sendMail surfaces SMTP errors', async () => {
+    const { server, port } = await fakeSmtpServer({ rejectRcpt: true });
+    try {
+        await assert.rejects(
+            sendMail({ host: '127.0.0.1', port, from: 'bot@example.com', to: ['x@example.com'], subject: 's', text: 't', timeoutMs: 5000 }),
+            /SMTP RCPT TO:<x@example.com>: 550 no such user/
+        );
+    } finally {
+        server.close();
+    }
+});
+
+let dir, db;
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethval-alerts-'));
+    db = createStorageFromEnv({ STORAGE_BACKEND: 'json', STORAGE_DIR: dir });
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// 콘솔 출력 끄기 (node 22 test runner가 자식 프로세스 stdout의 이모지를 잘못 파싱하는 경우가 있음)
+function quietly(fn) {
+    return async () => {
+        const { log, error } = console;
+        console.log = console.error = () => {};
+        try {
+            await fn();
+        } finally {
+            Object.assign(console, { log, error });
+        }
+    };
+}
+
+test('alerter suppresses repeats and records deliveries', quietly(async () => {
+    const sent = [];
+    const failing = { name: 'broken', send: async () => { throw new Error('down'); } };
+    const alerter = createAlerter(db, { sinks: [{ name: 'memory', send: async (msg) => { sent.push(msg); } }, failing] });
+    const alert = { key: 'stale:historical_tvl', kind: 'stale', severity: 'warning', title: 'Stale: historical_tvl' };
+
+    const first = await alerter.notify([alert], { runId: 'r1' });
+    assert.deepEqual(first, { sent: ['stale:historical_tvl'], suppressed: [], failedSinks: ['broken'] });
+    assert.equal(sent[0].subject, 'ETHval: 1 alert');
+
+    const second = await alerter.notify([alert], { runId: 'r2' });
+    assert.deepEqual(second.suppressed, ['stale:historical_tvl']);
+    assert.equal(sent.length, 1);
+
+    await alerter.notify([alert], { runId: 'r3', force: true });
+    assert.equal(sent.length, 2);
+
+    const { data } = await db.from(ALERT_LOG_TABLE).select('run_id, sinks');
+    assert.deepEqual(data, [{ run_id: 'r1', sinks: 'memory' }, { run_id: 'r3', sinks: 'memory' }]);
+}));
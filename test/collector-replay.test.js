@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// test/fixtures/http의 녹화된 응답으로 data-collector.js를 실제로 실행 (네트워크/DB 없이)
+const COLLECTOR = path.join(__dirname, '..', 'scripts', 'data-collector.js');
+const FIXTURES = path.join(__dirname, 'fixtures', 'http');
+
+let dir;
+before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethval-replay-')); });
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function collect(...args) {
+    // API 키 없이 - 키가 필요한 수집기는 건너뛰고 외부 저장소/알림도 쓰지 않음
+    const res = spawnSync(process.execPath, [COLLECTOR, '--storage', 'json', '--http', 'replay', '--no-lock', '--no-commentary', ...args], {
+        env: { PATH: process.env.PATH, HOME: os.tmpdir(), HTTP_FIXTURES_DIR: FIXTURES, STORAGE_DIR: dir },
+        encoding: 'utf8',
+        timeout: 60000
+    });
+    assert.equal(res.status, 0, res.stdout + res.stderr);
+    return res.stdout;
+}
+
+const readTable = (table) => JSON.parse(fs.readFileSync(path.join(dir, `${table}.json`), 'utf8'));
+
+test('fear_greed collects from replayed fixtures into json storage', () => {
+    const out = collect('--only', 'fear_greed');
+    assert.match(out, /historical_fear_greed: 30 new, 0 changed, 0 unchanged/);
+
+    const rows = readTable('historical_fear_greed').sort((a, b) => a.date.localeCompare(b.date));
+    assert.equal(rows.length, 30);
+    assert.deepEqual(
+        { date: rows[0].date, value: rows[0].value, classification: rows[0].classification },
+        { date: '2024-01-01', value: 40, classification: 'Neutral' }
+    );
+    assert.ok(rows.every(r => r.source === 'alternative_me' && r.method === 'measured' && r.confidence === 'high'));
+
+    const [log] = readTable('scheduler_dataset_logs');
+    assert.equal(log.dataset, 'fear_greed');
+    assert.equal(log.status, 'ok');
+    assert.equal(log.http_calls, 1);
+    assert.equal(log.rows_fetched, 30);
+    assert.equal(log.rows_new, 30);
+});
+
+test('replaying the same fixtures again writes nothing', () => {
+    const before = readTable('historical_fear_greed').map(r => r.recorded_at);
+    const out = collect('--only', 'fear_greed');
+    assert.match(out, /historical_fear_greed: 0 new, 0 changed, 30 unchanged/);
+    assert.deepEqual(readTable('historical_fear_greed').map(r => r.recorded_at), before);
+    assert.equal(fs.existsSync(path.join(dir, 'data_revisions.json')), false);
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHttpClient, FixtureMissingError, redactUrl } = require('../scripts/lib/http');
+const { createRateLimiter } = require('../scripts/lib/rate-limit');
+
+let dir;
+before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethval-http-')); });
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// 호출을 기록하고 responses를 순서대로 돌려주는 fetch
+function fakeFetch(...responses) {
+    const calls = [];
+    const impl = async (url, init) => {
+        calls.push({ url, init });
+        const next = responses.shift();
+        return typeof next === 'function' ? next(url, init) : next;
+    };
+    return { impl, calls };
+}
+
+test('redactUrl hides API key query parameters', () => {
+    assert.equal(
+        redactUrl('https://api.etherscan.io/api?module=stats&apikey=secret'),
+        'https://api.etherscan.io/api?module=stats&apikey=REDACTED'
+    );
+    assert.equal(redactUrl('https://example.com/a?q=1'), 'https://example.com/a?q=1');
+});
+
+test('429 with Retry-After pauses the host and retries', async () => {
+    const { impl, calls } = fakeFetch(
+        new Response('slow down', { status: 429, headers: { 'retry-after': '0.05' } }),
+        new Response('ok', { status: 200 })
+    );
+    const client = createHttpClient({ fetchImpl: impl, limiter: createRateLimiter({}) });
+
+    const started = Date.now();
+    const res = await client.fetch('https://example.com/data');
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), 'ok');
+    assert.equal(calls.length, 2);
+    assert.equal(client.stats.retries, 1);
+    assert.ok(Date.now() - started >= 40);
+});
+
+test('Retry-After beyond the cap returns the response without retrying', async () => {
+    const { impl, calls } = fakeFetch(new Response('', { status: 503, headers: { 'retry-after': '3600' } }));
+    const client = createHttpClient({ fetchImpl: impl, limiter: createRateLimiter({}) });
+    assert.equal((await client.fetch('https://example.com/data')).status, 503);
+    assert.equal(calls.length, 1);
+});
+
+test('timeoutMs aborts the attempt, not the wait for a slot', async () => {
+    const hang = (url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    });
+    const { impl } = fakeFetch(hang);
+    const limiter = createRateLimiter({});
+    const client = createHttpClient({ fetchImpl: impl, limiter });
+
+    limiter.pause('https://example.com/', 100);
+    // timeout 타이머는 unref라 테스트 중에는 이벤트 루프를 붙잡아 둔다
+    const keepAlive = setTimeout(() => {}, 5000);
+    const started = Date.now();
+    await assert.rejects(client.fetch('https://example.com/slow', { timeoutMs: 50 }), { name: 'AbortError' });
+    clearTimeout(keepAlive);
+    assert.ok(Date.now() - started >= 140, `rejected after ${Date.now() - started}ms`);
+});
+
+test('record then replay returns the same response without the network', async () => {
+    const url = 'https://api.example.com/v1/items?apikey=secret&limit=2';
+    const { impl } = fakeFetch(new Response('{"items":[1,2]}', { status: 200, headers: { 'content-type': 'application/json', 'x-other': '1' } }));
+    const recorder = createHttpClient({ mode: 'record', fixturesDir: dir, fetchImpl: impl, limiter: createRateLimiter({}) });
+    assert.deepEqual(await (await recorder.fetch(url)).json(), { items: [1, 2] });
+    assert.equal(recorder.stats.recorded, 1);
+
+    const [file] = fs.readdirSync(path.join(dir, 'api.example.com'));
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, 'api.example.com', file), 'utf8'));
+    assert.equal(fixture.request.url, 'https://api.example.com/v1/items?apikey=REDACTED&limit=2');
+    assert.deepEqual(fixture.response.headers, { 'content-type': 'application/json' });
+
+    const replayer = createHttpClient({
+        mode: 'replay',
+        fixturesDir: dir,
+        fetchImpl: () => { throw new Error('network call in replay mode'); }
+    });
+    // 키 값이 달라도 같은 픽스처
+    const res = await replayer.fetch(url.replace('secret', 'other'));
+    assert.equal(res.headers.get('content-type'), 'application/json');
+    assert.deepEqual(await res.json(), { items: [1, 2] });
+    assert.equal(replayer.stats.replayed, 1);
+
+    await assert.rejects(replayer.fetch(url, { method: 'POST', body: '{}' }), FixtureMissingError);
+});
+
+test('unknown modes are rejected', () => {
+    assert.throws(() => createHttpClient({ mode: 'offline' }), /Unknown HTTP_MODE "offline"/);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const { createRateLimiter, parseRetryAfter, hostLimitsFromEnv, HOST_LIMITS } = require('../scripts/lib/rate-limit');
+
+test('parseRetryAfter accepts delta seconds and HTTP dates', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+    assert.equal(parseRetryAfter('2', now), 2000);
+    assert.equal(parseRetryAfter('0.5', now), 500);
+    assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now), 30000);
+    assert.equal(parseRetryAfter('Sun, 31 Dec 2023 23:59:00 GMT', now), 0);
+    assert.equal(parseRetryAfter(null, now), null);
+    assert.equal(parseRetryAfter('soon', now), null);
+});
+
+test('hostLimitsFromEnv adds the CryptoQuant proxy host', () => {
+    const limits = hostLimitsFromEnv({ CRYPTOQUANT_PROXY_URL: 'https://cq.example.com/v1' });
+    assert.deepEqual(limits['cq.example.com'], HOST_LIMITS['api.cryptoquant.com']);
+});
+
+test('token bucket spaces requests beyond the burst', async () => {
+    const limiter = createRateLimiter({ 'example.com': { rps: 20, burst: 1 } });
+    const started = Date.now();
+    for (let i = 0; i < 3; i++) (await limiter.acquire('https://api.example.com/x')).release();
+    // 버킷 1개 + 50ms마다 1개
+    assert.ok(Date.now() - started >= 90, `took ${Date.now() - started}ms`);
+    assert.equal(limiter.stats.byHost['example.com'].requests, 3);
+    assert.ok(limiter.stats.throttleMs > 0);
+});
+
+test('concurrency limit holds requests until a slot is released', async () => {
+    const limiter = createRateLimiter({ 'example.com': { burst: 10, concurrency: 1 } });
+    const first = await limiter.acquire('https://example.com/a');
+    let secondAcquired = false;
+    const second = limiter.acquire('https://example.com/b').then(slot => { secondAcquired = true; return slot; });
+
+    await new Promise(r => setTimeout(r, 20));
+    assert.equal(secondAcquired, false);
+    first.release();
+    (await second).release();
+    assert.equal(secondAcquired, true);
+});
+
+test('hosts without limits are not throttled', async () => {
+    const limiter = createRateLimiter({});
+    const slots = await Promise.all([1, 2, 3].map(i => limiter.acquire(`https://other.example.org/${i}`)));
+    assert.ok(slots.every(s => s.waitedMs < 20));
+    slots.forEach(s => s.release());
+});
+
+test('pause holds the whole host until it expires', async () => {
+    const limiter = createRateLimiter({});
+    limiter.pause('https://example.com/a', 80);
+    const slot = await limiter.acquire('https://example.com/b');
+    slot.release();
+    assert.ok(slot.waitedMs >= 70, `waited ${slot.waitedMs}ms`);
+    assert.equal(limiter.stats.byHost['example.com'].pauses, 1);
+});
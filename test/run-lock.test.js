@@ -0,0 +1,40 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorageFromEnv } = require('../scripts/lib/storage');
+const { createRunLock, LOCK_TABLE } = require('../scripts/lib/run-lock');
+
+let dir, db;
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethval-lock-'));
+    db = createStorageFromEnv({ STORAGE_BACKEND: 'json', STORAGE_DIR: dir });
+});
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('run lock admits one holder until it is released', async () => {
+    const a = createRunLock(db, { runId: 'a' });
+    const b = createRunLock(db, { runId: 'b' });
+
+    assert.deepEqual(await a.acquire(), { acquired: true });
+    const blocked = await b.acquire({ waitMs: 0 });
+    assert.equal(blocked.acquired, false);
+    assert.equal(blocked.holder.run_id, 'a');
+
+    await a.release();
+    assert.deepEqual(await b.acquire(), { acquired: true });
+    await b.release();
+});
+
+test('an expired lease is taken over', async () => {
+    await db.from(LOCK_TABLE).insert([{
+        name: 'data-collector', run_id: 'dead', owner: 'x',
+        acquired_at: '2024-01-01T00:00:00.000Z', lease_until: '2024-01-01T00:30:00.000Z'
+    }]);
+    const lock = createRunLock(db, { runId: 'next' });
+    assert.deepEqual(await lock.acquire(), { acquired: true });
+    const { data } = await db.from(LOCK_TABLE).select('run_id');
+    assert.deepEqual(data, [{ run_id: 'next' }]);
+    await lock.release();
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('assert/strict');
+const { classifySentiment, computeSentimentIndex, MIN_WINDOW, WINDOW_DAYS } = require('../scripts/lib/sentiment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dateAt = (i) => new Date(Date.UTC(2023, 0, 1) + i * DAY_MS).toISOString().split('T')[0];
+const series = (days, valueAt) => Array.from({ length: days }, (_, i) => ({ date: dateAt(i), value: valueAt(i) }));
+
+// 증가하는 MVRV (rank 최고) + 증가하는 변동성 (반전 → 최저) + 일정한 funding (rank 50)
+const inputs = (days) => ({
+    mvrv: series(days, i => 1 + i / 100),
+    volatility: series(days, i => 40 + i / 10),
+    funding: series(days, () => 0.01)
+});
+
+test('classifySentiment uses the alternative.me bands', () => {
+    assert.equal(classifySentiment(0), 'Extreme Fear');
+    assert.equal(classifySentiment(24), 'Extreme Fear');
+    assert.equal(classifySentiment(25), 'Fear');
+    assert.equal(classifySentiment(40), 'Neutral');
+    assert.equal(classifySentiment(60), 'Greed');
+    assert.equal(classifySentiment(75), 'Extreme Greed');
+    assert.equal(classifySentiment(100), 'Extreme Greed');
+});
+
+test('percentile ranks over the trailing window', () => {
+    const rows = computeSentimentIndex(inputs(400));
+    const byDate = new Map(rows.map(r => [r.date, r]));
+
+    // funding 7일 평균은 4번째 날부터 → funding 관측이 MIN_WINDOW개가 되는 날이 첫 행
+    const firstDay = 3 + MIN_WINDOW - 1;
+    assert.equal(rows[0].date, dateAt(firstDay));
+    const n = firstDay + 1;
+    assert.equal(rows[0].mvrv_score, parseFloat(((n - 0.5) / n * 100).toFixed(1)));
+    assert.equal(rows[0].volatility_score, parseFloat((100 - (n - 0.5) / n * 100).toFixed(1)));
+    assert.equal(rows[0].funding_score, 50);
+
+    // 창은 WINDOW_DAYS에서 멈춤
+    const last = byDate.get(dateAt(399));
+    assert.equal(last.mvrv_score, parseFloat(((WINDOW_DAYS - 0.5) / WINDOW_DAYS * 100).toFixed(1)));
+    assert.equal(last.momentum_score, null);
+});
+
+test('composite is the reweighted mean of available components', () => {
+    const rows = computeSentimentIndex(inputs(200));
+    assert.ok(rows.length > 0);
+    for (const row of rows) {
+        // (mvrv r × 0.2 + (100 - r) × 0.2 + 50 × 0.15) / 0.55 = 50
+        assert.equal(row.value, 50);
+        assert.equal(row.classification, 'Neutral');
+        assert.equal(row.components, 3);
+    }
+});
+
+test('fewer than MIN_COMPONENTS components produce no rows', () => {
+    const { mvrv, volatility } = inputs(200);
+    assert.deepEqual(computeSentimentIndex({ mvrv, volatility }), []);
+});
+
+test('same inputs give the same index', () => {
+    const a = computeSentimentIndex(inputs(300));
+    const b = computeSentimentIndex({ ...inputs(300), mvrv: [...inputs(300).mvrv].reverse() });
+    assert.deepEqual(a, b);
+});
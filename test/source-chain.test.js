@@ -0,0 +1,47 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorageFromEnv } = require('../scripts/lib/storage');
+const { createBreakers, runSourceChain, BREAKER_TABLE } = require('../scripts/lib/source-chain');
+
+let dir, db;
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethval-chain-'));
+    db = createStorageFromEnv({ STORAGE_BACKEND: 'json', STORAGE_DIR: dir });
+});
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const failing = { name: 'primary', fetch: async () => { throw new Error('HTTP 500'); } };
+const working = { name: 'secondary', fetch: async () => [{ date: '2024-01-01', v: 1 }, { date: '2024-01-02', v: 2, source: 'own' }] };
+
+test('falls back to the next adapter and tags rows with its name', async () => {
+    const disabled = { name: 'keyed', enabled: () => false, fetch: async () => { throw new Error('not called'); } };
+    const out = await runSourceChain([disabled, failing, working], {}, { dataset: 'd', breakers: createBreakers(db) });
+
+    assert.equal(out.source, 'secondary');
+    assert.deepEqual(out.records.map(r => r.source), ['secondary', 'own']);
+    assert.deepEqual(out.attempts.map(a => a.status), ['disabled', 'error', 'ok']);
+});
+
+test('breaker opens after repeated failures and skips the adapter', async () => {
+    for (let i = 0; i < 3; i++) {
+        await runSourceChain([failing, working], {}, { dataset: 'd', breakers: createBreakers(db, { failureThreshold: 3 }) });
+    }
+    const { data: [row] } = await db.from(BREAKER_TABLE).select('*').eq('key', 'd/primary');
+    assert.equal(row.consecutive_failures, 3);
+    assert.ok(Date.parse(row.opened_until) > Date.now());
+
+    // 다음 실행 (새 breaker 캐시)에서는 시도하지 않음
+    const out = await runSourceChain([failing, working], {}, { dataset: 'd', breakers: createBreakers(db) });
+    assert.equal(out.attempts[0].status, 'open');
+    assert.equal(out.source, 'secondary');
+});
+
+test('all adapters failing returns null records', async () => {
+    const empty = { name: 'empty', fetch: async () => [] };
+    const out = await runSourceChain([failing, empty], {}, { dataset: 'd', breakers: createBreakers(db) });
+    assert.equal(out.records, null);
+    assert.deepEqual(out.attempts.map(a => a.status), ['error', 'empty']);
+});
@@ -0,0 +1,58 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorageFromEnv } = require('../scripts/lib/storage');
+
+let dir, db;
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethval-storage-'));
+    db = createStorageFromEnv({ STORAGE_BACKEND: 'json', STORAGE_DIR: dir });
+});
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('unknown backends are rejected', () => {
+    assert.throws(() => createStorageFromEnv({ STORAGE_BACKEND: 'sqlite' }), /Unknown STORAGE_BACKEND "sqlite"/);
+});
+
+test('json backend filters, orders and pages like Postgres', async () => {
+    await db.from('t').insert([
+        { date: '2024-01-03', v: 3 }, { date: '2024-01-01', v: null }, { date: '2024-01-02', v: 2 }
+    ]);
+
+    const { data: ordered } = await db.from('t').select('date, v').order('v', { ascending: true });
+    assert.deepEqual(ordered.map(r => r.date), ['2024-01-02', '2024-01-03', '2024-01-01']);
+
+    const { data: page } = await db.from('t').select('date').gte('date', '2024-01-02').order('date').range(1, 1);
+    assert.deepEqual(page, [{ date: '2024-01-03' }]);
+
+    const { data: nulls } = await db.from('t').select('date').is('v', null);
+    assert.deepEqual(nulls, [{ date: '2024-01-01' }]);
+});
+
+test('upsert merges into the row with the same conflict key', async () => {
+    await db.from('t').upsert([{ date: '2024-01-01', a: 1, b: 1 }], { onConflict: 'date' });
+    await db.from('t').upsert([{ date: '2024-01-01', b: 2 }], { onConflict: 'date' });
+    const { data } = await db.from('t').select('date, a, b');
+    assert.deepEqual(data, [{ date: '2024-01-01', a: 1, b: 2 }]);
+});
+
+test('writeAtomic applies every op, update ops only touch existing rows', async () => {
+    await db.from('t').insert([{ date: '2024-01-01', a: 1, b: 1 }]);
+    const { error } = await db.writeAtomic([
+        // 컬럼 구성이 다른 행 - 분리되어 서로의 컬럼을 null로 덮지 않음
+        { table: 't', rows: [{ date: '2024-01-01', b: 5 }, { date: '2024-01-02', a: 2, b: 2 }], onConflict: 'date' },
+        { table: 't', rows: [{ date: '2024-01-09', a: 9 }], onConflict: 'date', update: true },
+        { table: 'log', rows: [{ msg: 'done' }] }
+    ]);
+    assert.equal(error, null);
+
+    const { data } = await db.from('t').select('date, a, b').order('date');
+    assert.deepEqual(data, [{ date: '2024-01-01', a: 1, b: 5 }, { date: '2024-01-02', a: 2, b: 2 }]);
+    assert.equal((await db.from('log').select('msg')).data.length, 1);
+
+    // 파일에도 반영 (새 저장소로 다시 읽기)
+    const reopened = createStorageFromEnv({ STORAGE_BACKEND: 'json', STORAGE_DIR: dir });
+    assert.equal((await reopened.from('t').select('date')).data.length, 2);
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorageFromEnv } = require('../scripts/lib/storage');
+const { validateRecords, checkField } = require('../scripts/lib/validation');
+
+const TABLE = 'historical_eth_price';
+
+let dir, db;
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethval-validation-'));
+    db = createStorageFromEnv({ STORAGE_BACKEND: 'json', STORAGE_DIR: dir });
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const price = (date, close) => ({ date, close, method: 'measured', confidence: 'high' });
+
+test('checkField: type, required and range rules', () => {
+    assert.equal(checkField('date', '2024-01-01', { type: 'date', required: true }), null);
+    assert.match(checkField('date', '2024/01/01', { type: 'date' }), /not a YYYY-MM-DD date/);
+    assert.match(checkField('close', null, { type: 'number', required: true }), /missing required field close/);
+    assert.equal(checkField('open', null, { type: 'number' }), null);
+    assert.match(checkField('close', NaN, { type: 'number' }), /not a finite number/);
+    assert.match(checkField('n', 1.5, { type: 'integer' }), /not an integer/);
+    assert.match(checkField('close', 0, { type: 'number', gt: 0 }), /must be > 0/);
+    assert.match(checkField('ratio', 2, { type: 'number', max: 1 }), /above 1/);
+    assert.match(checkField('method', 'guess', { type: 'string', oneOf: ['measured', 'estimated'] }), /must be one of/);
+});
+
+test('field violations are rejected with a reason', async () => {
+    const { valid, rejected } = await validateRecords(db, TABLE, [price('2024-01-01', 2000), price('2024-01-02', -5)]);
+    assert.deepEqual(valid.map(r => r.date), ['2024-01-01']);
+    assert.equal(rejected.length, 1);
+    assert.match(rejected[0].reason, /close must be > 0/);
+});
+
+test('a one-day spike is quarantined', async () => {
+    const rows = [price('2024-01-01', 2000), price('2024-01-02', 5000), price('2024-01-03', 2050)];
+    const { valid, rejected } = await validateRecords(db, TABLE, rows);
+    assert.deepEqual(valid.map(r => r.date), ['2024-01-01', '2024-01-03']);
+    assert.deepEqual(rejected.map(r => r.row.date), ['2024-01-02']);
+    assert.match(rejected[0].reason, /close changed 150% vs 2024-01-01/);
+});
+
+test('a level shift confirmed by the next row is accepted', async () => {
+    const rows = [price('2024-01-01', 2000), price('2024-01-02', 3500), price('2024-01-03', 3600)];
+    const { valid, rejected } = await validateRecords(db, TABLE, rows);
+    assert.deepEqual(valid.map(r => r.date).sort(), ['2024-01-01', '2024-01-02', '2024-01-03']);
+    assert.equal(rejected.length, 0);
+});
+
+test('the first row of a batch is compared with the stored row before it', async () => {
+    await db.from(TABLE).upsert([price('2024-02-01', 2000)], { onConflict: 'date' });
+    const { rejected } = await validateRecords(db, TABLE, [price('2024-02-02', 4000)]);
+    assert.equal(rejected.length, 1);
+    assert.match(rejected[0].reason, /vs 2024-02-01/);
+
+    // 방식이 바뀌는 지점은 변화율 검사 제외
+    const estimated = { ...price('2024-02-02', 4000), method: 'estimated', confidence: 'low' };
+    assert.equal((await validateRecords(db, TABLE, [estimated])).rejected.length, 0);
+});
+
+test('partial payloads skip required checks for absent fields', async () => {
+    const { valid, rejected } = await validateRecords(db, TABLE, [{ date: '2024-01-05', open: 2000 }], { partial: true });
+    assert.equal(valid.length, 1);
+    assert.equal(rejected.length, 0);
+});
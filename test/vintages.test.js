@@ -0,0 +1,100 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorageFromEnv } = require('../scripts/lib/storage');
+const { diffBatch, asOf, sameValue, rowKey, REVISIONS_TABLE } = require('../scripts/lib/vintages');
+
+let dir, db;
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethval-vintages-'));
+    db = createStorageFromEnv({ STORAGE_BACKEND: 'json', STORAGE_DIR: dir });
+});
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('sameValue compares numeric strings and jsonb by value', () => {
+    assert.ok(sameValue('1.50', 1.5));
+    assert.ok(sameValue(null, undefined));
+    assert.ok(!sameValue(null, 0));
+    assert.ok(sameValue({ a: 1, b: [1, 2] }, { b: [1, 2], a: 1 }));
+    assert.ok(!sameValue('abc', 'abd'));
+});
+
+test('diffBatch splits new, changed and unchanged rows', async () => {
+    await db.from('historical_tvl').upsert([
+        { date: '2024-01-01', tvl: 100, recorded_at: '2024-01-02T00:00:00.000Z' },
+        { date: '2024-01-02', tvl: 200, recorded_at: '2024-01-03T00:00:00.000Z' }
+    ], { onConflict: 'date' });
+
+    const now = '2024-02-01T00:00:00.000Z';
+    const diff = await diffBatch(db, 'historical_tvl', [
+        { date: '2024-01-01', tvl: 100 },
+        { date: '2024-01-02', tvl: 250 },
+        { date: '2024-01-03', tvl: 300 }
+    ], { runId: 'r1', dataset: 'tvl', now });
+
+    assert.deepEqual(diff.counts, { new: 1, changed: 1, unchanged: 1 });
+    assert.deepEqual(diff.rows.map(r => r.date), ['2024-01-02', '2024-01-03']);
+    assert.ok(diff.rows.every(r => r.recorded_at === now));
+    assert.deepEqual(diff.changed.map(r => r.date), ['2024-01-02']);
+    assert.equal(diff.revisions.length, 1);
+
+    const [rev] = diff.revisions;
+    assert.equal(rev.row_key, '2024-01-02');
+    assert.equal(rev.previous.tvl, 200);
+    assert.equal(rev.previous.id, undefined);
+    assert.equal(rev.changed_columns, 'tvl');
+    assert.equal(rev.valid_from, '2024-01-03T00:00:00.000Z');
+    assert.equal(rev.valid_to, now);
+});
+
+test('diffBatch compares against staged rows of the same transaction', async () => {
+    const staged = new Map([[rowKey({ date: '2024-01-01' }, ['date']), { date: '2024-01-01', tvl: 100 }]]);
+    const diff = await diffBatch(db, 'historical_tvl', [{ date: '2024-01-01', tvl: 100 }], { staged });
+    assert.deepEqual(diff.counts, { new: 0, changed: 0, unchanged: 1 });
+});
+
+test('rowKey joins multi-column keys', () => {
+    assert.equal(rowKey({ date: '2024-01-01', chain: 'Arbitrum', tvl: 1 }, ['date', 'chain']), '2024-01-01|Arbitrum');
+});
+
+// timestamptz 컬럼을 Date로 돌려주는 백엔드(pg) 흉내
+function dateTyped(storage) {
+    const toDates = (rows) => rows.map(r => Object.fromEntries(Object.entries(r).map(([k, v]) => [
+        k, ['recorded_at', 'valid_from', 'valid_to'].includes(k) && typeof v === 'string' ? new Date(v) : v
+    ])));
+    return {
+        from: (table) => {
+            const q = storage.from(table);
+            const then = q.then.bind(q);
+            q.then = (resolve, reject) => then(res => resolve({ ...res, data: res.data && toDates(res.data) }), reject);
+            return q;
+        }
+    };
+}
+
+for (const [label, wrap] of [['string timestamps', (s) => s], ['Date timestamps', dateTyped]]) {
+    test(`asOf returns rows as they were at a timestamp (${label})`, async () => {
+        await db.from('historical_tvl').upsert([
+            { date: '2024-01-01', tvl: 110, recorded_at: '2024-01-10T00:00:00+00:00' },
+            { date: '2024-01-02', tvl: 200, recorded_at: '2024-01-03T00:00:00+00:00' },
+            { date: '2024-01-03', tvl: 300, recorded_at: '2024-01-20T00:00:00+00:00' },
+            { date: '2024-01-04', tvl: 400, recorded_at: null }
+        ], { onConflict: 'date' });
+        await db.from(REVISIONS_TABLE).insert([{
+            table_name: 'historical_tvl', row_key: '2024-01-01', date: '2024-01-01',
+            previous: { date: '2024-01-01', tvl: 100 },
+            valid_from: '2024-01-02T00:00:00+00:00', valid_to: '2024-01-10T00:00:00+00:00'
+        }]);
+
+        const at = async (ts) => (await asOf(wrap(db), 'historical_tvl', ts))
+            .map(r => `${r.date}=${r.tvl}`).sort();
+
+        assert.deepEqual(await at('2024-01-05T00:00:00Z'), ['2024-01-01=100', '2024-01-02=200', '2024-01-04=400']);
+        assert.deepEqual(await at('2024-01-15T00:00:00Z'), ['2024-01-01=110', '2024-01-02=200', '2024-01-04=400']);
+        assert.deepEqual(await at('2024-02-01T00:00:00Z'), ['2024-01-01=110', '2024-01-02=200', '2024-01-03=300', '2024-01-04=400']);
+        // 처음 기록되기 전 시각이면 revision의 행도 없었음
+        assert.deepEqual(await at('2024-01-01T00:00:00Z'), ['2024-01-04=400']);
+    });
+}